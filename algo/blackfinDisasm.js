@@ -0,0 +1,922 @@
+/**
+ * Blackfin (BF53x) instruction decoder.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Register names, indexed by [group][register] as used by the instructions
+// that can access any register.
+const REGS = [
+	['R0', 'R1', 'R2', 'R3', 'R4', 'R5', 'R6', 'R7'],
+	['P0', 'P1', 'P2', 'P3', 'P4', 'P5', 'SP', 'FP'],
+	['I0', 'I1', 'I2', 'I3', 'M0', 'M1', 'M2', 'M3'],
+	['B0', 'B1', 'B2', 'B3', 'L0', 'L1', 'L2', 'L3'],
+	['A0.X', 'A0.W', 'A1.X', 'A1.W', null, null, 'ASTAT', 'RETS'],
+	[null, null, null, null, null, null, null, null],
+	['LC0', 'LT0', 'LB0', 'LC1', 'LT1', 'LB1', 'CYCLES', 'CYCLES2'],
+	['USP', 'SEQSTAT', 'SYSCFG', 'RETI', 'RETX', 'RETN', 'RETE', 'EMUDAT'],
+];
+
+// Names of the ASTAT bits, for the CC2stat instructions.
+const ASTAT_BITS = {
+	0: 'AZ', 1: 'AN', 2: 'AC0_COPY', 3: 'V_COPY', 5: 'CC', 6: 'AQ',
+	8: 'RND_MOD', 12: 'AC0', 13: 'AC1', 16: 'AV0', 17: 'AV0S', 18: 'AV1',
+	19: 'AV1S', 24: 'V', 25: 'VS',
+};
+
+/// Thrown by the decoders for encodings that aren't valid instructions.
+class IllegalInstruction extends Error {}
+
+function reg(group, num)
+{
+	const name = REGS[group] && REGS[group][num];
+	if (!name) throw new IllegalInstruction();
+	return name;
+}
+
+const dreg = n => REGS[0][n];
+const preg = n => REGS[1][n];
+const half = (n, high) => dreg(n) + (high ? '.H' : '.L');
+
+/// Sign extend the lowest `bits` bits of a value.
+function signed(value, bits)
+{
+	const sign = 1 << (bits - 1);
+	value &= (sign << 1) - 1;
+	return (value & sign) ? value - (sign << 1) : value;
+}
+
+function imm(n)
+{
+	return (n < 0) ? '-0x' + (-n).toString(16) : '0x' + n.toString(16);
+}
+
+function addr(n)
+{
+	return '0x' + (n >>> 0).toString(16);
+}
+
+/// Memory operand with an optional signed offset, e.g. `[P0 + 0x4]`.
+function offsetOperand(base, offset)
+{
+	if (offset < 0) return `[${base} - ${imm(-offset)}]`;
+	return `[${base} + ${imm(offset)}]`;
+}
+
+// Each decoder below handles one group of instructions, returning the text of
+// the instruction, or null if the encoding isn't one it knows.  Unused
+// encodings within a group throw IllegalInstruction.
+
+function decodeProgCtrl(iw0)
+{
+	const prgfunc = (iw0 >> 4) & 0xF;
+	const poprnd = iw0 & 0xF;
+
+	switch (prgfunc) {
+		case 0:
+			if (poprnd === 0) return 'NOP';
+			break;
+		case 1:
+			if (poprnd < 5) return ['RTS', 'RTI', 'RTX', 'RTN', 'RTE'][poprnd];
+			break;
+		case 2:
+			if (poprnd === 0) return 'IDLE';
+			if (poprnd === 3) return 'CSYNC';
+			if (poprnd === 4) return 'SSYNC';
+			if (poprnd === 5) return 'EMUEXCPT';
+			break;
+		case 3:
+			if (poprnd < 8) return `CLI ${dreg(poprnd)}`;
+			break;
+		case 4:
+			if (poprnd < 8) return `STI ${dreg(poprnd)}`;
+			break;
+		case 5:
+			if (poprnd < 8) return `JUMP (${preg(poprnd)})`;
+			break;
+		case 6:
+			if (poprnd < 8) return `CALL (${preg(poprnd)})`;
+			break;
+		case 7:
+			if (poprnd < 8) return `CALL (PC + ${preg(poprnd)})`;
+			break;
+		case 8:
+			if (poprnd < 8) return `JUMP (PC + ${preg(poprnd)})`;
+			break;
+		case 9:
+			return `RAISE ${imm(poprnd)}`;
+		case 10:
+			return `EXCPT ${imm(poprnd)}`;
+		case 11:
+			if (poprnd < 8) return `TESTSET (${preg(poprnd)})`;
+			break;
+	}
+	throw new IllegalInstruction();
+}
+
+function decodeCaCTRL(iw0)
+{
+	const a = (iw0 >> 5) & 1;
+	const op = (iw0 >> 3) & 3;
+	const p = preg(iw0 & 7);
+	const name = ['PREFETCH', 'FLUSHINV', 'FLUSH', 'IFLUSH'][op];
+	return `${name}[${p}${a ? '++' : ''}]`;
+}
+
+function decodePushPopReg(iw0)
+{
+	const W = (iw0 >> 6) & 1;
+	const r = reg((iw0 >> 3) & 7, iw0 & 7);
+	return W ? `[--SP] = ${r}` : `${r} = [SP++]`;
+}
+
+function decodePushPopMultiple(iw0)
+{
+	const d = (iw0 >> 8) & 1;
+	const p = (iw0 >> 7) & 1;
+	const W = (iw0 >> 6) & 1;
+	const dr = (iw0 >> 3) & 7;
+	const pr = iw0 & 7;
+
+	if (!d && !p) throw new IllegalInstruction();
+	let regs = [];
+	if (d) regs.push(`R7:${dr}`);
+	if (p) regs.push(`P5:${pr}`);
+	const list = '(' + regs.join(', ') + ')';
+	return W ? `[--SP] = ${list}` : `${list} = [SP++]`;
+}
+
+function decodeCCMV(iw0)
+{
+	const T = (iw0 >> 8) & 1;
+	const dst = reg((iw0 >> 7) & 1, (iw0 >> 3) & 7);
+	const src = reg((iw0 >> 6) & 1, iw0 & 7);
+	return `IF ${T ? '' : '!'}CC ${dst} = ${src}`;
+}
+
+function decodeCCflag(iw0)
+{
+	const x = iw0 & 7;
+	const y = (iw0 >> 3) & 7;
+	const I = (iw0 >> 10) & 1;
+	const opc = (iw0 >> 7) & 7;
+	const G = (iw0 >> 6) & 1;
+
+	if (opc >= 5) {
+		if (I || G) throw new IllegalInstruction();
+		return 'CC = A0 ' + ['==', '<', '<='][opc - 5] + ' A1';
+	}
+
+	const op = ['==', '<', '<=', '<', '<='][opc];
+	const unsigned = (opc >= 3);
+	const lhs = reg(G, x);
+	const rhs = I ? imm(unsigned ? y : signed(y, 3)) : reg(G, y);
+	return `CC = ${lhs} ${op} ${rhs}` + (unsigned ? ' (IU)' : '');
+}
+
+function decodeCC2dreg(iw0)
+{
+	const op = (iw0 >> 3) & 3;
+	const r = iw0 & 7;
+	if (op === 0) return `${dreg(r)} = CC`;
+	if (op === 1) return `CC = ${dreg(r)}`;
+	if ((op === 3) && (r === 0)) return 'CC = !CC';
+	throw new IllegalInstruction();
+}
+
+function decodeCC2stat(iw0)
+{
+	const D = (iw0 >> 7) & 1;
+	const op = ['=', '|=', '&=', '^='][(iw0 >> 5) & 3];
+	const cbit = iw0 & 0x1F;
+	const bit = ASTAT_BITS[cbit] || `ASTAT[${cbit}]`;
+	return D ? `${bit} ${op} CC` : `CC ${op} ${bit}`;
+}
+
+function decodeBRCC(iw0, pc)
+{
+	const T = (iw0 >> 11) & 1;
+	const B = (iw0 >> 10) & 1;
+	const target = pc + signed(iw0 & 0x3FF, 10) * 2;
+	return `IF ${T ? '' : '!'}CC JUMP ${addr(target)}` + (B ? ' (BP)' : '');
+}
+
+function decodeUJUMP(iw0, pc)
+{
+	return `JUMP.S ${addr(pc + signed(iw0 & 0xFFF, 12) * 2)}`;
+}
+
+function decodeREGMV(iw0)
+{
+	const dst = reg((iw0 >> 9) & 7, (iw0 >> 3) & 7);
+	const src = reg((iw0 >> 6) & 7, iw0 & 7);
+	return `${dst} = ${src}`;
+}
+
+function decodeALU2op(iw0)
+{
+	const opc = (iw0 >> 6) & 0xF;
+	const src = dreg((iw0 >> 3) & 7);
+	const dst = dreg(iw0 & 7);
+	switch (opc) {
+		case 0: return `${dst} >>>= ${src}`;
+		case 1: return `${dst} >>= ${src}`;
+		case 2: return `${dst} <<= ${src}`;
+		case 3: return `${dst} *= ${src}`;
+		case 4: return `${dst} = (${dst} + ${src}) << 0x1`;
+		case 5: return `${dst} = (${dst} + ${src}) << 0x2`;
+		case 8: return `DIVQ (${dst}, ${src})`;
+		case 9: return `DIVS (${dst}, ${src})`;
+		case 10: return `${dst} = ${src}.L (X)`;
+		case 11: return `${dst} = ${src}.L (Z)`;
+		case 12: return `${dst} = ${src}.B (X)`;
+		case 13: return `${dst} = ${src}.B (Z)`;
+		case 14: return `${dst} = -${src}`;
+		case 15: return `${dst} = ~${src}`;
+	}
+	throw new IllegalInstruction();
+}
+
+function decodePTR2op(iw0)
+{
+	const opc = (iw0 >> 6) & 7;
+	const src = preg((iw0 >> 3) & 7);
+	const dst = preg(iw0 & 7);
+	switch (opc) {
+		case 0: return `${dst} -= ${src}`;
+		case 1: return `${dst} = ${src} << 0x2`;
+		case 3: return `${dst} = ${src} >> 0x2`;
+		case 4: return `${dst} = ${src} >> 0x1`;
+		case 5: return `${dst} += ${src} (BREV)`;
+		case 6: return `${dst} = (${dst} + ${src}) << 0x1`;
+		case 7: return `${dst} = (${dst} + ${src}) << 0x2`;
+	}
+	throw new IllegalInstruction();
+}
+
+function decodeLOGI2op(iw0)
+{
+	const opc = (iw0 >> 8) & 7;
+	const n = imm((iw0 >> 3) & 0x1F);
+	const dst = dreg(iw0 & 7);
+	switch (opc) {
+		case 0: return `CC = !BITTST (${dst}, ${n})`;
+		case 1: return `CC = BITTST (${dst}, ${n})`;
+		case 2: return `BITSET (${dst}, ${n})`;
+		case 3: return `BITTGL (${dst}, ${n})`;
+		case 4: return `BITCLR (${dst}, ${n})`;
+		case 5: return `${dst} >>>= ${n}`;
+		case 6: return `${dst} >>= ${n}`;
+		case 7: return `${dst} <<= ${n}`;
+	}
+}
+
+function decodeCOMP3op(iw0)
+{
+	const opc = (iw0 >> 9) & 7;
+	const dst = (iw0 >> 6) & 7;
+	const src1 = (iw0 >> 3) & 7;
+	const src0 = iw0 & 7;
+	if (opc < 5) {
+		const op = ['+', '-', '&', '|', '^'][opc];
+		return `${dreg(dst)} = ${dreg(src0)} ${op} ${dreg(src1)}`;
+	}
+	if (opc === 5) return `${preg(dst)} = ${preg(src0)} + ${preg(src1)}`;
+	return `${preg(dst)} = ${preg(src0)} + (${preg(src1)} << ${imm(opc - 5)})`;
+}
+
+function decodeCOMPI2op(iw0, group)
+{
+	const op = (iw0 >> 10) & 1;
+	const value = imm(signed((iw0 >> 3) & 0x7F, 7));
+	const dst = reg(group, iw0 & 7);
+	if (op) return `${dst} += ${value}`;
+	return `${dst} = ${value}` + (group === 0 ? ' (X)' : '');
+}
+
+function decodeLDSTpmod(iw0)
+{
+	const W = (iw0 >> 11) & 1;
+	const aop = (iw0 >> 9) & 3;
+	const r = (iw0 >> 6) & 7;
+	const idx = (iw0 >> 3) & 7;
+	const ptr = iw0 & 7;
+
+	// Post-modifying a pointer by itself isn't possible, so this encoding
+	// means no modification instead.
+	const mem = ((idx === ptr) && ((aop === 1) || (aop === 2)))
+		? `[${preg(ptr)}]`
+		: `[${preg(ptr)} ++ ${preg(idx)}]`;
+
+	if (!W) {
+		switch (aop) {
+			case 0: return `${dreg(r)} = ${mem}`;
+			case 1: return `${half(r, false)} = W${mem}`;
+			case 2: return `${half(r, true)} = W${mem}`;
+			case 3: return `${dreg(r)} = W${mem} (Z)`;
+		}
+	}
+	switch (aop) {
+		case 0: return `${mem} = ${dreg(r)}`;
+		case 1: return `W${mem} = ${half(r, false)}`;
+		case 2: return `W${mem} = ${half(r, true)}`;
+		case 3: return `${dreg(r)} = W${mem} (X)`;
+	}
+}
+
+function decodeDagMODim(iw0)
+{
+	const br = (iw0 >> 7) & 1;
+	const op = (iw0 >> 4) & 1;
+	const m = (iw0 >> 2) & 3;
+	const i = iw0 & 3;
+	if (op && br) throw new IllegalInstruction();
+	return `I${i} ${op ? '-=' : '+='} M${m}` + (br ? ' (BREV)' : '');
+}
+
+function decodeDagMODik(iw0)
+{
+	const op = (iw0 >> 2) & 3;
+	const i = iw0 & 3;
+	return `I${i} ` + ['+= 0x2', '-= 0x2', '+= 0x4', '-= 0x4'][op];
+}
+
+function decodeDspLDST(iw0)
+{
+	const W = (iw0 >> 9) & 1;
+	const aop = (iw0 >> 7) & 3;
+	const m = (iw0 >> 5) & 3;
+	const i = (iw0 >> 3) & 3;
+	const r = iw0 & 7;
+
+	let mem, value;
+	if (aop === 3) {
+		// Post-modify by an M register, 32-bit values only
+		if (m > 3) throw new IllegalInstruction();
+		mem = `[I${i} ++ M${m}]`;
+		value = dreg(r);
+	} else {
+		if (m === 3) throw new IllegalInstruction();
+		mem = `[I${i}${['++', '--', ''][aop]}]`;
+		if (m === 0) {
+			value = dreg(r);
+		} else {
+			value = half(r, m === 2);
+			mem = 'W' + mem;
+		}
+	}
+	return W ? `${mem} = ${value}` : `${value} = ${mem}`;
+}
+
+function decodeLDST(iw0)
+{
+	const sz = (iw0 >> 10) & 3;
+	const W = (iw0 >> 9) & 1;
+	const aop = (iw0 >> 7) & 3;
+	const Z = (iw0 >> 6) & 1;
+	const ptr = preg((iw0 >> 3) & 7);
+	const r = iw0 & 7;
+
+	if ((aop === 3) || (sz === 3)) throw new IllegalInstruction();
+	const mem = `[${ptr}${['++', '--', ''][aop]}]`;
+	const prefix = ['', 'W', 'B'][sz];
+
+	if (!W) {
+		if (sz === 0) return `${Z ? preg(r) : dreg(r)} = ${mem}`;
+		return `${dreg(r)} = ${prefix}${mem} (${Z ? 'X' : 'Z'})`;
+	}
+	if (sz === 0) return `${mem} = ${Z ? preg(r) : dreg(r)}`;
+	if (Z) throw new IllegalInstruction();
+	return `${prefix}${mem} = ${dreg(r)}`;
+}
+
+function decodeLDSTiiFP(iw0)
+{
+	const offset = ((iw0 >> 4) & 0x1F) - 0x20; // always negative
+	const W = (iw0 >> 9) & 1;
+	const r = reg((iw0 >> 3) & 1, iw0 & 7);
+	const mem = offsetOperand('FP', offset * 4);
+	return W ? `${mem} = ${r}` : `${r} = ${mem}`;
+}
+
+function decodeLDSTii(iw0)
+{
+	const r = iw0 & 7;
+	const ptr = preg((iw0 >> 3) & 7);
+	const offset = (iw0 >> 6) & 0xF;
+	const op = (iw0 >> 10) & 3;
+	const W = (iw0 >> 12) & 1;
+
+	const mem32 = offsetOperand(ptr, offset * 4);
+	const mem16 = 'W' + offsetOperand(ptr, offset * 2);
+	if (!W) {
+		switch (op) {
+			case 0: return `${dreg(r)} = ${mem32}`;
+			case 1: return `${dreg(r)} = ${mem16} (Z)`;
+			case 2: return `${dreg(r)} = ${mem16} (X)`;
+			case 3: return `${preg(r)} = ${mem32}`;
+		}
+	}
+	switch (op) {
+		case 0: return `${mem32} = ${dreg(r)}`;
+		case 1: return `${mem16} = ${dreg(r)}`;
+		case 3: return `${mem32} = ${preg(r)}`;
+	}
+	throw new IllegalInstruction();
+}
+
+/// Decode a 16-bit instruction.
+function decode16(iw0, pc)
+{
+	if ((iw0 & 0xFF00) === 0x0000) return decodeProgCtrl(iw0);
+	if ((iw0 & 0xFFC0) === 0x0240) return decodeCaCTRL(iw0);
+	if ((iw0 & 0xFF80) === 0x0100) return decodePushPopReg(iw0);
+	if ((iw0 & 0xFE00) === 0x0400) return decodePushPopMultiple(iw0);
+	if ((iw0 & 0xFE00) === 0x0600) return decodeCCMV(iw0);
+	if ((iw0 & 0xF800) === 0x0800) return decodeCCflag(iw0);
+	if ((iw0 & 0xFFE0) === 0x0200) return decodeCC2dreg(iw0);
+	if ((iw0 & 0xFF00) === 0x0300) return decodeCC2stat(iw0);
+	if ((iw0 & 0xF000) === 0x1000) return decodeBRCC(iw0, pc);
+	if ((iw0 & 0xF000) === 0x2000) return decodeUJUMP(iw0, pc);
+	if ((iw0 & 0xF000) === 0x3000) return decodeREGMV(iw0);
+	if ((iw0 & 0xFC00) === 0x4000) return decodeALU2op(iw0);
+	if ((iw0 & 0xFE00) === 0x4400) return decodePTR2op(iw0);
+	if ((iw0 & 0xF800) === 0x4800) return decodeLOGI2op(iw0);
+	if ((iw0 & 0xF000) === 0x5000) return decodeCOMP3op(iw0);
+	if ((iw0 & 0xF800) === 0x6000) return decodeCOMPI2op(iw0, 0);
+	if ((iw0 & 0xF800) === 0x6800) return decodeCOMPI2op(iw0, 1);
+	if ((iw0 & 0xF000) === 0x8000) return decodeLDSTpmod(iw0);
+	if ((iw0 & 0xFF60) === 0x9E60) return decodeDagMODim(iw0);
+	if ((iw0 & 0xFFF0) === 0x9F60) return decodeDagMODik(iw0);
+	if ((iw0 & 0xFC00) === 0x9C00) return decodeDspLDST(iw0);
+	if ((iw0 & 0xF000) === 0x9000) return decodeLDST(iw0);
+	if ((iw0 & 0xFC00) === 0xB800) return decodeLDSTiiFP(iw0);
+	if ((iw0 & 0xE000) === 0xA000) return decodeLDSTii(iw0);
+	return null;
+}
+
+function decodeLoopSetup(iw0, iw1, pc)
+{
+	const rop = (iw0 >> 5) & 3;
+	const c = (iw0 >> 4) & 1;
+	const start = addr(pc + (iw0 & 0xF) * 2);
+	const end = addr(pc + (iw1 & 0x3FF) * 2);
+	const p = preg((iw1 >> 12) & 7);
+
+	const setup = `LSETUP (${start}, ${end}) LC${c}`;
+	switch (rop) {
+		case 0: return setup;
+		case 1: return `${setup} = ${p}`;
+		case 3: return `${setup} = ${p} >> 0x1`;
+	}
+	throw new IllegalInstruction();
+}
+
+function decodeLDIMMhalf(iw0, iw1)
+{
+	const Z = (iw0 >> 7) & 1;
+	const H = (iw0 >> 6) & 1;
+	const S = (iw0 >> 5) & 1;
+	const r = reg((iw0 >> 3) & 3, iw0 & 7);
+
+	if (H + S + Z > 1) throw new IllegalInstruction();
+	if (S) return `${r} = ${imm(signed(iw1, 16))} (X)`;
+	if (Z) return `${r} = ${imm(iw1)} (Z)`;
+	return `${r}.${H ? 'H' : 'L'} = ${imm(iw1)}`;
+}
+
+function decodeCALLa(iw0, iw1, pc)
+{
+	const S = (iw0 >> 8) & 1;
+	const target = pc + signed(((iw0 & 0xFF) << 16) | iw1, 24) * 2;
+	return `${S ? 'CALL' : 'JUMP.L'} ${addr(target)}`;
+}
+
+function decodeLDSTidxI(iw0, iw1)
+{
+	const W = (iw0 >> 9) & 1;
+	const Z = (iw0 >> 8) & 1;
+	const sz = (iw0 >> 6) & 3;
+	const ptr = preg((iw0 >> 3) & 7);
+	const r = iw0 & 7;
+
+	if (sz === 3) throw new IllegalInstruction();
+	const mem = ['', 'W', 'B'][sz] + offsetOperand(ptr, signed(iw1, 16) << (2 - sz));
+
+	if (!W) {
+		if (sz === 0) return `${Z ? preg(r) : dreg(r)} = ${mem}`;
+		return `${dreg(r)} = ${mem} (${Z ? 'X' : 'Z'})`;
+	}
+	if (sz === 0) return `${mem} = ${Z ? preg(r) : dreg(r)}`;
+	if (Z) throw new IllegalInstruction();
+	return `${mem} = ${dreg(r)}`;
+}
+
+function decodeLinkage(iw0, iw1)
+{
+	return (iw0 & 1) ? 'UNLINK' : `LINK ${imm(iw1 * 4)}`;
+}
+
+function decodeDsp32alu(iw0, iw1)
+{
+	const HL = (iw0 >> 5) & 1;
+	const aopcde = iw0 & 0x1F;
+	const aop = (iw1 >> 14) & 3;
+	const s = (iw1 >> 13) & 1;
+	const x = (iw1 >> 12) & 1;
+	const dst0 = dreg((iw1 >> 9) & 7);
+	const dst1 = dreg((iw1 >> 6) & 7);
+	const src0 = (iw1 >> 3) & 7;
+	const src1 = iw1 & 7;
+
+	const sat = s ? ' (S)' : ' (NS)';
+	switch (aopcde) {
+		case 0: {
+			const ops = ['+|+', '+|-', '-|+', '-|-'][aop];
+			const mode = ['', ' (CO)', ' (S)', ' (SCO)'][x | (s << 1)];
+			return `${dst0} = ${dreg(src0)} ${ops} ${dreg(src1)}${mode}`;
+		}
+		case 2:
+		case 3:
+			return `${half((iw1 >> 9) & 7, HL)} = ${half(src0, aop & 2)} `
+				+ `${aopcde === 2 ? '+' : '-'} ${half(src1, aop & 1)}${sat}`;
+		case 4:
+			if (aop === 0) return `${dst0} = ${dreg(src0)} + ${dreg(src1)}${sat}`;
+			if (aop === 1) return `${dst0} = ${dreg(src0)} - ${dreg(src1)}${sat}`;
+			if (aop === 2) {
+				return `${dst1} = ${dreg(src0)} + ${dreg(src1)}, `
+					+ `${dst0} = ${dreg(src0)} - ${dreg(src1)}${sat}`;
+			}
+			break;
+		case 6:
+		case 7: {
+			const v = (aopcde === 6) ? ' (V)' : '';
+			if (aop === 0) return `${dst0} = MAX (${dreg(src0)}, ${dreg(src1)})${v}`;
+			if (aop === 1) return `${dst0} = MIN (${dreg(src0)}, ${dreg(src1)})${v}`;
+			if (aop === 2) return `${dst0} = ABS ${dreg(src0)}${v}`;
+			if (aopcde === 7) return `${dst0} = -${dreg(src0)}${sat}`;
+			break;
+		}
+		case 8:
+			return [
+				['A0 = 0', 'A0 = A0 (S)'],
+				['A1 = 0', 'A1 = A1 (S)'],
+				['A1 = A0 = 0', 'A1 = A1 (S), A0 = A0 (S)'],
+				['A0 = A1', 'A1 = A0'],
+			][aop][s];
+	}
+	return null;
+}
+
+function decodeDsp32shift(iw0, iw1)
+{
+	const sopcde = iw0 & 0x1F;
+	const sop = (iw1 >> 14) & 3;
+	const HLs = (iw1 >> 12) & 3;
+	const dst0 = (iw1 >> 9) & 7;
+	const src0 = (iw1 >> 3) & 7;
+	const src1 = iw1 & 7;
+
+	const by = `BY ${half(src0, false)}`;
+	switch (sopcde) {
+		case 0: {
+			if (sop === 3) break;
+			const type = (sop === 2) ? 'LSHIFT' : 'ASHIFT';
+			return `${half(dst0, HLs & 2)} = ${type} ${half(src1, HLs & 1)} ${by}`
+				+ ((sop === 1) ? ' (S)' : '');
+		}
+		case 1:
+			if (sop === 3) break;
+			return `${dreg(dst0)} = ${(sop === 2) ? 'LSHIFT' : 'ASHIFT'} ${dreg(src1)} ${by}`
+				+ ['(V)', '(V, S)', '(V)'].map(m => ' ' + m)[sop];
+		case 2: {
+			const type = ['ASHIFT', 'ASHIFT', 'LSHIFT', 'ROT'][sop];
+			return `${dreg(dst0)} = ${type} ${dreg(src1)} ${by}` + ((sop === 1) ? ' (S)' : '');
+		}
+		case 4:
+			return `${dreg(dst0)} = PACK (${half(src1, sop & 2)}, ${half(src0, sop & 1)})`;
+		case 5:
+			if (sop === 3) break;
+			return `${half(dst0, false)} = SIGNBITS `
+				+ [dreg(src1), half(src1, false), half(src1, true)][sop];
+		case 6:
+			if (sop === 0) return `${half(dst0, false)} = SIGNBITS A0`;
+			if (sop === 1) return `${half(dst0, false)} = SIGNBITS A1`;
+			if (sop === 3) return `${half(dst0, false)} = ONES ${dreg(src1)}`;
+			break;
+		case 10:
+			if (sop < 2) {
+				return `${dreg(dst0)} = EXTRACT (${dreg(src1)}, ${half(src0, false)})`
+					+ (sop ? ' (X)' : ' (Z)');
+			}
+			return `${dreg(dst0)} = DEPOSIT (${dreg(src1)}, ${dreg(src0)})`
+				+ ((sop === 3) ? ' (X)' : '');
+		case 13:
+			if (sop === 3) break;
+			return `${dreg(dst0)} = ALIGN${(sop + 1) * 8} (${dreg(src1)}, ${dreg(src0)})`;
+	}
+	return null;
+}
+
+function decodeDsp32shiftimm(iw0, iw1)
+{
+	const sopcde = iw0 & 0x1F;
+	const sop = (iw1 >> 14) & 3;
+	const HLs = (iw1 >> 12) & 3;
+	const dst0 = (iw1 >> 9) & 7;
+	const immag = (iw1 >> 3) & 0x3F;
+	const src1 = iw1 & 7;
+
+	// The shift is a signed 6-bit value, negative for right shifts.
+	const isRight = !!(immag & 0x20);
+	const amount = imm(isRight ? (0x40 - immag) : immag);
+
+	let dst, src;
+	if (sopcde === 0) {
+		dst = half(dst0, HLs & 2);
+		src = half(src1, HLs & 1);
+	} else if (sopcde === 2) {
+		dst = dreg(dst0);
+		src = dreg(src1);
+		if (sop === 3) return `${dst} = ROT ${src} BY ${imm(signed(immag, 6))}`;
+	} else {
+		return null;
+	}
+
+	switch (sop) {
+		case 0: return `${dst} = ${src} ${isRight ? '>>>' : '<<'} ${amount}`;
+		case 1: return isRight ? null : `${dst} = ${src} << ${amount} (S)`;
+		case 2: return `${dst} = ${src} ${isRight ? '>>' : '<<'} ${amount}`;
+	}
+	return null;
+}
+
+/// Decode a 32-bit instruction.
+function decode32(iw0, iw1, pc)
+{
+	if (((iw0 & 0xF7FF) === 0xC003) && (iw1 === 0x1800)) return 'MNOP';
+	if (((iw0 & 0xFF80) === 0xE080) && ((iw1 & 0x0C00) === 0)) return decodeLoopSetup(iw0, iw1, pc);
+	if ((iw0 & 0xFF00) === 0xE100) return decodeLDIMMhalf(iw0, iw1);
+	if ((iw0 & 0xFE00) === 0xE200) return decodeCALLa(iw0, iw1, pc);
+	if ((iw0 & 0xFC00) === 0xE400) return decodeLDSTidxI(iw0, iw1);
+	if ((iw0 & 0xFFFE) === 0xE800) return decodeLinkage(iw0, iw1);
+	if ((iw0 & 0xF7C0) === 0xC400) return decodeDsp32alu(iw0, iw1);
+	if (((iw0 & 0xF7E0) === 0xC600) && ((iw1 & 0x01C0) === 0)) return decodeDsp32shift(iw0, iw1);
+	if ((iw0 & 0xF7E0) === 0xC680) return decodeDsp32shiftimm(iw0, iw1);
+	return null;
+}
+
+/// Show bytes as an assembler directive, as text if it's all printable.
+function dataDirective(bytes)
+{
+	if (bytes.every(c => (c >= 0x20) && (c < 0x7F))) {
+		return '.ascii "' + bytes.toString('latin1').replace(/["\\]/g, '\\$&') + '"';
+	}
+	return '.byte ' + Array.from(bytes).map(c => imm(c)).join(', ');
+}
+
+/// Decode one instruction, catching illegal encodings.
+function tryDecode(fn)
+{
+	try {
+		return fn();
+	} catch (e) {
+		if (e instanceof IllegalInstruction) return 'ILLEGAL';
+		throw e;
+	}
+}
+
+/**
+ * Decode Blackfin machine code.
+ *
+ * Instructions are 16 or 32 bits long, or 64 bits for a 32-bit DSP
+ * instruction issued in parallel with two 16-bit ones.  The 16-bit
+ * instructions and the 32-bit load/store, jump, call, loop setup, immediate
+ * load and LINK instructions are all decoded, along with the commonly used
+ * DSP ALU and shift instructions.  The remaining DSP instructions (such as
+ * multiply-accumulate) are shown as `.word` values.
+ */
+class BlackfinDisassembler
+{
+	/// Decode the instruction at an offset.
+	/**
+	 * @param Buffer data
+	 *   Machine code.
+	 *
+	 * @param Number offset
+	 *   Offset into `data` of the instruction, which must be even.
+	 *
+	 * @param Number pc
+	 *   Address of the instruction, for working out jump targets.
+	 *
+	 * @return Object `{length, text, known}`, where `length` is the
+	 *   instruction length in bytes and `known` is false if the instruction
+	 *   could not be decoded, in which case `text` holds its value as `.word`
+	 *   data.
+	 */
+	static decode(data, offset, pc)
+	{
+		const remaining = data.length - offset;
+		if (remaining < 2) {
+			return {
+				length: remaining,
+				text: `.byte ${imm(data[offset])}`,
+				known: false,
+			};
+		}
+
+		const iw0 = data.readUInt16LE(offset);
+		const words = [iw0];
+		let text;
+
+		const is32 = ((iw0 & 0xC000) === 0xC000) && ((iw0 & 0xFE00) !== 0xF800);
+		if (!is32) {
+			text = tryDecode(() => decode16(iw0, pc));
+		} else {
+			const isMulti = (iw0 & 0xF800) === 0xC800;
+			const length = isMulti ? 8 : 4;
+			if (remaining < length) {
+				text = null;
+			} else {
+				const iw1 = data.readUInt16LE(offset + 2);
+				words.push(iw1);
+				text = tryDecode(() => decode32(iw0, iw1, pc));
+				if (isMulti) {
+					const iw2 = data.readUInt16LE(offset + 4);
+					const iw3 = data.readUInt16LE(offset + 6);
+					words.push(iw2, iw3);
+					const slot2 = tryDecode(() => decode16(iw2, pc + 4));
+					const slot3 = tryDecode(() => decode16(iw3, pc + 6));
+					text = (text && slot2 && slot3) ? `${text} || ${slot2} || ${slot3}` : null;
+				}
+			}
+		}
+
+		if (!text || (text === 'ILLEGAL')) {
+			return {
+				length: words.length * 2,
+				text: text || ('.word ' + words.map(w => imm(w)).join(', ')),
+				known: false,
+			};
+		}
+		return {
+			length: words.length * 2,
+			text: text + ';',
+			known: true,
+		};
+	}
+
+	/// Decode a block of machine code.
+	/**
+	 * @param Buffer data
+	 *   Machine code.
+	 *
+	 * @param Number address
+	 *   Address the first byte of `data` is loaded to.
+	 *
+	 * @param Object options
+	 *   `known`: List of `{offset, length, title}` giving data at known
+	 *   offsets in `data`, which is shown as data instead of being decoded.
+	 *
+	 *   `strings`: Object mapping addresses to text, used to annotate
+	 *   instructions that load one of those addresses into a register.
+	 *
+	 * @return Array of `{address, data, text, comment}`, one per instruction
+	 *   or line of data.  `data` is the Buffer the line was decoded from and
+	 *   `comment` is undefined unless there is something to say about it.
+	 */
+	static disassemble(data, address, options = {})
+	{
+		const known = (options.known || [])
+			.filter(k => (k.offset < data.length) && (k.offset + k.length > 0))
+			.sort((a, b) => a.offset - b.offset);
+		const strings = options.strings || {};
+
+		let lines = [];
+		function addLine(offset, length, text, comment) {
+			lines.push({
+				address: address + offset,
+				data: data.slice(offset, offset + length),
+				text: text,
+				comment: comment,
+			});
+		}
+
+		// Register and value of the last LDIMMhalf instruction, as addresses
+		// are loaded with a pair of them, e.g. `P0.L = 0x1234; P0.H = 0xff80;`.
+		let lastLoad = {};
+
+		let offset = 0;
+		while (offset < data.length) {
+			const next = known[0];
+			if (next && (next.offset <= offset)) {
+				known.shift();
+				const end = Math.min(next.offset + next.length, data.length);
+				const content = data.slice(Math.max(next.offset, 0), end);
+				for (let i = 0; i < content.length; i += 8) {
+					const chunk = content.slice(i, i + 8);
+					addLine(end - content.length + i, chunk.length, dataDirective(chunk),
+						(i === 0) ? next.title : undefined);
+				}
+				offset = Math.max(offset, end);
+				lastLoad = {};
+				continue;
+			}
+
+			// Odd offsets can only follow known data, and instructions are always
+			// aligned to 16 bits.
+			if (offset % 2) {
+				addLine(offset, 1, `.byte ${imm(data[offset])}`);
+				offset++;
+				continue;
+			}
+
+			let insn = this.decode(data, offset, address + offset);
+			if (next && (offset + insn.length > next.offset)) {
+				// Instruction would overlap known data, so it can't be one.
+				const length = next.offset - offset;
+				addLine(offset, length, dataDirective(data.slice(offset, next.offset)));
+				offset += length;
+				lastLoad = {};
+				continue;
+			}
+
+			let comment;
+			const isLDIMMhalf = insn.known && (insn.length === 4)
+				&& (data[offset + 1] === 0xE1);
+			if (isLDIMMhalf) {
+				const iw0 = data.readUInt16LE(offset);
+				const iw1 = data.readUInt16LE(offset + 2);
+				const target = iw0 & 0x1F;
+				let value;
+				if (iw0 & 0x0080) { // (Z)
+					value = iw1;
+				} else if (iw0 & 0x0020) { // (X)
+					value = signed(iw1, 16) >>> 0;
+				} else if (lastLoad.target === target) {
+					const isHigh = !!(iw0 & 0x0040);
+					if (isHigh !== lastLoad.isHigh) {
+						value = isHigh ? ((iw1 << 16) | lastLoad.value) : ((lastLoad.value << 16) | iw1);
+						value >>>= 0;
+					}
+				}
+				if ((value !== undefined) && (strings[value] !== undefined)) {
+					comment = JSON.stringify(strings[value]);
+				}
+				lastLoad = {
+					target: target,
+					isHigh: !!(iw0 & 0x0040),
+					value: iw1,
+				};
+			} else {
+				lastLoad = {};
+			}
+
+			addLine(offset, insn.length, insn.text, comment);
+			offset += insn.length;
+		}
+
+		return lines;
+	}
+
+	/// Find the NUL-terminated text strings in some data.
+	/**
+	 * @param Buffer data
+	 *   Data to search.
+	 *
+	 * @param Number minLength
+	 *   Shortest string to include, to skip bytes in code that just happen to
+	 *   be printable.
+	 *
+	 * @return Object mapping each string's offset to its text.
+	 */
+	static findStrings(data, minLength = 4)
+	{
+		let strings = {};
+		let start = 0;
+		for (let i = 0; i < data.length; i++) {
+			const c = data[i];
+			if ((c >= 0x20) && (c < 0x7F)) continue;
+			if ((c === 0) && (i - start >= minLength)) {
+				strings[start] = data.slice(start, i).toString('latin1');
+			}
+			start = i + 1;
+		}
+		return strings;
+	}
+};
+
+module.exports = BlackfinDisassembler;
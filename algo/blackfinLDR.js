@@ -0,0 +1,229 @@
+/**
+ * Blackfin BF53x boot stream (LDR) reader and writer.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Size of the header before each block.
+const HEADER_LENGTH = 10;
+
+// Largest block that will be accepted, the size of the address space used.
+const MAX_BLOCK_LENGTH = 1 << 21; // 2 MB
+
+// Taken from description above FGRAB_HEADER in ADSP-BF533-ROM-V03.asm
+// (BF533 internal boot ROM source code) available at:
+// https://sourceforge.net/projects/adiopshw/files/BootROM%20Source/
+const FLAGS = {
+	ZEROFILL: 1 << 0,
+	RESVECT: 1 << 1,
+	INIT: 1 << 3,
+	IGNORE: 1 << 4,
+	FINAL: 1 << 15,
+};
+const PFLAG_SHIFT = 5;
+const PFLAG_MASK = 0xF << PFLAG_SHIFT;
+
+// Value in the low byte of the first block's address selecting 16-bit flash.
+// Any other value means 8-bit flash.
+const FLASH_WIDTH_MASK = 0xF0;
+const FLASH_WIDTH_16 = 0x60;
+
+/**
+ * Read and write the boot stream the BF53x boot ROM loads from flash.
+ *
+ * The stream is a series of blocks, each with a 10-byte header giving the
+ * address to load it to, its length and some flags, followed by the data
+ * itself (except for ZEROFILL blocks, which have no data).  The boot ROM stops
+ * after the block with the FINAL flag, so anything after it is returned as
+ * `trailing` data.
+ */
+class BlackfinLDR
+{
+	/// Split a boot stream into its blocks.
+	/**
+	 * @param Buffer data
+	 *   Boot stream, e.g. the DEQ2496 bootloader image.
+	 *
+	 * @return Object `{flashWidth, blocks, trailing}`.  `flashWidth` is 8 or
+	 *   16, from the first block's address.  `blocks` is a list of
+	 *   `{address, length, flags, flagText, content, offset}`, where `address`
+	 *   is the value as stored (so the first one includes the flash width),
+	 *   `flagText` lists the flag names and `offset` is where `content` starts
+	 *   in `data`.  `trailing` is a Buffer of any data
+	 *   after the final block.
+	 */
+	static parse(data)
+	{
+		data = Buffer.from(data);
+
+		let blocks = [];
+		let offset = 0;
+		while (data.length - offset >= HEADER_LENGTH) {
+			const header = data.slice(offset, offset + HEADER_LENGTH);
+			// Erased flash, so the stream has ended without a FINAL block.
+			if (header.every(b => b === 0xFF)) break;
+
+			let block = {
+				address: header.readUInt32LE(0),
+				length: header.readUInt32LE(4),
+				flags: header.readUInt16LE(8),
+			};
+			block.flagText = this.describeFlags(block.flags);
+
+			if (block.length > MAX_BLOCK_LENGTH) {
+				throw new Error(`Corrupted bootloader - block ${blocks.length} length `
+					+ `(${block.length}) is larger than total memory size.`);
+			}
+
+			offset += HEADER_LENGTH;
+			block.offset = offset;
+			if (block.flags & FLAGS.ZEROFILL) {
+				block.content = Buffer.alloc(0);
+			} else {
+				if (offset + block.length > data.length) {
+					throw new Error(`Corrupted bootloader - block ${blocks.length} is `
+						+ `truncated, ${block.length} bytes are needed but only `
+						+ `${data.length - offset} remain.`);
+				}
+				block.content = data.slice(offset, offset + block.length);
+				offset += block.length;
+			}
+			blocks.push(block);
+
+			if (block.flags & FLAGS.FINAL) break;
+		}
+
+		let flashWidth = 8;
+		if (blocks.length && ((blocks[0].address & FLASH_WIDTH_MASK) === FLASH_WIDTH_16)) {
+			flashWidth = 16;
+		}
+
+		return {
+			flashWidth: flashWidth,
+			blocks: blocks,
+			trailing: data.slice(offset),
+		};
+	}
+
+	/// Produce a boot stream from a list of blocks.
+	/**
+	 * This is the reverse of parse(), so `build(parse(x).blocks)` followed by
+	 * the `trailing` data gives back `x` unchanged.
+	 *
+	 * @param Array blocks
+	 *   List of `{address, flags, content}` as returned by parse().  `flags`
+	 *   may be a number or a list of names as accepted by parseFlags().
+	 *   ZEROFILL blocks need `length` instead of `content`.
+	 *
+	 * @param Object options
+	 *   `flashWidth`: 8 or 16 to set the flash width in the first block's
+	 *   address.  If omitted the address is used as it is.
+	 *
+	 * @return Buffer containing the boot stream.
+	 */
+	static build(blocks, options = {})
+	{
+		let chunks = [];
+		blocks.forEach((block, index) => {
+			const flags = (typeof(block.flags) === 'number')
+				? block.flags
+				: this.parseFlags(block.flags || []);
+			const isZeroFill = !!(flags & FLAGS.ZEROFILL);
+
+			let address = block.address;
+			if ((index === 0) && options.flashWidth) {
+				if (![8, 16].includes(options.flashWidth)) {
+					throw new Error('Flash width must be 8 or 16.');
+				}
+				address = (address & ~FLASH_WIDTH_MASK)
+					| ((options.flashWidth === 16) ? FLASH_WIDTH_16 : 0);
+			}
+
+			const content = isZeroFill ? Buffer.alloc(0) : Buffer.from(block.content || []);
+			const length = isZeroFill ? block.length : content.length;
+			if (!(length >= 0) || (length > MAX_BLOCK_LENGTH)) {
+				throw new Error(`Block ${index} has an invalid length.`);
+			}
+
+			let header = Buffer.alloc(HEADER_LENGTH);
+			header.writeUInt32LE(address >>> 0, 0);
+			header.writeUInt32LE(length, 4);
+			header.writeUInt16LE(flags, 8);
+			chunks.push(header, content);
+		});
+		return Buffer.concat(chunks);
+	}
+
+	/// Convert block flags into a list of names.
+	/**
+	 * @param Number flags
+	 *   Flags field from a block header.
+	 *
+	 * @return Array of strings, e.g. `['INIT', 'PFLAG=3']`.  Bits with no
+	 *   known meaning are listed as `(reservedN)` for bit N.
+	 */
+	static describeFlags(flags)
+	{
+		let text = [];
+		for (let bit = 0; bit < 16; bit++) {
+			const mask = 1 << bit;
+			if (mask & PFLAG_MASK) {
+				if (bit === PFLAG_SHIFT && (flags & PFLAG_MASK)) {
+					text.push('PFLAG=' + ((flags & PFLAG_MASK) >> PFLAG_SHIFT));
+				}
+				continue;
+			}
+			if (!(flags & mask)) continue;
+			const name = Object.keys(FLAGS).find(n => FLAGS[n] === mask);
+			text.push(name || `(reserved${bit})`);
+		}
+		return text;
+	}
+
+	/// Convert a list of flag names back into a number.
+	/**
+	 * @param Array|String names
+	 *   Names as returned by describeFlags(), either as an array or a string
+	 *   separated by spaces.
+	 *
+	 * @return Number for the block header.
+	 */
+	static parseFlags(names)
+	{
+		if (typeof(names) === 'string') {
+			names = names.split(' ').filter(n => n);
+		}
+		let flags = 0;
+		for (const name of names) {
+			const pflag = name.match(/^PFLAG=([0-9]+)$/);
+			const reserved = name.match(/^\(reserved([0-9]+)\)$/);
+			if (FLAGS[name] !== undefined) {
+				flags |= FLAGS[name];
+			} else if (pflag && (pflag[1] < 16)) {
+				flags |= pflag[1] << PFLAG_SHIFT;
+			} else if (reserved && (reserved[1] < 16)) {
+				flags |= 1 << reserved[1];
+			} else {
+				throw new Error(`Unknown boot block flag: ${name}`);
+			}
+		}
+		return flags;
+	}
+};
+
+BlackfinLDR.flags = FLAGS;
+
+module.exports = BlackfinLDR;
@@ -0,0 +1,49 @@
+/**
+ * CRC-32 as used by PNG and zlib.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+let table;
+
+/**
+ * Calculate the standard CRC-32 (polynomial 0xEDB88320) of some data.
+ *
+ * @param data
+ *   Array of bytes.
+ *
+ * @return Number, 32-bit unsigned CRC.
+ */
+function crc32(data) {
+	if (!table) {
+		table = new Uint32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) {
+				c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+			}
+			table[n] = c >>> 0;
+		}
+	}
+
+	let crc = 0xFFFFFFFF;
+	for (const b of data) {
+		crc = table[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = crc32;
@@ -0,0 +1,158 @@
+/**
+ * ELF executable writer, for loading firmware into disassemblers.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// e_machine value for the Analog Devices Blackfin.
+const EM_BLACKFIN = 106;
+
+const ELF_HEADER_LENGTH = 52;
+const PROGRAM_HEADER_LENGTH = 32;
+const SECTION_HEADER_LENGTH = 40;
+
+const PT_LOAD = 1;
+const PF_RWX = 7;
+const SHT_PROGBITS = 1;
+const SHT_STRTAB = 3;
+const SHT_NOBITS = 8;
+const SHF_WAE = 7; // SHF_WRITE | SHF_ALLOC | SHF_EXECINSTR
+
+/**
+ * Produce a 32-bit little-endian ELF executable.
+ *
+ * Each segment gets both a program header (used by loaders such as Ghidra)
+ * and a section header (used by objdump) so that it is placed at its address
+ * whichever one is used.  Everything is marked readable, writable and
+ * executable, as nothing is known about what the data holds.
+ *
+ * @param Array segments
+ *   List of `{name, address, data, size}`.  `size` is only needed for a
+ *   segment larger than `data`, and the extra space is filled with zeroes when
+ *   loaded, e.g. for a ZEROFILL boot block with no data at all.
+ *
+ * @param Number entry
+ *   Address execution starts at.
+ *
+ * @param Number machine
+ *   ELF machine type, which defaults to the Blackfin.
+ *
+ * @return Buffer containing the ELF file.
+ */
+function elf(segments, entry, machine = EM_BLACKFIN)
+{
+	// Section names, starting with the empty name of the null section.
+	let strtab = [Buffer.alloc(1)];
+	let strtabLength = 1;
+	function addString(s) {
+		const offset = strtabLength;
+		const buf = Buffer.from(s + '\u0000', 'latin1');
+		strtab.push(buf);
+		strtabLength += buf.length;
+		return offset;
+	}
+
+	let offset = ELF_HEADER_LENGTH + segments.length * PROGRAM_HEADER_LENGTH;
+	const placed = segments.map(seg => {
+		const data = Buffer.from(seg.data || []);
+		const p = {
+			nameOffset: addString(seg.name),
+			address: seg.address >>> 0,
+			data: data,
+			offset: offset,
+			size: Math.max(seg.size || 0, data.length),
+		};
+		offset += data.length;
+		return p;
+	});
+	const shstrtabName = addString('.shstrtab');
+	const shstrtab = Buffer.concat(strtab);
+	const shstrtabOffset = offset;
+	offset += shstrtab.length;
+
+	// Section headers must be aligned.
+	const sectionPadding = (4 - (offset % 4)) % 4;
+	const shoff = offset + sectionPadding;
+	const shnum = placed.length + 2; // plus null and .shstrtab
+
+	let header = Buffer.alloc(ELF_HEADER_LENGTH);
+	header.write('\u007FELF', 0, 'latin1');
+	header[4] = 1; // ELFCLASS32
+	header[5] = 1; // ELFDATA2LSB
+	header[6] = 1; // EV_CURRENT
+	header.writeUInt16LE(2, 16); // ET_EXEC
+	header.writeUInt16LE(machine, 18);
+	header.writeUInt32LE(1, 20); // EV_CURRENT
+	header.writeUInt32LE(entry >>> 0, 24);
+	header.writeUInt32LE(ELF_HEADER_LENGTH, 28); // e_phoff
+	header.writeUInt32LE(shoff, 32);
+	header.writeUInt32LE(0, 36); // e_flags
+	header.writeUInt16LE(ELF_HEADER_LENGTH, 40);
+	header.writeUInt16LE(PROGRAM_HEADER_LENGTH, 42);
+	header.writeUInt16LE(placed.length, 44);
+	header.writeUInt16LE(SECTION_HEADER_LENGTH, 46);
+	header.writeUInt16LE(shnum, 48);
+	header.writeUInt16LE(shnum - 1, 50); // e_shstrndx
+
+	const programHeaders = placed.map(p => {
+		let ph = Buffer.alloc(PROGRAM_HEADER_LENGTH);
+		ph.writeUInt32LE(PT_LOAD, 0);
+		ph.writeUInt32LE(p.offset, 4);
+		ph.writeUInt32LE(p.address, 8); // p_vaddr
+		ph.writeUInt32LE(p.address, 12); // p_paddr
+		ph.writeUInt32LE(p.data.length, 16); // p_filesz
+		ph.writeUInt32LE(p.size, 20); // p_memsz
+		ph.writeUInt32LE(PF_RWX, 24);
+		ph.writeUInt32LE(1, 28); // p_align
+		return ph;
+	});
+
+	function sectionHeader(nameOffset, type, flags, address, offset, size) {
+		let sh = Buffer.alloc(SECTION_HEADER_LENGTH);
+		sh.writeUInt32LE(nameOffset, 0);
+		sh.writeUInt32LE(type, 4);
+		sh.writeUInt32LE(flags, 8);
+		sh.writeUInt32LE(address, 12);
+		sh.writeUInt32LE(offset, 16);
+		sh.writeUInt32LE(size, 20);
+		sh.writeUInt32LE(1, 32); // sh_addralign
+		return sh;
+	}
+
+	const sectionHeaders = [
+		Buffer.alloc(SECTION_HEADER_LENGTH), // null section
+		...placed.map(p => sectionHeader(
+			p.nameOffset,
+			p.data.length ? SHT_PROGBITS : SHT_NOBITS,
+			SHF_WAE,
+			p.address,
+			p.offset,
+			p.data.length ? p.data.length : p.size
+		)),
+		sectionHeader(shstrtabName, SHT_STRTAB, 0, 0, shstrtabOffset, shstrtab.length),
+	];
+
+	return Buffer.concat([
+		header,
+		...programHeaders,
+		...placed.map(p => p.data),
+		shstrtab,
+		Buffer.alloc(sectionPadding),
+		...sectionHeaders,
+	]);
+}
+
+module.exports = elf;
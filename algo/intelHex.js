@@ -0,0 +1,75 @@
+/**
+ * Intel HEX encoder, as read by most EEPROM programmers.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Data bytes in each record.
+const RECORD_LENGTH = 16;
+
+const RECORD_DATA = 0x00;
+const RECORD_EOF = 0x01;
+const RECORD_EXTENDED_LINEAR_ADDRESS = 0x04;
+
+function record(type, address, data)
+{
+	const bytes = [
+		data.length,
+		(address >> 8) & 0xFF,
+		address & 0xFF,
+		type,
+		...data,
+	];
+	const sum = bytes.reduce((a, b) => a + b, 0);
+	bytes.push((0x100 - (sum & 0xFF)) & 0xFF);
+	return ':' + Buffer.from(bytes).toString('hex').toUpperCase();
+}
+
+/**
+ * Convert binary data into Intel HEX text.
+ *
+ * Extended linear address records are used for addresses above 64 kB, so
+ * anything up to 4 GB can be stored.
+ *
+ * @param data
+ *   Array of bytes.
+ *
+ * @param address
+ *   Address of the first byte of `data`.
+ *
+ * @return String, with CRLF line endings.
+ */
+function intelHex(data, address = 0) {
+	let lines = [];
+	let upper = 0;
+	let pos = 0;
+	while (pos < data.length) {
+		const target = address + pos;
+		// Don't let a record cross a 64 kB boundary.
+		const length = Math.min(RECORD_LENGTH, data.length - pos, 0x10000 - (target & 0xFFFF));
+		if ((target >>> 16) !== upper) {
+			upper = target >>> 16;
+			lines.push(record(RECORD_EXTENDED_LINEAR_ADDRESS, 0, [upper >> 8, upper & 0xFF]));
+		}
+		lines.push(record(RECORD_DATA, target & 0xFFFF,
+			Array.from(data.slice(pos, pos + length))));
+		pos += length;
+	}
+	lines.push(record(RECORD_EOF, 0, []));
+	return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = intelHex;
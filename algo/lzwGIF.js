@@ -0,0 +1,87 @@
+/**
+ * LZW compression as used by GIF images.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Compress pixel data using the variable-length LZW codes of the GIF format.
+ *
+ * @param Number minCodeSize
+ *   Number of bits needed for each pixel value, 2 to 8.  This must also be
+ *   written to the GIF file just before the compressed data.
+ *
+ * @param Array indices
+ *   Pixel values (palette indices), each less than `1 << minCodeSize`.
+ *
+ * @return Array of bytes, not yet split into GIF sub-blocks.
+ */
+function lzwGIF(minCodeSize, indices)
+{
+	const clearCode = 1 << minCodeSize;
+	const eoiCode = clearCode + 1;
+
+	let out = [];
+	let bits = 0, bitCount = 0;
+	let codeSize = minCodeSize + 1;
+
+	function emit(code)
+	{
+		// Codes are packed least significant bit first.
+		bits |= code << bitCount;
+		bitCount += codeSize;
+		while (bitCount >= 8) {
+			out.push(bits & 0xFF);
+			bits >>>= 8;
+			bitCount -= 8;
+		}
+	}
+
+	let nextCode = eoiCode + 1;
+	let table = new Map();
+	emit(clearCode);
+
+	let prefix = indices[0];
+	for (let i = 1; i < indices.length; i++) {
+		const k = indices[i];
+		const key = (prefix << 8) | k;
+		const code = table.get(key);
+		if (code !== undefined) {
+			prefix = code;
+			continue;
+		}
+		emit(prefix);
+		if (nextCode === 4096) {
+			// Table is full, start again.
+			emit(clearCode);
+			table = new Map();
+			nextCode = eoiCode + 1;
+			codeSize = minCodeSize + 1;
+		} else {
+			// The decoder only grows its code size once it has added this code.
+			if (nextCode >= (1 << codeSize)) codeSize++;
+			table.set(key, nextCode++);
+		}
+		prefix = k;
+	}
+	if (indices.length) emit(prefix);
+	emit(eoiCode);
+	if (bitCount) out.push(bits & 0xFF);
+
+	return out;
+}
+
+module.exports = lzwGIF;
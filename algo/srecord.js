@@ -0,0 +1,84 @@
+/**
+ * Motorola S-record encoder, as read by most EEPROM programmers.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Data bytes in each record.
+const RECORD_LENGTH = 16;
+
+function record(type, addressLength, address, data)
+{
+	let bytes = [addressLength + data.length + 1];
+	for (let i = addressLength - 1; i >= 0; i--) {
+		bytes.push(Math.floor(address / Math.pow(2, i * 8)) & 0xFF);
+	}
+	bytes.push(...data);
+	const sum = bytes.reduce((a, b) => a + b, 0);
+	bytes.push(~sum & 0xFF);
+	return 'S' + type + Buffer.from(bytes).toString('hex').toUpperCase();
+}
+
+/**
+ * Convert binary data into Motorola S-record text.
+ *
+ * The smallest address size that fits is used: S1 records for data ending
+ * below 64 kB, S2 below 16 MB, and S3 otherwise.
+ *
+ * @param data
+ *   Array of bytes.
+ *
+ * @param address
+ *   Address of the first byte of `data`.
+ *
+ * @param header
+ *   Optional text for the S0 header record.
+ *
+ * @return String, with CRLF line endings.
+ */
+function srecord(data, address = 0, header = '') {
+	const end = address + Math.max(0, data.length - 1);
+	let dataType, addressLength;
+	if (end <= 0xFFFF) {
+		dataType = 1;
+		addressLength = 2;
+	} else if (end <= 0xFFFFFF) {
+		dataType = 2;
+		addressLength = 3;
+	} else {
+		dataType = 3;
+		addressLength = 4;
+	}
+	// The termination record type goes down as the data type goes up.
+	const endType = 10 - dataType;
+
+	let lines = [record(0, 2, 0, Array.from(Buffer.from(header, 'latin1')))];
+	let count = 0;
+	for (let pos = 0; pos < data.length; pos += RECORD_LENGTH) {
+		lines.push(record(dataType, addressLength, address + pos,
+			Array.from(data.slice(pos, pos + RECORD_LENGTH))));
+		count++;
+	}
+	if (count <= 0xFFFF) {
+		lines.push(record(5, 2, count, []));
+	} else {
+		lines.push(record(6, 3, count, []));
+	}
+	lines.push(record(endType, addressLength, 0, []));
+	return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = srecord;
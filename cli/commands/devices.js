@@ -22,7 +22,9 @@ const commandLineArgs = require('command-line-args');
 const debug = require('debug')('behringerctl:cli:devices');
 const fs = require('fs');
 
+const Behringer = require('../../index.js');
 const { OperationsError } = require('../error.js');
+const midiData = require('../../midiData.js');
 const output = require('../output.js');
 
 class Operations
@@ -111,17 +113,41 @@ class Operations
 		if (!params['read']) {
 			throw new OperationsError('Missing filename to --read.');
 		}
-		let dataIn = fs.readFileSync(params['read']);
+		const dataIn = fs.readFileSync(params['read']);
 
-		let events = [];
-		while (dataIn.length > 2) {
-			if (!(dataIn[0] & 0x80)) {
-				throw new OperationsError('Invalid MIDI content');
+		// Refuse to send anything from a damaged file, but leave out realtime
+		// messages as timing clocks and the like are no use to the device.
+		let events;
+		try {
+			events = midiData.parseMIDI(midiData.toRawMIDI(dataIn), { strict: true }).events
+				.filter(e => e.type !== 'realtime')
+				.map(e => Buffer.from(e.data));
+		} catch (e) {
+			throw new OperationsError(`Invalid MIDI content: ${e.message}`);
+		}
+
+		// Make sure any flash writes stay clear of the bootloader, checking the
+		// writes for each model against that model's flash layout.
+		let flashEvents = {};
+		for (const e of events) {
+			const info = Behringer.sysex.describe(e);
+			if (!info.behringer || (info.command !== Behringer.util.commands.writeFlash)) continue;
+			if (!flashEvents[info.modelId]) flashEvents[info.modelId] = [];
+			flashEvents[info.modelId].push(e);
+		}
+		if (!params['allow-bootloader-write']) {
+			try {
+				for (const modelEvents of Object.values(flashEvents)) {
+					const check = Behringer.firmware.checkFlashWrite(
+						Buffer.concat(modelEvents),
+						params['model']
+					);
+					Behringer.firmware.assertUnprotected(check.blocks);
+				}
+			} catch (e) {
+				throw new OperationsError(`${e.message}  Use --allow-bootloader-write `
+					+ 'to send it anyway.');
 			}
-			const end = dataIn.slice(1).findIndex(v => v & 0x80);
-			const event = dataIn.slice(0, end + 2);
-			events.push(event);
-			dataIn = dataIn.slice(end + 2);
 		}
 
 		for (let i = 0; i < events.length; i++) {
@@ -131,7 +157,7 @@ class Operations
 				'of',
 				chalk.yellowBright(events.length)
 			);
-			this.behringer.midiOut.write(events[i]);
+			this.behringer.transport.send(events[i]);
 
 			// Put a delay in as writing too fast causes messages to be lost.
 			await new Promise((resolve, reject) => setTimeout(resolve, 250));
@@ -150,11 +176,7 @@ class Operations
 		}
 
 		let proc = new Operations();
-		try {
-			proc.behringer = createInstance();
-		} catch (e) {
-			throw new OperationsError(`Unable to set up MIDI connection: ${e.message}`);
-		}
+		Object.defineProperty(proc, 'behringer', { get: createInstance });
 
 		try {
 			const def = Operations.names[cmd.name] && Operations.names[cmd.name].optionList;
@@ -207,7 +229,17 @@ Operations.names = {
 			{
 				name: 'read',
 				type: String,
-				description: '*.syx firmware file to read',
+				description: '*.syx or *.mid firmware file to read',
+			},
+			{
+				name: 'model',
+				type: String,
+				description: 'Device model, if flash writes in the file cannot be autodetected',
+			},
+			{
+				name: 'allow-bootloader-write',
+				type: Boolean,
+				description: 'Send the file even if it writes to the bootloader (may brick the device!)',
 			},
 		],
 	},
@@ -21,6 +21,7 @@ const chalk = require('chalk');
 const commandLineArgs = require('command-line-args');
 const debug = require('debug')('behringerctl:cli:firmware');
 const fs = require('fs');
+const path = require('path');
 
 const Behringer = require('../../index.js');
 const { OperationsError } = require('../error.js');
@@ -91,6 +92,15 @@ class Operations
 			}
 			output(chalk.whiteBright(i + ':'), chalk.greenBright(value));
 		}
+		if (firmware.errors.length) {
+			output(chalk.whiteBright('Damaged MIDI data (skipped):'));
+			for (const e of firmware.errors) {
+				output(
+					output.padLeft('0x' + e.offset.toString(16).padStart(6, '0'), 8, chalk.blueBright),
+					chalk.redBright(e.message)
+				);
+			}
+		}
 		output(chalk.whiteBright('Device:'), chalk.greenBright(info.id));
 		for (let i of info.detail) {
 			const valColour = i.preserveTrailing ? chalk.black.bgGreen : chalk.greenBright;
@@ -133,13 +143,27 @@ class Operations
 			}
 
 			const writeFilename = params['write'];
-			fs.writeFileSync(writeFilename, img.data);
+			const format = params['format'] || Behringer.firmware.getExportFormat(writeFilename);
+			let dataOut;
+			try {
+				dataOut = Behringer.firmware.export(img.data, img.offset, {
+					format: format,
+					baseAddress: params['base-address'],
+					loadAddress: params['load-address'],
+				});
+			} catch (e) {
+				throw new OperationsError(e.message);
+			}
+			fs.writeFileSync(writeFilename, dataOut);
 
 			output(
 				'Wrote image',
 				chalk.yellowBright(index),
+				'at flash offset',
+				chalk.magentaBright('0x' + img.offset.toString(16)),
 				'to',
 				chalk.greenBright(writeFilename),
+				`(${format})`
 			);
 		}
 	}
@@ -150,67 +174,21 @@ class Operations
 			throw new OperationsError('Missing filename to --read.');
 		}
 
-		let dataIn = fs.readFileSync(params['read']);
-
-		let blocks = [];
-		while (dataIn.length > 10) {
-			let block = {
-				address:
-					(
-						(dataIn[0] << 0) |
-						(dataIn[1] << 8) |
-						(dataIn[2] << 16) |
-						(dataIn[3] << 24)
-					) >>> 0, // make unsigned
-				length:
-					(
-						(dataIn[4] << 0) |
-						(dataIn[5] << 8) |
-						(dataIn[6] << 16) |
-						(dataIn[7] << 24)
-					) >>> 0, // make unsigned
-				flags:
-					(dataIn[8] << 0) |
-					(dataIn[9] << 8),
-				flagText: [],
-			};
-			block.content = dataIn.slice(10, 10 + block.length);
-			dataIn = dataIn.slice(10 + block.length);
-
-			// Taken from description above FGRAB_HEADER in ADSP-BF533-ROM-V03.asm
-			// (BF533 internal boot ROM source code) available at:
-			// https://sourceforge.net/projects/adiopshw/files/BootROM%20Source/
-			if (block.flags & (1 << 0)) block.flagText.push('ZEROFILL');
-			if (block.flags & (1 << 1)) block.flagText.push('RESVECT');
-			if (block.flags & (1 << 2)) block.flagText.push('(reserved2)');
-			if (block.flags & (1 << 3)) block.flagText.push('INIT');
-			if (block.flags & (1 << 4)) block.flagText.push('IGNORE');
-			if (block.flags & (0xF << 5)) block.flagText.push('PFLAG=' + ((block.flags >> 5) & 0xF));
-			if (block.flags & (1 << 9)) block.flagText.push('(reserved9)');
-			if (block.flags & (1 << 10)) block.flagText.push('(reserved10)');
-			if (block.flags & (1 << 11)) block.flagText.push('(reserved11)');
-			if (block.flags & (1 << 12)) block.flagText.push('(reserved12)');
-			if (block.flags & (1 << 13)) block.flagText.push('(reserved13)');
-			if (block.flags & (1 << 14)) block.flagText.push('(reserved14)');
-			if (block.flags & (1 << 15)) block.flagText.push('FINAL');
-
-			if (block.length > (1 << 21)) { // 2MB
-				throw new OperationsError(`Corrupted bootloader - block length (${block.length}) is larger than total memory size.`);
-			}
-			blocks.push(block);
+		const dataIn = fs.readFileSync(params['read']);
+
+		let ldr;
+		try {
+			ldr = Behringer.firmware.parseLDR(dataIn);
+		} catch (e) {
+			throw new OperationsError(e.message);
 		}
-		if (dataIn.length > 0) {
-			blocks.push({
-				address: 'Leftover',
-				content: dataIn,
-			});
+		const blocks = ldr.blocks;
+		if (blocks.length === 0) {
+			throw new OperationsError('No boot blocks found.');
 		}
+		blocks[0].flagText.push(`flash=${ldr.flashWidth}-bit`);
 
-		const flashFlags = blocks[0].address & 0xFF;
-		const flashWidth = (flashFlags & 0xF0 === 0x60) ? '16' : '8';
-		blocks[0].flagText.push(`flash=${flashWidth}-bit`);
-
-		// From GRAB_HEADER in internal boot rom source, see above.
+		// From GRAB_HEADER in the BF533 internal boot ROM source.
 		output('Entrypoint:', chalk.magentaBright('0xffa08000'));
 
 		output(
@@ -228,6 +206,9 @@ class Operations
 				output.pad(img.flagText.join(' '), 17, chalk.yellowBright),
 			);
 		}
+		if (ldr.trailing.length) {
+			output('Data after final block:', chalk.greenBright(ldr.trailing.length), 'bytes');
+		}
 
 		if (params['extract-index'] !== undefined) {
 			if (!params['write']) {
@@ -235,17 +216,222 @@ class Operations
 			}
 			const index = parseInt(params['extract-index']);
 
-			const img = info.images[index + 1];
-			if (!img) {
+			const block = blocks[index];
+			if (!block) {
 				throw new OperationsError('Invalid --extract-index.');
 			}
 
+			// ZEROFILL blocks have no data in the stream, so write the zeroes
+			// they put in memory.
+			const isZeroFill = block.flagText.includes('ZEROFILL');
 			const writeFilename = params['write'];
-			fs.writeFileSync(writeFilename, img.data);
+			fs.writeFileSync(writeFilename, isZeroFill ? Buffer.alloc(block.length) : block.content);
 
 			output(
-				'Wrote image',
+				'Wrote block',
 				chalk.yellowBright(index),
+				'for address',
+				chalk.magentaBright('0x' + block.address.toString(16).padStart(8, '0')),
+				'to',
+				chalk.greenBright(writeFilename),
+			);
+		}
+
+		const manifestFilename = params['extract-all'];
+		if (manifestFilename) {
+			// Write each block to a file named after the manifest, in a form
+			// `buildBootloader` can turn back into the same boot stream.
+			const base = manifestFilename.replace(/\.json$/i, '');
+			const relative = filename => path.relative(path.dirname(manifestFilename), filename);
+
+			let manifest = {
+				flashWidth: ldr.flashWidth,
+				blocks: [],
+			};
+			blocks.forEach((block, index) => {
+				let entry = {
+					address: '0x' + block.address.toString(16).padStart(8, '0'),
+					flags: block.flagText.filter(f => !f.startsWith('flash=')).join(' '),
+				};
+				if (block.flagText.includes('ZEROFILL')) {
+					entry.length = block.length;
+				} else {
+					const filename = `${base}-${index}.bin`;
+					fs.writeFileSync(filename, block.content);
+					entry.file = relative(filename);
+				}
+				manifest.blocks.push(entry);
+			});
+			if (ldr.trailing.length) {
+				const filename = `${base}-trailing.bin`;
+				fs.writeFileSync(filename, ldr.trailing);
+				manifest.trailing = relative(filename);
+			}
+			fs.writeFileSync(manifestFilename, JSON.stringify(manifest, null, '\t') + '\n');
+
+			output(
+				'Wrote',
+				chalk.yellowBright(blocks.length),
+				'blocks listed in',
+				chalk.greenBright(manifestFilename),
+			);
+		}
+
+		const elfFilename = params['elf'];
+		if (elfFilename) {
+			fs.writeFileSync(elfFilename, Behringer.firmware.toELF(dataIn));
+
+			output(
+				'Wrote ELF file with entry point',
+				chalk.magentaBright('0xffa08000'),
+				'to',
+				chalk.greenBright(elfFilename),
+			);
+		}
+	}
+
+	buildBootloader(params)
+	{
+		if (!params['read']) {
+			throw new OperationsError('Missing filename to --read.');
+		}
+		if (!params['write']) {
+			throw new OperationsError('Missing filename to --write.');
+		}
+
+		const manifestFilename = params['read'];
+		let manifest;
+		try {
+			manifest = JSON.parse(fs.readFileSync(manifestFilename, 'utf8'));
+		} catch (e) {
+			throw new OperationsError(`Unable to read ${manifestFilename}: ${e.message}`);
+		}
+		if (!Array.isArray(manifest.blocks)) {
+			throw new OperationsError('Manifest has no "blocks" list.');
+		}
+
+		// Filenames in the manifest are relative to the manifest itself.
+		const baseDir = path.dirname(manifestFilename);
+		const readPart = filename => fs.readFileSync(path.resolve(baseDir, filename));
+
+		const blocks = manifest.blocks.map((b, index) => {
+			const address = parseInt(b.address);
+			if (isNaN(address)) {
+				throw new OperationsError(`Block ${index} has no valid "address".`);
+			}
+			return {
+				address: address,
+				flags: (typeof(b.flags) === 'number') ? b.flags : (b.flags || ''),
+				length: b.length,
+				content: b.file ? readPart(b.file) : undefined,
+			};
+		});
+
+		let dataOut;
+		try {
+			dataOut = Behringer.firmware.buildLDR(blocks, {
+				flashWidth: params['flash-width'] || manifest.flashWidth,
+				trailing: manifest.trailing ? readPart(manifest.trailing) : undefined,
+			});
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		const writeFilename = params['write'];
+		fs.writeFileSync(writeFilename, dataOut);
+
+		output(
+			'Wrote boot stream with',
+			chalk.greenBright(blocks.length),
+			'blocks,',
+			chalk.greenBright(dataOut.length),
+			'bytes to',
+			chalk.greenBright(writeFilename),
+		);
+	}
+
+	disasm(params)
+	{
+		if (!params['read']) {
+			throw new OperationsError('Missing filename to --read.');
+		}
+		if (params['index'] === undefined) {
+			throw new OperationsError('Missing --index of the image to disassemble, '
+				+ 'as listed by `firmware examine`.');
+		}
+
+		const dataIn = fs.readFileSync(params['read']);
+
+		let firmware;
+		try {
+			firmware = Behringer.firmware.decode(dataIn, params['model']);
+		} catch (e) {
+			if (debug.enabled) throw e; // don't catch if we're debugging
+			throw new OperationsError(`Error decoding firmware: ${e.message}`);
+		}
+
+		if (!firmware.device) {
+			throw new OperationsError('Unable to autodetect the device model this '
+				+ 'firmware is for.  Please specify --model.');
+		}
+
+		const info = firmware.device.examineFirmware(firmware.blocks);
+		const img = info && info.images[params['index'] + 1];
+		if (!img) {
+			throw new OperationsError('Invalid --index.');
+		}
+
+		let parts;
+		try {
+			parts = Behringer.firmware.disassemble(img.data, {
+				loadAddress: params['load-address'],
+				strings: img.strings,
+			});
+		} catch (e) {
+			if (debug.enabled) throw e; // don't catch if we're debugging
+			throw new OperationsError(e.message);
+		}
+
+		const writeFilename = params['write'];
+		let text = [];
+		for (const part of parts) {
+			const heading = `// ${part.title}, loaded at 0x${part.address.toString(16)}`;
+			if (writeFilename) {
+				text.push(heading, '');
+			} else {
+				output(chalk.whiteBright(heading));
+			}
+
+			for (const line of part.lines) {
+				const address = line.address.toString(16).padStart(8, '0') + ':';
+				const bytes = Array.from(line.data)
+					.map(b => b.toString(16).padStart(2, '0'))
+					.join(' ');
+				const comment = (line.comment === undefined) ? '' : `  // ${line.comment}`;
+
+				if (writeFilename) {
+					text.push(`${address}  ${bytes.padEnd(23)}  ${line.text}${comment}`);
+				} else {
+					output(
+						chalk.magentaBright(address),
+						output.pad(bytes, 23, chalk.blueBright),
+						chalk.yellowBright(line.text) + chalk.greenBright(comment),
+					);
+				}
+			}
+
+			if (writeFilename) {
+				text.push('');
+			} else {
+				output();
+			}
+		}
+
+		if (writeFilename) {
+			fs.writeFileSync(writeFilename, text.join('\n'));
+			output(
+				'Wrote disassembly of image',
+				chalk.yellowBright(params['index']),
 				'to',
 				chalk.greenBright(writeFilename),
 			);
@@ -260,7 +446,7 @@ class Operations
 		if (!params['write']) {
 			throw new OperationsError('Missing filename to --write.');
 		}
-		const binMIDI = fs.readFileSync(params['read']);
+		const binMIDI = midiData.toRawMIDI(fs.readFileSync(params['read']));
 
 		let chunks = [];
 		midiData.processMIDI(binMIDI, event => {
@@ -323,15 +509,36 @@ class Operations
 
 		const dataIn = fs.readFileSync(params['read']);
 
-		const fwOut = Behringer.firmware.encode(
-			params['model'],
-			parseInt(params['address']),
-			dataIn,
-			messages,
-		);
+		let fwOut;
+		try {
+			fwOut = Behringer.firmware.encode(
+				params['model'],
+				parseInt(params['address']),
+				dataIn,
+				messages,
+				{
+					allowProtectedWrite: params['allow-bootloader-write'],
+				}
+			);
+		} catch (e) {
+			if (debug.enabled) throw e; // don't catch if we're debugging
+			throw new OperationsError(`${e.message}  Use --allow-bootloader-write `
+				+ 'to generate it anyway.');
+		}
 
 		const writeFilename = params['write'];
-		fs.writeFileSync(writeFilename, fwOut.binFirmware);
+		let dataOut = fwOut.binFirmware;
+		if (writeFilename.toLowerCase().endsWith('.mid')) {
+			// Space the events out, as a sequencer playing the file can't wait
+			// for each block to be acknowledged.
+			const delay = (params['delay'] === undefined) ? 250 : params['delay'];
+			if (!(delay >= 0)) {
+				throw new OperationsError('--delay must be 0 or more.');
+			}
+			const events = midiData.parseMIDI(fwOut.binFirmware).events;
+			dataOut = midiData.createSMF(events.map(e => e.data), { delay: delay });
+		}
+		fs.writeFileSync(writeFilename, dataOut);
 
 		output(
 			'Wrote sysex firmware image with',
@@ -343,6 +550,193 @@ class Operations
 		);
 	}
 
+	assemble(params)
+	{
+		if (!params['model']) {
+			throw new OperationsError('Missing --model.');
+		}
+		if (!params['write']) {
+			throw new OperationsError('Missing filename to --write.');
+		}
+
+		// Each option names a file holding one part of the image.
+		const partOptions = {
+			'bootloader': 'bootloader',
+			'app': 'app',
+			'app-encrypted': 'appEncrypted',
+			'presets': 'presets',
+			'scratch': 'scratch',
+			'boot-logo': 'bootLogo',
+		};
+		let parts = {}, filenames = {};
+		for (const opt of Object.keys(partOptions)) {
+			if (!params[opt]) continue;
+			const part = partOptions[opt];
+			parts[part] = fs.readFileSync(params[opt]);
+			filenames[part === 'appEncrypted' ? 'app' : part] = params[opt];
+		}
+
+		let image;
+		try {
+			image = Behringer.firmware.assemble(params['model'], parts);
+		} catch (e) {
+			if (debug.enabled) throw e; // don't catch if we're debugging
+			throw new OperationsError(`Unable to assemble flash image: ${e.message}`);
+		}
+
+		output(
+			chalk.white.inverse('Offset'.padStart(10)),
+			chalk.white.inverse('Available'.padStart(10)),
+			chalk.white.inverse('Used'.padStart(10)),
+			chalk.white.inverse('%'.padStart(3)),
+			chalk.white.inverse('Region'.padEnd(16)),
+			chalk.white.inverse('Source'.padEnd(24)),
+		);
+		for (const r of image.regions) {
+			const capacity = r.end - r.start;
+			output(
+				output.padLeft('0x' + r.start.toString(16), 10, chalk.magentaBright),
+				output.padLeft(capacity, 10, chalk.cyanBright),
+				output.padLeft(r.length, 10, chalk.greenBright),
+				output.padLeft(Math.round((r.length / capacity) * 100), 3, chalk.blueBright),
+				output.pad(r.title, 16, chalk.yellowBright),
+				filenames[r.part] ? chalk.greenBright(filenames[r.part]) : '(erased)',
+			);
+		}
+		for (const w of image.warnings) {
+			output(chalk.redBright('Warning:'), chalk.yellowBright(w));
+		}
+
+		const writeFilename = params['write'];
+		const format = params['format'] || Behringer.firmware.getExportFormat(writeFilename);
+		let dataOut;
+		try {
+			dataOut = Behringer.firmware.export(image.data, 0, { format: format });
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+		fs.writeFileSync(writeFilename, dataOut);
+
+		output(
+			'Wrote',
+			chalk.greenBright(image.data.length),
+			'byte flash image to',
+			chalk.greenBright(writeFilename),
+			`(${format})`
+		);
+	}
+
+	check(params)
+	{
+		if (!params['read']) {
+			throw new OperationsError('Missing filename to --read.');
+		}
+		const dataIn = fs.readFileSync(params['read']);
+
+		let check;
+		try {
+			check = Behringer.firmware.checkFlashWrite(dataIn, params['model']);
+		} catch (e) {
+			if (debug.enabled) throw e; // don't catch if we're debugging
+			throw new OperationsError(`Error decoding firmware: ${e.message}`);
+		}
+
+		output(chalk.whiteBright('Checked against:'), chalk.greenBright(check.devices.join(', ')));
+		output(
+			chalk.white.inverse('Device'.padEnd(10)),
+			chalk.white.inverse('Block'.padStart(5)),
+			chalk.white.inverse('Offset'.padStart(10)),
+			chalk.white.inverse('Region'.padEnd(24)),
+		);
+		for (const b of check.blocks) {
+			let region = b.protected
+				? chalk.redBright(b.region + ' (PROTECTED)')
+				: chalk.greenBright(b.region);
+			if (b.unverified) region += chalk.yellowBright(' (unverified layout)');
+			output(
+				output.pad(b.device, 10, chalk.cyanBright),
+				output.padLeft('0x' + b.blockNum.toString(16), 5, chalk.whiteBright),
+				output.padLeft('0x' + b.offset.toString(16), 10, chalk.magentaBright),
+				region,
+			);
+		}
+
+		for (const dev of check.devices) {
+			const devBlocks = check.blocks.filter(b => b.device === dev);
+			if (devBlocks.some(b => b.protected)) {
+				output(chalk.redBright(`This file writes to a protected region and could brick a ${dev}!`));
+			} else {
+				output(`No protected ${dev} regions are written to.`);
+			}
+			if (devBlocks.some(b => b.unverified)) {
+				output(chalk.yellowBright(`The ${dev} flash layout is unverified, so the `
+					+ 'regions above are only a guess.'));
+			}
+		}
+	}
+
+	async flash(params)
+	{
+		if (!params['read']) {
+			throw new OperationsError('Missing filename to --read.');
+		}
+		const dataIn = fs.readFileSync(params['read']);
+
+		// Check before opening the MIDI connection, to give a clearer message.
+		if (!params['allow-bootloader-write']) {
+			try {
+				const check = Behringer.firmware.checkFlashWrite(dataIn, params['model']);
+				Behringer.firmware.assertUnprotected(check.blocks);
+			} catch (e) {
+				throw new OperationsError(`${e.message}  Use --allow-bootloader-write `
+					+ 'to flash it anyway.');
+			}
+		}
+
+		let result;
+		try {
+			result = await this.behringer.writeFirmware(dataIn, {
+				model: params['model'],
+				timeout: params['timeout'],
+				retries: params['retries'],
+				delay: params['delay'],
+				allowProtectedWrite: params['allow-bootloader-write'],
+				onProgress: p => {
+					const blockText = '0x' + p.blockNum.toString(16).padStart(2, '0');
+					switch (p.status) {
+						case 'sending':
+							process.stdout.write(
+								'\rFlashing block '
+								+ chalk.magentaBright(blockText)
+								+ ' (' + chalk.yellowBright(p.index + 1)
+								+ ' of ' + chalk.yellowBright(p.blockCount) + ')'
+								+ (p.attempt > 1 ? chalk.redBright(` attempt ${p.attempt}`) : '')
+								+ '\u001B[K'
+							);
+							break;
+						case 'retry':
+							process.stdout.write('\n');
+							output(
+								chalk.redBright('No acknowledgement for block'),
+								chalk.magentaBright(blockText) + chalk.redBright(', retrying')
+							);
+							break;
+					}
+				},
+			});
+		} catch (e) {
+			process.stdout.write('\n');
+			throw new OperationsError(`Flashing failed: ${e.message}`);
+		}
+
+		process.stdout.write('\r\u001B[K');
+		output(
+			'Flashed',
+			chalk.greenBright(result.blockCount),
+			'blocks successfully.'
+		);
+	}
+
 	static async exec(createInstance, args)
 	{
 		let cmdDefinitions = [
@@ -355,6 +749,7 @@ class Operations
 		}
 
 		let proc = new Operations();
+		Object.defineProperty(proc, 'behringer', { get: createInstance });
 
 		try {
 			const def = Operations.names[cmd.name] && Operations.names[cmd.name].optionList;
@@ -384,7 +779,7 @@ Operations.names = {
 			{
 				name: 'read',
 				type: String,
-				description: '*.bin or *.syx firmware file to read',
+				description: '*.bin, *.syx or *.mid firmware file to read',
 			},
 			{
 				name: 'extract-index',
@@ -394,7 +789,29 @@ Operations.names = {
 			{
 				name: 'write',
 				type: String,
-				description: 'Filename to save --extract-index to',
+				description: 'Filename to save --extract-index to.  *.hex files are '
+					+ 'written as Intel HEX, *.srec/*.s19 as Motorola S-records and '
+					+ '*.elf as an ELF file for disassemblers, anything else as raw '
+					+ 'binary.',
+			},
+			{
+				name: 'format',
+				type: String,
+				description: 'Override the --write format: bin, ihex, srec or elf',
+			},
+			{
+				name: 'load-address',
+				type: Number,
+				description: 'Memory address to place the image at in an ELF file.  '
+					+ 'Only needed if the image is not a Blackfin boot stream like the '
+					+ 'bootloader.',
+			},
+			{
+				name: 'base-address',
+				type: Number,
+				description: 'Flash address of the start of the output file.  Defaults '
+					+ 'to the image offset for raw binary (use 0 to pad it to its place '
+					+ 'in the chip) and to 0 for ihex and srec.',
 			},
 			{
 				name: 'debug-dump',
@@ -419,13 +836,49 @@ Operations.names = {
 			{
 				name: 'extract-index',
 				type: Number,
-				description: 'Optional image index to extract from firmware blob',
+				description: 'Optional block index to extract from the bootloader',
 			},
 			{
 				name: 'write',
 				type: String,
 				description: 'Filename to save --extract-index to',
 			},
+			{
+				name: 'extract-all',
+				type: String,
+				description: 'Save every block to its own file, listed in this JSON '
+					+ 'file for buildBootloader',
+			},
+			{
+				name: 'elf',
+				type: String,
+				description: 'Save an ELF file with every block at its load address, '
+					+ 'for disassemblers',
+			},
+		],
+	},
+	buildBootloader: {
+		summary: 'Build a Blackfin boot stream (*.ldr) such as the bootloader from a JSON list of blocks',
+		optionList: [
+			{
+				name: 'read',
+				type: String,
+				description: 'JSON manifest of the form {"flashWidth": 8, "blocks": '
+					+ '[{"address": "0xffa08000", "flags": "INIT", "file": "block.bin"}, '
+					+ '{"address": "0x0040ab10", "flags": "ZEROFILL", "length": 26492}], '
+					+ '"trailing": "after.bin"}, with filenames relative to the manifest',
+			},
+			{
+				name: 'write',
+				type: String,
+				description: 'Filename to create (*.bin)',
+			},
+			{
+				name: 'flash-width',
+				type: Number,
+				description: 'Flash width to set in the first block, 8 or 16 (overrides '
+					+ 'the manifest)',
+			},
 		],
 	},
 	syx2bin: {
@@ -435,7 +888,7 @@ Operations.names = {
 			{
 				name: 'read',
 				type: String,
-				description: '*.bin firmware file to read',
+				description: '*.syx or *.mid firmware file to read',
 			},
 			{
 				name: 'write',
@@ -449,8 +902,40 @@ Operations.names = {
 			},
 		],
 	},
+	disasm: {
+		summary: 'Disassemble the Blackfin code in one of the images listed by `examine`',
+		optionList: [
+			{
+				name: 'model',
+				type: String,
+				description: 'Device model, can be autodetected for some *.syx files',
+			},
+			{
+				name: 'read',
+				type: String,
+				description: '*.bin, *.syx or *.mid firmware file to read',
+			},
+			{
+				name: 'index',
+				type: Number,
+				description: 'Index of the image to disassemble, as listed by `examine`',
+			},
+			{
+				name: 'load-address',
+				type: Number,
+				description: 'Memory address the image is loaded to.  Only needed if '
+					+ 'the image is not a Blackfin boot stream like the bootloader.',
+			},
+			{
+				name: 'write',
+				type: String,
+				description: 'Save the disassembly to this text file instead of '
+					+ 'printing it',
+			},
+		],
+	},
 	generate: {
-		summary: 'Create a *.syx firmware image',
+		summary: 'Create a *.syx or *.mid firmware image',
 		optionList: [
 			{
 				name: 'model',
@@ -470,13 +955,126 @@ Operations.names = {
 			{
 				name: 'write',
 				type: String,
-				description: 'Filename to create (*.syx)',
+				description: 'Filename to create (*.syx, or *.mid for a Standard MIDI File)',
+			},
+			{
+				name: 'delay',
+				type: Number,
+				description: 'Milliseconds between events in a *.mid file, default 250',
 			},
 			{
 				name: 'messages',
 				type: String,
 				description: 'Messages to display of the form "0=Starting flash,10=Up to block 10"',
 			},
+			{
+				name: 'allow-bootloader-write',
+				type: Boolean,
+				description: 'Permit writing to the bootloader region (may brick the device!)',
+			},
+		],
+	},
+	assemble: {
+		summary: 'Build a complete flash chip image from its parts, for an EEPROM programmer',
+		optionList: [
+			{
+				name: 'model',
+				type: String,
+				description: 'Device model the image is for, e.g. DEQ2496v2',
+			},
+			{
+				name: 'bootloader',
+				type: String,
+				description: 'Bootloader image, e.g. extracted from a flash dump (required)',
+			},
+			{
+				name: 'app',
+				type: String,
+				description: 'Decrypted application image, which will be encrypted with '
+					+ 'the key in the bootloader',
+			},
+			{
+				name: 'app-encrypted',
+				type: String,
+				description: 'Application image as stored in flash, instead of --app',
+			},
+			{
+				name: 'presets',
+				type: String,
+				description: 'Presets region image',
+			},
+			{
+				name: 'scratch',
+				type: String,
+				description: 'Scratch space region image',
+			},
+			{
+				name: 'boot-logo',
+				type: String,
+				description: 'Boot screen, either a 320x80 *.png or the raw bitmap',
+			},
+			{
+				name: 'write',
+				type: String,
+				description: 'Filename to create.  *.hex files are written as Intel '
+					+ 'HEX and *.srec/*.s19 as Motorola S-records, anything else as raw '
+					+ 'binary.',
+			},
+			{
+				name: 'format',
+				type: String,
+				description: 'Override the --write format: bin, ihex or srec',
+			},
+		],
+	},
+	check: {
+		summary: 'List the flash blocks a *.syx or *.mid firmware image writes to, and whether any are protected',
+		optionList: [
+			{
+				name: 'read',
+				type: String,
+				description: '*.syx or *.mid firmware file to read',
+			},
+			{
+				name: 'model',
+				type: String,
+				description: 'Device model, if it cannot be autodetected from the file',
+			},
+		],
+	},
+	flash: {
+		summary: 'Flash a *.syx firmware image to the selected device, waiting for each block to be acknowledged',
+		optionList: [
+			{
+				name: 'read',
+				type: String,
+				description: '*.syx or *.mid firmware file to send',
+			},
+			{
+				name: 'model',
+				type: String,
+				description: 'Device model, if it cannot be autodetected from the file',
+			},
+			{
+				name: 'timeout',
+				type: Number,
+				description: 'Milliseconds to wait for each 4 kB block to be acknowledged (default 2000)',
+			},
+			{
+				name: 'retries',
+				type: Number,
+				description: 'Times to resend a block that was not acknowledged (default 3)',
+			},
+			{
+				name: 'delay',
+				type: Number,
+				description: 'Milliseconds to wait between each SysEx event (default 0)',
+			},
+			{
+				name: 'allow-bootloader-write',
+				type: Boolean,
+				description: 'Permit writing to the bootloader region (may brick the device!)',
+			},
 		],
 	},
 };
@@ -20,9 +20,12 @@
 const chalk = require('chalk');
 const commandLineArgs = require('command-line-args');
 const debug = require('debug')('behringerctl:cli:midi');
-const midi = require('midi');
+const fs = require('fs');
 
+const Behringer = require('../../index.js');
 const { OperationsError } = require('../error.js');
+const createMonitor = require('../monitor.js');
+const midiData = require('../../midiData.js');
 const output = require('../output.js');
 
 class Operations
@@ -37,6 +40,15 @@ class Operations
 
 	async list(params)
 	{
+		// Only load the native module when it's needed, so the other commands
+		// still work without it.
+		let midi;
+		try {
+			midi = Behringer.transport.NodeMidi.loadMidi();
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
 		let portList = [];
 
 		output(
@@ -86,6 +98,159 @@ class Operations
 		midiOutput.closePort();
 	}
 
+	async monitor(params)
+	{
+		if ((params['duration'] !== undefined) && !(params['duration'] > 0)) {
+			throw new OperationsError('--duration must be more than 0.');
+		}
+
+		const print = createMonitor({
+			command: params['command'],
+			device: params['device'],
+			direction: params['direction'],
+			all: params['all'],
+			deviceName: params['model'],
+		});
+
+		const b = this.behringer;
+		b.setTransport(new Behringer.transport.Recorder(b.transport, print, false));
+
+		output(chalk.blueBright('Monitoring MIDI messages, Ctrl+C to stop'));
+
+		// Stop cleanly on Ctrl+C so the MIDI ports are closed.
+		await new Promise(resolve => {
+			let timer;
+			const stop = () => {
+				clearTimeout(timer);
+				process.removeListener('SIGINT', stop);
+				resolve();
+			};
+			process.once('SIGINT', stop);
+			if (params['duration']) {
+				timer = setTimeout(stop, params['duration'] * 1000);
+			}
+		});
+	}
+
+	dissect(params)
+	{
+		if (!params['read']) {
+			throw new OperationsError('Missing filename to --read.');
+		}
+		let binMIDI = fs.readFileSync(params['read']);
+		if (midiData.isSMF(binMIDI)) {
+			try {
+				const smf = midiData.parseSMF(binMIDI);
+				output(
+					'Standard MIDI File, format', chalk.whiteBright(smf.format) + ',',
+					chalk.whiteBright(smf.trackCount), (smf.trackCount === 1) ? 'track.' : 'tracks.',
+					'Offsets are within the events extracted from the tracks.'
+				);
+			} catch (e) {
+				throw new OperationsError(e.message);
+			}
+			binMIDI = midiData.toRawMIDI(binMIDI);
+		}
+
+		// Describe a single decoded flash write.
+		function formatFlash(details) {
+			if (details.message !== undefined) {
+				return chalk.yellowBright(`LCD "${details.message}"`);
+			}
+			const checksum = '0x' + details.checksum.toString(16).padStart(2, '0');
+			return chalk.magentaBright(`block 0x${details.block.toString(16)}`)
+				+ ` subblock 0x${details.subblock.toString(16).padStart(3, '0')}`
+				+ ` address 0x${details.address.toString(16).padStart(6, '0')}`
+				+ ` checksum ${checksum} `
+				+ (details.checksumValid ? chalk.greenBright('OK') : chalk.redBright('BAD'));
+		}
+
+		output(
+			chalk.white.inverse('Offset'.padStart(8)),
+			chalk.white.inverse('Model'.padEnd(12)),
+			chalk.white.inverse('Device'.padStart(6)),
+			chalk.white.inverse('Command'.padEnd(24)),
+			chalk.white.inverse('Length'.padStart(6)),
+			chalk.white.inverse('Details'.padEnd(24)),
+		);
+
+		// List any damaged data in among the events, in file order.
+		const { events, errors } = midiData.parseMIDI(binMIDI);
+		const rows = [
+			...events.filter(e => e.type === 'sysex'),
+			...errors.map(e => ({ type: 'error', offset: e.offset, error: e })),
+		].sort((a, b) => a.offset - b.offset);
+
+		let count = 0, badChecksums = 0;
+		for (const row of rows) {
+			const strOffset = '0x' + row.offset.toString(16).padStart(6, '0');
+			if (row.type === 'error') {
+				output(
+					output.padLeft(strOffset, 8, chalk.blueBright),
+					chalk.redBright(row.error.message)
+				);
+				continue;
+			}
+			count++;
+			const event = row.data;
+
+			let info;
+			try {
+				info = Behringer.sysex.describe(event, 'out', {
+					deviceName: params['model'],
+				});
+			} catch (e) {
+				throw new OperationsError(e.message);
+			}
+			if (!info.behringer) {
+				output(
+					output.padLeft(strOffset, 8, chalk.blueBright),
+					output.pad('-', 12, chalk.white),
+					output.padLeft('-', 6, chalk.white),
+					output.pad('-', 24, chalk.white),
+					output.padLeft(event.length, 6, chalk.greenBright),
+					info.summary
+				);
+				continue;
+			}
+
+			let details;
+			if (info.details.error) {
+				details = chalk.redBright(info.details.error);
+			} else if (info.command === Behringer.util.commands.writeFlash) {
+				if (info.details.byModel) {
+					details = Object.keys(info.details.byModel).map(
+						m => `${m}: ` + formatFlash(info.details.byModel[m])
+					).join(', ');
+				} else {
+					details = formatFlash(info.details);
+				}
+				const all = info.details.byModel ? Object.values(info.details.byModel) : [info.details];
+				if (all.some(d => d.checksumValid === false)) badChecksums++;
+			} else {
+				details = Behringer.sysex.formatDetails(info.details);
+			}
+
+			output(
+				output.padLeft(strOffset, 8, chalk.blueBright),
+				output.pad(info.modelName, 12, chalk.cyanBright),
+				output.padLeft(info.deviceId, 6, chalk.whiteBright),
+				output.pad(info.commandName, 24, chalk.yellowBright),
+				output.padLeft(info.data.length, 6, chalk.greenBright),
+				details
+			);
+		}
+
+		output();
+		output(
+			chalk.whiteBright(count), 'SysEx events,',
+			(badChecksums ? chalk.redBright : chalk.greenBright)(badChecksums),
+			'flash blocks with bad checksums,',
+			(errors.length ? chalk.redBright : chalk.greenBright)(errors.length),
+			'damaged or incomplete messages'
+		);
+	}
+
 	static async exec(createInstance, args)
 	{
 		let cmdDefinitions = [
@@ -98,6 +263,7 @@ class Operations
 		}
 
 		let proc = new Operations();
+		Object.defineProperty(proc, 'behringer', { get: createInstance });
 
 		try {
 			const def = Operations.names[cmd.name] && Operations.names[cmd.name].optionList;
@@ -120,6 +286,57 @@ Operations.names = {
 		summary: 'List available MIDI devices to use for device communication',
 		optionList: [],
 	},
+	dissect: {
+		summary: 'List the SysEx events in a *.syx or *.mid file, decoding flash writes',
+		optionList: [
+			{
+				name: 'read',
+				type: String,
+				description: '*.syx or *.mid file to read',
+			},
+			{
+				name: 'model',
+				type: String,
+				description: 'Device model for decoding LCD messages, e.g. DEQ2496v2',
+			},
+		],
+	},
+	monitor: {
+		summary: 'Decode and print MIDI messages until Ctrl+C is pressed',
+		optionList: [
+			{
+				name: 'duration',
+				type: Number,
+				description: 'Stop after this many seconds',
+			},
+			{
+				name: 'command',
+				type: String,
+				multiple: true,
+				description: 'Only show these SysEx commands, by name or number, e.g. writeFlash',
+			},
+			{
+				name: 'device',
+				type: Number,
+				description: 'Only show messages to and from this device ID',
+			},
+			{
+				name: 'direction',
+				type: String,
+				description: 'Only show messages going "in" from the device or "out" to it',
+			},
+			{
+				name: 'all',
+				type: Boolean,
+				description: 'Also show messages that aren\'t Behringer SysEx events',
+			},
+			{
+				name: 'model',
+				type: String,
+				description: 'Device model for decoding flash writes, e.g. DEQ2496v2',
+			},
+		],
+	},
 };
 
 module.exports = Operations;
@@ -0,0 +1,231 @@
+/**
+ * Command line interface implementation for `params` function.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const chalk = require('chalk');
+const commandLineArgs = require('command-line-args');
+const debug = require('debug')('behringerctl:cli:params');
+
+const Behringer = require('../../index.js');
+const { OperationsError } = require('../error.js');
+const output = require('../output.js');
+
+class Operations
+{
+	constructor()
+	{
+	}
+
+	async destructor()
+	{
+	}
+
+	list(params)
+	{
+		const layout = Behringer.preset.getLayout();
+
+		output(
+			chalk.white.inverse('Name'.padEnd(40)),
+			chalk.white.inverse('Range'.padEnd(24)),
+			chalk.white.inverse('Units'.padEnd(5)),
+		);
+		for (const field of layout.fields) {
+			if (params['module'] && (field.module !== params['module'])) continue;
+
+			let range;
+			switch (field.type) {
+				case 'bool':
+					range = 'on, off';
+					break;
+				case 'enum':
+					range = field.values.join(', ');
+					break;
+				default:
+					range = `${field.min} to ${field.max}`;
+					if (field.scale !== 1) range += ` step ${field.scale}`;
+					break;
+			}
+			output(
+				output.pad(field.name, 40, chalk.whiteBright),
+				output.pad(range, 24, chalk.cyanBright),
+				chalk.blueBright(field.units || '')
+			);
+		}
+	}
+
+	async set(params)
+	{
+		if (!params['experimental']) {
+			throw new OperationsError('The writeSingleValue message format is a guess '
+				+ 'that has not been confirmed on a real DEQ2496, so this could change '
+				+ 'the wrong setting.  Use --experimental to send it anyway.');
+		}
+		if (!params['param']) {
+			throw new OperationsError('Missing --param.');
+		}
+		if (params['value'] === undefined) {
+			throw new OperationsError('Missing --value.');
+		}
+
+		let field, value;
+		try {
+			field = Behringer.preset.getField(params['param']);
+			value = Behringer.preset.parseValue(field, params['value']);
+			// Check the value before connecting, and find what it will round to.
+			value = Behringer.preset.decodeValue(field,
+				Behringer.preset.encodeValue(field, value));
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		try {
+			await this.behringer.setParameter(field.name, value);
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		output(
+			chalk.whiteBright(field.name),
+			'=',
+			chalk.greenBright(Behringer.preset.formatValue(field, value))
+		);
+	}
+
+	async cc(params)
+	{
+		if (!params['experimental']) {
+			throw new OperationsError('The NRPN numbers are derived from an unconfirmed '
+				+ 'guess at the parameter layout, and a real DEQ2496 may not use NRPNs '
+				+ 'at all.  Use --experimental to send them anyway.');
+		}
+		if (!params['param']) {
+			throw new OperationsError('Missing --param.');
+		}
+		if (params['value'] === undefined) {
+			throw new OperationsError('Missing --value.');
+		}
+
+		let field, value, data;
+		try {
+			field = Behringer.preset.getField(params['param']);
+			value = Behringer.preset.parseValue(field, params['value']);
+			data = Behringer.preset.encodeNRPNValue(field, value);
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		try {
+			await this.behringer.setParameterCC(field.name, value);
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		const nrpn = Behringer.preset.getNRPN(field);
+		output(
+			chalk.whiteBright(field.name),
+			'=',
+			chalk.greenBright(Behringer.preset.formatValue(field,
+				Behringer.preset.decodeNRPNValue(field, data))),
+			chalk.blueBright(`(NRPN ${nrpn >> 7}/${nrpn & 0x7F} = ${data})`)
+		);
+	}
+
+	static async exec(createInstance, args)
+	{
+		let cmdDefinitions = [
+			{ name: 'name', defaultOption: true },
+		];
+		const cmd = commandLineArgs(cmdDefinitions, { argv: args, stopAtFirstUnknown: true });
+
+		if (!cmd.name) {
+			throw new OperationsError(`subcommand required`);
+		}
+
+		let proc = new Operations();
+		Object.defineProperty(proc, 'behringer', { get: createInstance });
+
+		try {
+			const def = Operations.names[cmd.name] && Operations.names[cmd.name].optionList;
+			if (def) {
+				const runOptions = commandLineArgs(def, { argv: cmd._unknown || [] });
+				await proc[cmd.name](runOptions);
+			} else {
+				throw new OperationsError(`unknown command: ${cmd.name}`);
+			}
+
+		} finally {
+			if (proc.destructor) await proc.destructor();
+			proc = undefined;
+		}
+	}
+}
+
+Operations.names = {
+	list: {
+		summary: 'List the parameters that can be changed, with their ranges',
+		optionList: [
+			{
+				name: 'module',
+				type: String,
+				description: 'Only list parameters in this module, e.g. geq',
+			},
+		],
+	},
+	set: {
+		summary: 'Change a single parameter on the device (experimental)',
+		optionList: [
+			{
+				name: 'param',
+				type: String,
+				description: 'Parameter to change, as listed by `params list`',
+			},
+			{
+				name: 'value',
+				type: String,
+				description: 'New value, e.g. -3.5, on/off or an option from `params list`',
+			},
+			{
+				name: 'experimental',
+				type: Boolean,
+				description: 'Required, as the message format has not been confirmed on a real device',
+			},
+		],
+	},
+	cc: {
+		summary: 'Change a single parameter with NRPN controller messages instead of SysEx (experimental)',
+		optionList: [
+			{
+				name: 'param',
+				type: String,
+				description: 'Parameter to change, as listed by `params list`',
+			},
+			{
+				name: 'value',
+				type: String,
+				description: 'New value, as for `params set`',
+			},
+			{
+				name: 'experimental',
+				type: Boolean,
+				description: 'Required, as the NRPN mapping has not been confirmed on a real device',
+			},
+		],
+	},
+};
+
+module.exports = Operations;
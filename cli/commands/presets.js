@@ -22,6 +22,7 @@ const commandLineArgs = require('command-line-args');
 const debug = require('debug')('behringerctl:cli:presets');
 const fs = require('fs');
 
+const Behringer = require('../../index.js');
 const { OperationsError } = require('../error.js');
 const output = require('../output.js');
 
@@ -64,11 +65,16 @@ class Operations
 
 	async export(params)
 	{
-		if (params['index'] === undefined) {
-			throw new OperationsError('Missing --index.');
+		if (params['prefix'] === undefined && params['bank'] === undefined) {
+			throw new OperationsError('Missing --prefix or --bank.');
 		}
-		if (params['prefix'] === undefined) {
-			throw new OperationsError('Missing --prefix.');
+		if (params['index'] === undefined) {
+			if (!params['bank']) {
+				throw new OperationsError('Missing --index.');
+			}
+			// Export the whole device into the bank by default.
+			params['index'] = 0;
+			params['count'] = params['count'] || 65;
 		}
 		const count = params['count'] || 1;
 		const start = parseInt(params['index']);
@@ -78,17 +84,27 @@ class Operations
 		// preset is empty, even if there are valid presets later on.
 		this.behringer.defaultTimeout = 500;
 
+		let presets = [];
 		for (let i = start; i < end; i++) {
 			try {
 				const preset = await this.behringer.readPreset(i);
-				const filename = `${params['prefix']}-${i}.bin`;
+				let dest;
+				if (params['bank']) {
+					presets.push({
+						index: i,
+						presetRaw: preset.presetRaw,
+					});
+					dest = params['bank'];
+				} else {
+					dest = `${params['prefix']}-${i}.bin`;
+					fs.writeFileSync(dest, Buffer.from(preset.presetRaw));
+				}
 				output(
 					output.pad(i, 2, chalk.whiteBright) + ':',
 					output.pad(preset.title, 16, chalk.greenBright),
 					'->',
-					chalk.yellowBright(filename)
+					chalk.yellowBright(dest)
 				);
-				fs.writeFileSync(filename, Buffer.from(preset.presetRaw));
 
 			} catch (e) {
 				output(
@@ -97,30 +113,152 @@ class Operations
 				);
 			}
 		}
+
+		if (params['bank']) {
+			// The device cuts titles short, so if the bank is being exported again
+			// keep any full titles that were filled in by hand last time.
+			let oldTitles = {};
+			if (fs.existsSync(params['bank'])) {
+				try {
+					const oldBank = JSON.parse(fs.readFileSync(params['bank'], 'utf8'));
+					for (const p of Behringer.preset.readBank(oldBank, true)) {
+						oldTitles[p.index] = p.title;
+					}
+				} catch (e) {
+					debug(`Not keeping titles from ${params['bank']}: ${e.message}`);
+				}
+			}
+			for (const p of presets) {
+				const oldTitle = oldTitles[p.index];
+				const title = Behringer.preset.splitRaw(p.presetRaw).title;
+				if (oldTitle && (oldTitle.length > title.length) && oldTitle.startsWith(title)) {
+					p.title = oldTitle;
+				}
+			}
+
+			const identity = await this.behringer.identify();
+			const bank = Behringer.preset.createBank(presets, {
+				modelId: identity.modelId,
+				modelName: identity.modelName,
+				firmware: params['firmware'],
+			});
+			fs.writeFileSync(params['bank'], JSON.stringify(bank, null, '\t') + '\n');
+			output(`Saved ${presets.length} presets to`, chalk.yellowBright(params['bank']));
+		}
 	}
 
-	async import(params)
+	/// Load the presets to write for `presets import`.
+	/**
+	 * @return Array of `{index, data, source}`, or `{index, error, source}` if
+	 *   a preset file could not be read.
+	 */
+	loadImport(params)
 	{
+		if (params['bank']) {
+			let bank, presets;
+			try {
+				bank = JSON.parse(fs.readFileSync(params['bank'], 'utf8'));
+				presets = Behringer.preset.readBank(bank, params['ignore-checksum']);
+			} catch (e) {
+				throw new OperationsError(`Unable to load ${params['bank']}: ${e.message}`);
+			}
+			if (params['index'] !== undefined) {
+				const start = parseInt(params['index']);
+				const end = start + (params['count'] || 1);
+				presets = presets.filter(p => (p.index >= start) && (p.index < end));
+			}
+			return presets.map(p => ({
+				index: p.index,
+				data: Buffer.from(p.presetRaw),
+				source: params['bank'],
+				modelId: bank.modelId,
+			}));
+		}
+
+		if (params['sysex']) {
+			let presets, errors;
+			try {
+				({ presets, errors } = Behringer.preset.readSysEx(fs.readFileSync(params['sysex'])));
+			} catch (e) {
+				throw new OperationsError(`Unable to load ${params['sysex']}: ${e.message}`);
+			}
+			for (const e of errors) {
+				output(
+					output.padLeft('0x' + e.offset.toString(16).padStart(6, '0'), 8, chalk.blueBright),
+					chalk.redBright(e.message)
+				);
+			}
+			if (!presets.length) {
+				throw new OperationsError(`No presets found in ${params['sysex']}.`);
+			}
+			if (params['index'] !== undefined) {
+				const start = parseInt(params['index']);
+				const end = start + (params['count'] || 1);
+				presets = presets.filter(p => (p.index >= start) && (p.index < end));
+			}
+			return presets.map(p => ({
+				index: p.index,
+				data: Buffer.from(p.presetRaw),
+				source: params['sysex'],
+			}));
+		}
+
 		if (params['index'] === undefined) {
 			throw new OperationsError('Missing --index.');
 		}
 		if (params['prefix'] === undefined) {
-			throw new OperationsError('Missing --prefix.');
+			throw new OperationsError('Missing --prefix, --bank or --sysex.');
 		}
 		const count = params['count'] || 1;
 		const start = parseInt(params['index']);
 		const end = start + count;
 
-		// Reduce the timeout a bit because the DEQ2496 doesn't respond if the
-		// preset is empty, even if there are valid presets later on.
-		this.behringer.defaultTimeout = 500;
-
+		let list = [];
 		for (let i = start; i < end; i++) {
-			const filename = `${params['prefix']}-${i}.bin`;
+			const ext = params['json'] ? 'json' : 'bin';
+			const filename = `${params['prefix']}-${i}.${ext}`;
 			let data;
 			try {
 				data = fs.readFileSync(filename);
 			} catch (e) {
+				list.push({index: i, error: e, source: filename});
+				continue;
+			}
+
+			if (params['json']) {
+				try {
+					data = Buffer.from(Behringer.preset.encode(JSON.parse(data)));
+				} catch (e) {
+					throw new OperationsError(`Unable to encode ${filename}: ${e.message}`);
+				}
+			}
+			list.push({index: i, data: data, source: filename});
+		}
+		return list;
+	}
+
+	async import(params)
+	{
+		const list = this.loadImport(params);
+
+		// Reduce the timeout a bit because the DEQ2496 doesn't respond if the
+		// preset is empty, even if there are valid presets later on.
+		this.behringer.defaultTimeout = 500;
+
+		if (list.length && (list[0].modelId !== undefined)) {
+			const identity = await this.behringer.identify();
+			if (identity.modelId !== list[0].modelId) {
+				throw new OperationsError(`Bank was exported from a `
+					+ `${Behringer.util.getModelName(list[0].modelId)} but this device `
+					+ `is a ${identity.modelName}.`);
+			}
+		}
+
+		for (const item of list) {
+			const i = item.index;
+			const filename = item.source;
+			const data = item.data;
+			if (item.error) {
 				output(
 					output.pad(i, 2, chalk.whiteBright) + ':',
 					chalk.redBright('Skipping, unable to read'),
@@ -149,8 +287,12 @@ class Operations
 				continue;
 			}
 
-			// Check the data
-			if (Buffer.compare(Buffer.from(verify.presetRaw), data)) {
+			// Check the data.  Only the content is compared, as the device cuts
+			// the title short when reading it back.
+			const length = (data[0] << 7) | data[1];
+			const written = data.slice(0, 2 + length);
+			const readBack = Buffer.from(verify.presetRaw).slice(0, 2 + length);
+			if (Buffer.compare(readBack, written) === 0) {
 				output(
 					output.pad(i, 2, chalk.whiteBright) + ':',
 					output.pad(verify.title, 16, chalk.greenBright),
@@ -167,6 +309,284 @@ class Operations
 		}
 	}
 
+	async 'module-export'(params)
+	{
+		if (!params['experimental']) {
+			throw new OperationsError('The module layout is a guess that has not been '
+				+ 'confirmed on a real DEQ2496, so the saved module may not hold what it '
+				+ 'should.  Use --experimental to run this anyway.');
+		}
+		if (params['module'] === undefined) {
+			throw new OperationsError('Missing --module.');
+		}
+		if (!params['write']) {
+			throw new OperationsError('Missing filename to --write.');
+		}
+
+		let module, moduleRaw, source;
+		try {
+			module = Behringer.preset.getModule(params['module']);
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		if (params['read']) {
+			source = params['read'];
+			const preset = await this.loadPreset(source);
+			try {
+				moduleRaw = Behringer.preset.extractModule(preset.presetRaw, module.id);
+			} catch (e) {
+				throw new OperationsError(`Unable to read ${source}: ${e.message}`);
+			}
+		} else if (params['index'] !== undefined) {
+			source = `slot ${params['index']}`;
+			this.behringer.defaultTimeout = 500;
+			try {
+				const response = await this.behringer.readModulePreset(params['index'], module.id);
+				moduleRaw = Array.from(response.moduleRaw);
+			} catch (e) {
+				throw new OperationsError(`Unable to read ${module.name} from preset `
+					+ `${params['index']}: ${e.message}`);
+			}
+		} else {
+			throw new OperationsError('Missing --index or --read.');
+		}
+
+		// Store the module ID first so module-import knows where it goes.
+		fs.writeFileSync(params['write'], Buffer.from([module.id, ...moduleRaw]));
+		output(
+			chalk.greenBright(module.name),
+			'from',
+			chalk.whiteBright(source),
+			'->',
+			chalk.yellowBright(params['write'])
+		);
+	}
+
+	async 'module-import'(params)
+	{
+		if (!params['experimental']) {
+			throw new OperationsError('The writeModulePresets message format is a guess '
+				+ 'that has not been confirmed on a real DEQ2496, so this could corrupt '
+				+ 'the preset.  Back it up with `presets export` first, then use '
+				+ '--experimental to run this anyway.');
+		}
+		if (params['index'] === undefined) {
+			throw new OperationsError('Missing --index.');
+		}
+		if (!params['read']) {
+			throw new OperationsError('Missing filename to --read.');
+		}
+
+		let data;
+		try {
+			data = fs.readFileSync(params['read']);
+		} catch (e) {
+			throw new OperationsError(`Unable to read ${params['read']}: ${e.message}`);
+		}
+		let module;
+		try {
+			module = Behringer.preset.getModule(data[0]);
+		} catch (e) {
+			throw new OperationsError(`${params['read']} is not a module file: ${e.message}`);
+		}
+		const moduleRaw = Array.from(data.slice(1));
+
+		const index = parseInt(params['index']);
+		await this.behringer.writeModulePreset(index, module.id, moduleRaw);
+		// Wait for a bit to give it time to save.
+		await new Promise((resolve, reject) => setTimeout(() => resolve(), 500));
+
+		this.behringer.defaultTimeout = 500;
+		let verify;
+		try {
+			verify = await this.behringer.readModulePreset(index, module.id);
+		} catch (e) {
+			throw new OperationsError(`Unable to read back preset ${index}: ${e.message}`);
+		}
+		if (Buffer.compare(Buffer.from(verify.moduleRaw), Buffer.from(moduleRaw)) === 0) {
+			output(
+				output.pad(index, 2, chalk.whiteBright) + ':',
+				chalk.greenBright(module.name),
+				'<-',
+				chalk.yellowBright(params['read'])
+			);
+		} else {
+			throw new OperationsError('Verify failed, data was not written correctly.');
+		}
+	}
+
+	encode(params)
+	{
+		if (!params['read']) {
+			throw new OperationsError('Missing filename to --read.');
+		}
+		if (!params['write']) {
+			throw new OperationsError('Missing filename to --write.');
+		}
+
+		let presetRaw;
+		try {
+			const preset = JSON.parse(fs.readFileSync(params['read'], 'utf8'));
+			presetRaw = Behringer.preset.encode(preset);
+		} catch (e) {
+			throw new OperationsError(`Unable to encode preset: ${e.message}`);
+		}
+
+		fs.writeFileSync(params['write'], Buffer.from(presetRaw));
+		output(
+			'Wrote preset to',
+			chalk.greenBright(params['write']),
+		);
+	}
+
+	/// Load a preset from a device slot number, *.bin file or *.json file.
+	/**
+	 * @return Object `{label, presetRaw}`.
+	 */
+	async loadPreset(source)
+	{
+		if (/^[0-9]+$/.test(source)) {
+			const index = parseInt(source);
+			try {
+				const preset = await this.behringer.readPreset(index);
+				return {
+					label: `slot ${index}`,
+					presetRaw: Array.from(preset.presetRaw),
+				};
+			} catch (e) {
+				throw new OperationsError(`Unable to read preset ${index}: ${e.message}`);
+			}
+		}
+
+		let data;
+		try {
+			data = fs.readFileSync(source);
+		} catch (e) {
+			throw new OperationsError(`Unable to read ${source}: ${e.message}`);
+		}
+
+		if (source.toLowerCase().endsWith('.json')) {
+			try {
+				data = Behringer.preset.encode(JSON.parse(data));
+			} catch (e) {
+				throw new OperationsError(`Unable to encode ${source}: ${e.message}`);
+			}
+		}
+		return {
+			label: source,
+			presetRaw: Array.from(data),
+		};
+	}
+
+	async diff(params)
+	{
+		if (!params['from'] || !params['to']) {
+			throw new OperationsError('Must specify both --from and --to.');
+		}
+
+		const a = await this.loadPreset(params['from']);
+		const b = await this.loadPreset(params['to']);
+
+		output(chalk.redBright('--- ' + a.label));
+		output(chalk.greenBright('+++ ' + b.label));
+
+		let changes = null;
+		if (!params['bytes']) {
+			try {
+				changes = Behringer.preset.diff(a.presetRaw, b.presetRaw);
+			} catch (e) {
+				output(chalk.yellowBright(`Unable to decode presets (${e.message}), `
+					+ 'comparing bytes instead.'));
+			}
+		}
+
+		if (changes) {
+			if (changes.length === 0) {
+				output('Presets are identical.');
+				return;
+			}
+			for (const c of changes) {
+				const fmt = v => c.field ? Behringer.preset.formatValue(c.field, v) : `"${v}"`;
+				output(
+					output.pad(c.name, 40, chalk.whiteBright),
+					chalk.redBright(fmt(c.oldValue)),
+					'->',
+					chalk.greenBright(fmt(c.newValue))
+				);
+			}
+			return;
+		}
+
+		const byteChanges = Behringer.preset.diffBytes(a.presetRaw, b.presetRaw);
+		if (byteChanges.length === 0) {
+			output('Presets are identical.');
+			return;
+		}
+		const hex = v => (v === undefined) ? '--' : v.toString(16).padStart(2, '0');
+		for (const c of byteChanges) {
+			output(
+				output.padLeft('0x' + c.offset.toString(16).padStart(4, '0'), 8, chalk.magentaBright) + ':',
+				chalk.redBright(hex(c.oldValue)),
+				'->',
+				chalk.greenBright(hex(c.newValue))
+			);
+		}
+	}
+
+	async show(params)
+	{
+		let presetRaw;
+		if (params['read']) {
+			presetRaw = fs.readFileSync(params['read']);
+		} else if (params['index'] !== undefined) {
+			try {
+				const preset = await this.behringer.readPreset(params['index']);
+				presetRaw = preset.presetRaw;
+			} catch (e) {
+				throw new OperationsError(`Unable to read preset ${params['index']}: ${e.message}`);
+			}
+		} else {
+			throw new OperationsError('Missing --index or --read.');
+		}
+
+		let preset;
+		try {
+			preset = Behringer.preset.decode(presetRaw);
+		} catch (e) {
+			throw new OperationsError(`Unable to decode preset: ${e.message}`);
+		}
+
+		const layout = Behringer.preset.getLayout();
+		const warning = 'The preset layout is hypothetical and has not been '
+			+ 'checked against real dumps, so these values may be wrong.';
+
+		if (params['json']) {
+			// Keep the warning off stdout so the JSON can still be redirected.
+			if (layout.hypothetical) console.error(chalk.yellowBright(warning));
+			output(JSON.stringify(preset, null, '\t'));
+			return;
+		}
+
+		if (layout.hypothetical) output(chalk.yellowBright(warning));
+		output(chalk.whiteBright('Title:'), chalk.greenBright(preset.title));
+
+		let lastModule = null;
+		for (const field of layout.fields) {
+			if (field.module !== lastModule) {
+				const module = layout.modules.find(m => m.name === field.module);
+				output();
+				output(chalk.white.inverse(module.title.padEnd(40)));
+				lastModule = field.module;
+			}
+			const value = Behringer.preset.getValue(preset, field);
+			output(
+				output.pad(field.name, 40, chalk.whiteBright),
+				chalk.yellowBright(Behringer.preset.formatValue(field, value))
+			);
+		}
+	}
+
 	static async exec(createInstance, args)
 	{
 		let cmdDefinitions = [
@@ -179,11 +599,7 @@ class Operations
 		}
 
 		let proc = new Operations();
-		try {
-			proc.behringer = createInstance();
-		} catch (e) {
-			throw new OperationsError(`Unable to set up MIDI connection: ${e.message}`);
-		}
+		Object.defineProperty(proc, 'behringer', { get: createInstance });
 
 		try {
 			const def = Operations.names[cmd.name] && Operations.names[cmd.name].optionList;
@@ -224,6 +640,16 @@ Operations.names = {
 				type: String,
 				description: 'Filename prefix ("out" will save "out-0.bin")',
 			},
+			{
+				name: 'bank',
+				type: String,
+				description: 'Save all presets into this one file (*.json), instead of one file per preset with --prefix',
+			},
+			{
+				name: 'firmware',
+				type: String,
+				description: 'Firmware version to record in the bank file, as the device cannot report it',
+			},
 		],
 	},
 	import: {
@@ -244,6 +670,131 @@ Operations.names = {
 				type: String,
 				description: 'Filename prefix ("out" will load "out-0.bin")',
 			},
+			{
+				name: 'json',
+				type: Boolean,
+				description: 'Load JSON presets ("out-0.json") as produced by `presets show --json`',
+			},
+			{
+				name: 'bank',
+				type: String,
+				description: 'Load presets from a bank file saved by `presets export --bank`.  All presets in the bank are written unless --index is given.',
+			},
+			{
+				name: 'ignore-checksum',
+				type: Boolean,
+				description: 'Write presets from a bank even if their content has been modified since it was exported',
+			},
+			{
+				name: 'sysex',
+				type: String,
+				description: 'Load presets from a SysEx dump (*.syx or *.mid) into the slots it names.  All presets in the file are written unless --index is given.',
+			},
+		],
+	},
+	'module-export': {
+		summary: 'Save one processing module (e.g. only the GEQ) from a preset (experimental)',
+		optionList: [
+			{
+				name: 'index',
+				type: Number,
+				description: 'Preset on the device to read from (0..64)',
+			},
+			{
+				name: 'read',
+				type: String,
+				description: 'Read from a preset file (*.bin or *.json) instead of the device',
+			},
+			{
+				name: 'module',
+				type: String,
+				description: 'Module to save: geq, peq, dynamicEq, dynamics, delay or io',
+			},
+			{
+				name: 'write',
+				type: String,
+				description: 'Filename to create',
+			},
+			{
+				name: 'experimental',
+				type: Boolean,
+				description: 'Required, as the module layout has not been confirmed on a real device',
+			},
+		],
+	},
+	'module-import': {
+		summary: 'Replace one processing module in a preset, leaving the rest unchanged (experimental)',
+		optionList: [
+			{
+				name: 'index',
+				type: Number,
+				description: 'Preset on the device to change (0..64)',
+			},
+			{
+				name: 'read',
+				type: String,
+				description: 'Module file saved by `presets module-export`',
+			},
+			{
+				name: 'experimental',
+				type: Boolean,
+				description: 'Required, as the message format has not been confirmed on a real device',
+			},
+		],
+	},
+	encode: {
+		summary: 'Convert a JSON preset into a file that `presets import` can load',
+		optionList: [
+			{
+				name: 'read',
+				type: String,
+				description: 'JSON file to read, in the format produced by `presets show --json`',
+			},
+			{
+				name: 'write',
+				type: String,
+				description: 'Filename to create (*.bin)',
+			},
+		],
+	},
+	show: {
+		summary: 'Decode a preset and list its settings (hypothetical layout)',
+		optionList: [
+			{
+				name: 'index',
+				type: Number,
+				description: 'Preset on the device to show (0..64)',
+			},
+			{
+				name: 'read',
+				type: String,
+				description: 'Show a preset file saved by `presets export` instead',
+			},
+			{
+				name: 'json',
+				type: Boolean,
+				description: 'Print the decoded preset as JSON',
+			},
+		],
+	},
+	diff: {
+		summary: 'Compare two presets and list the settings that differ',
+		optionList: [
+			{
+				name: 'from',
+				type: String,
+				description: 'Original preset: a slot number on the device, or a *.bin or *.json file',
+			},
+			{
+				name: 'to',
+				type: String,
+				description: 'Preset to compare it to, in the same forms as --from',
+			},
+			{
+				name: 'bytes',
+				type: Boolean,
+				description: 'Compare the raw bytes instead of the decoded settings',
+			},
 		],
 	},
 };
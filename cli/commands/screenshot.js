@@ -20,10 +20,54 @@
 const chalk = require('chalk');
 const commandLineArgs = require('command-line-args');
 const debug = require('debug')('behringerctl:cli:screenshot');
+const fs = require('fs');
 
+const Behringer = require('../../index.js');
 const { OperationsError } = require('../error.js');
 const output = require('../output.js');
 
+/// Draw LCD pixels as text, two rows per line using Unicode half blocks.
+/**
+ * @param Array pixels
+ *   `pixels` field from `Behringer.getScreenshot()`.
+ *
+ * @param boolean ascii
+ *   If true, use one line per row with `%` for lit pixels instead.
+ *
+ * @return Array of strings, one per line.
+ */
+function renderLines(pixels, ascii)
+{
+	let lines = [];
+	if (ascii) {
+		for (const row of pixels) {
+			lines.push(row.reduce((line, p) => line + (p ? '%' : ' '), ''));
+		}
+		return lines;
+	}
+
+	const chars = [
+		' ',
+		'\u2580',
+		'\u2584',
+		'\u2588',
+	];
+	for (let row = 0; row < pixels.length; row += 2) {
+		const upper = pixels[row];
+		const lower = pixels[row + 1] || [];
+		let line = '';
+		for (let col = 0; col < upper.length; col++) {
+			const char =
+				(upper[col] ? 1 : 0) +
+				(lower[col] ? 2 : 0)
+			;
+			line += chars[char];
+		}
+		lines.push(line);
+	}
+	return lines;
+}
+
 class Operations
 {
 	constructor()
@@ -37,29 +81,203 @@ class Operations
 	async show(params)
 	{
 		const ss = await this.behringer.getScreenshot();
-		if (params['ascii']) {
-			for (const row of ss.pixels) {
-				process.stdout.write('>' + row.reduce((line, p) => line + (p ? '%' : ' '), '') + '<\n');
+		for (const line of renderLines(ss.pixels, params['ascii'])) {
+			process.stdout.write('>' + line + '<\n');
+		}
+	}
+
+	async watch(params)
+	{
+		const interval = (params['interval'] === undefined) ? 1000 : params['interval'];
+		if (!(interval >= 0)) {
+			throw new OperationsError('--interval must be 0 or more.');
+		}
+
+		// Stop cleanly on Ctrl+C so the MIDI ports are closed.
+		let running = true;
+		const stop = () => { running = false; };
+		process.once('SIGINT', stop);
+
+		const ESC = '\u001B[';
+		// Clear the screen and hide the cursor.
+		process.stdout.write(ESC + '2J' + ESC + '?25l');
+
+		let previous = [];
+		let frames = 0;
+		try {
+			while (running) {
+				const start = Date.now();
+				let status;
+				try {
+					const ss = await this.behringer.getScreenshot();
+					const lines = renderLines(ss.pixels, params['ascii']);
+					for (let y = 0; y < lines.length; y++) {
+						if (lines[y] === previous[y]) continue;
+						// Move to the start of the row and redraw it.
+						process.stdout.write(ESC + (y + 1) + ';1H>' + lines[y] + '<');
+					}
+					previous = lines;
+					frames++;
+					status = chalk.greenBright(new Date().toLocaleTimeString())
+						+ ` frame ${frames}, Ctrl+C to stop`;
+				} catch (e) {
+					status = chalk.redBright(`No screenshot: ${e.message}`);
+				}
+				process.stdout.write(ESC + (previous.length + 1) + ';1H' + status + ESC + 'K');
+
+				if (params['count'] && (frames >= params['count'])) break;
+
+				const wait = Math.max(0, interval - (Date.now() - start));
+				await new Promise(resolve => setTimeout(resolve, wait));
 			}
+		} finally {
+			process.removeListener('SIGINT', stop);
+			// Leave the cursor below the picture, and show it again.
+			process.stdout.write(ESC + (previous.length + 2) + ';1H' + ESC + '?25h');
+		}
+	}
+
+	async text(params)
+	{
+		let font;
+		if (params['font']) {
+			try {
+				font = JSON.parse(fs.readFileSync(params['font'], 'utf8'));
+			} catch (e) {
+				throw new OperationsError(`Unable to load ${params['font']}: ${e.message}`);
+			}
+		}
+
+		const ss = await this.behringer.getScreenshot();
+		let text;
+		try {
+			text = Behringer.screenshot.extractText(ss, { font: font });
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		if (params['json']) {
+			output(JSON.stringify(text.items, null, '\t'));
+			return;
+		}
+		if (params['lines']) {
+			for (const line of text.lines) {
+				output('>' + line + '<');
+			}
+			return;
+		}
+
+		output(
+			chalk.white.inverse('Row'.padEnd(3)),
+			chalk.white.inverse('Col'.padEnd(3)),
+			chalk.white.inverse('Text'.padEnd(20)),
+		);
+		for (const item of text.items) {
+			output(
+				output.padLeft(item.row, 3, chalk.whiteBright),
+				output.padLeft(item.column, 3, chalk.whiteBright),
+				item.inverted ? chalk.greenBright.inverse(item.text) : chalk.greenBright(item.text)
+			);
+		}
+	}
+
+	async save(params)
+	{
+		if (!params['write']) {
+			throw new OperationsError('Missing filename to --write.');
+		}
+		const options = {
+			scale: params['scale'],
+			on: params['on'],
+			off: params['off'],
+		};
+		// Check the options before waiting for the device.
+		try {
+			Behringer.screenshot.toPNG({ width: 1, height: 1, pixels: [] }, options);
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		const png = await this.behringer.getScreenshotPNG(options);
+		fs.writeFileSync(params['write'], png);
+		output('Saved screenshot to', chalk.yellowBright(params['write']));
+	}
+
+	async record(params)
+	{
+		if (!params['write']) {
+			throw new OperationsError('Missing filename to --write.');
+		}
+		if (!(params['duration'] > 0)) {
+			throw new OperationsError('Missing --duration.');
+		}
+		let encode;
+		if (/\.gif$/i.test(params['write'])) {
+			encode = 'toGIF';
+		} else if (/\.a?png$/i.test(params['write'])) {
+			encode = 'toAPNG';
 		} else {
-			for (let row = 0; row < ss.pixels.length; row += 2) {
-				let line = '';
-				for (let col = 0; col < ss.pixels[row].length; col++) {
-					const char =
-						(ss.pixels[row][col] ? 1 : 0) +
-						(ss.pixels[row + 1][col] ? 2 : 0)
-					;
-					const chars = [
-						' ',
-						'\u2580',
-						'\u2584',
-						'\u2588',
-					];
-					line += chars[char];
+			throw new OperationsError('Filename must end in .gif, .png or .apng.');
+		}
+		const interval = (params['interval'] === undefined) ? 200 : params['interval'];
+		const options = {
+			scale: params['scale'],
+			on: params['on'],
+			off: params['off'],
+		};
+		// Check the options before waiting for the device.
+		try {
+			Behringer.screenshot.toPNG({ width: 1, height: 1, pixels: [] }, options);
+		} catch (e) {
+			throw new OperationsError(e.message);
+		}
+
+		// Stop early on Ctrl+C, but still save what was recorded.
+		let running = true;
+		const stop = () => { running = false; };
+		process.once('SIGINT', stop);
+
+		const duration = params['duration'] * 1000;
+		const start = Date.now();
+		let frames = [];
+		let now = 0;
+		try {
+			while (running && (now < duration)) {
+				try {
+					const screenshot = await this.behringer.getScreenshot();
+					// Time the frame from when the reply arrived, which is much closer
+					// to when the screen was captured than when it was requested.
+					frames.push({
+						screenshot: screenshot,
+						time: Date.now() - start,
+					});
+				} catch (e) {
+					debug(`Skipping frame: ${e.message}`);
 				}
-				process.stdout.write('>' + line + '<\n');
+				process.stdout.write(`\rRecording: ${(now / 1000).toFixed(1)} s, `
+					+ `${frames.length} frames`);
+
+				const wait = Math.max(0, interval - (Date.now() - start - now));
+				await new Promise(resolve => setTimeout(resolve, wait));
+				now = Date.now() - start;
 			}
+		} finally {
+			process.removeListener('SIGINT', stop);
+			process.stdout.write('\n');
 		}
+
+		if (!frames.length) {
+			throw new OperationsError('No screenshots were received.');
+		}
+		// The last frame can arrive after the duration is up, so don't let the
+		// end time fall before it.
+		const endTime = Math.max(Math.min(now, duration), frames[frames.length - 1].time);
+		const timed = Behringer.screenshot.timeFrames(frames, endTime);
+		fs.writeFileSync(params['write'], Behringer.screenshot[encode](timed, options));
+		output(
+			`Saved ${timed.length} frames (${frames.length} captured) to`,
+			chalk.yellowBright(params['write'])
+		);
 	}
 
 	static async exec(createInstance, args)
@@ -74,11 +292,7 @@ class Operations
 		}
 
 		let proc = new Operations();
-		try {
-			proc.behringer = createInstance();
-		} catch (e) {
-			throw new OperationsError(`Unable to set up MIDI connection: ${e.message}`);
-		}
+		Object.defineProperty(proc, 'behringer', { get: createInstance });
 
 		try {
 			const def = Operations.names[cmd.name] && Operations.names[cmd.name].optionList;
@@ -107,6 +321,106 @@ Operations.names = {
 			}
 		],
 	},
+	watch: {
+		summary: 'Keep showing the screen in the console as it changes',
+		optionList: [
+			{
+				name: 'interval',
+				type: Number,
+				description: 'Milliseconds between screenshots (default is 1000)',
+			},
+			{
+				name: 'count',
+				type: Number,
+				description: 'Stop after this many screenshots (default is to run until Ctrl+C)',
+			},
+			{
+				name: 'ascii',
+				type: Boolean,
+				description: 'Use ASCII instead of Unicode',
+			},
+		],
+	},
+	record: {
+		summary: 'Save the screen as an animation (.gif or .png) as it changes',
+		optionList: [
+			{
+				name: 'write',
+				type: String,
+				description: 'Filename to create (*.gif, or *.png for an animated PNG)',
+			},
+			{
+				name: 'duration',
+				type: Number,
+				description: 'Number of seconds to record for (Ctrl+C will stop early)',
+			},
+			{
+				name: 'interval',
+				type: Number,
+				description: 'Milliseconds between screenshots (default is 200)',
+			},
+			{
+				name: 'scale',
+				type: Number,
+				description: 'Draw each LCD pixel this many pixels wide (default is 1)',
+			},
+			{
+				name: 'on',
+				type: String,
+				description: 'Colour of lit pixels as #RRGGBB (default is #000000)',
+			},
+			{
+				name: 'off',
+				type: String,
+				description: 'Colour of unlit pixels as #RRGGBB (default is #FFFFFF)',
+			},
+		],
+	},
+	text: {
+		summary: 'Read the text shown on the screen',
+		optionList: [
+			{
+				name: 'lines',
+				type: Boolean,
+				description: 'Show every row of character cells, instead of a list of text',
+			},
+			{
+				name: 'json',
+				type: Boolean,
+				description: 'List the text with its position as JSON',
+			},
+			{
+				name: 'font',
+				type: String,
+				description: 'Glyph atlas to use instead of the built-in one (*.json, see device/deq2496font.js)',
+			},
+		],
+	},
+	save: {
+		summary: 'Save the screenshot as a .png image',
+		optionList: [
+			{
+				name: 'write',
+				type: String,
+				description: 'Filename to create (*.png)',
+			},
+			{
+				name: 'scale',
+				type: Number,
+				description: 'Draw each LCD pixel this many pixels wide (default is 1)',
+			},
+			{
+				name: 'on',
+				type: String,
+				description: 'Colour of lit pixels as #RRGGBB (default is #000000)',
+			},
+			{
+				name: 'off',
+				type: String,
+				description: 'Colour of unlit pixels as #RRGGBB (default is #FFFFFF)',
+			},
+		],
+	},
 };
 
 module.exports = Operations;
@@ -2,11 +2,12 @@ const chalk = require('chalk');
 const commandLineArgs = require('command-line-args');
 const commandLineUsage = require('command-line-usage');
 const debug = require('debug')('behringerctl');
+const fs = require('fs');
 const glob = require('glob');
 const path = require('path');
-const midi = require('midi');
 
 const { OperationsError } = require('./error.js');
+const createMonitor = require('./monitor.js');
 
 const Behringer = require('../index.js');
 
@@ -23,24 +24,6 @@ function loadCommands()
 	return commands;
 }
 
-function findDefaultPort(midiInterface)
-{
-	const portCount = midiInterface.getPortCount();
-	for (let i = 0; i < portCount; i++) {
-		const portName = midiInterface.getPortName(i);
-		// Pick first port that doesn't look like a MIDI Through one.
-		if (!portName.includes('hrough')) {
-			return i;
-		}
-	}
-
-	// No through ports, return the first one.
-	if (portCount > 0) return 0;
-
-	// No ports at all!
-	return null;
-}
-
 async function main()
 {
 	const commands = loadCommands();
@@ -49,10 +32,16 @@ async function main()
 		{ name: 'debug', type: Boolean },
 		{ name: 'midi-in', type: Number },
 		{ name: 'midi-out', type: Number },
+		{ name: 'midi-device', type: String },
+		{ name: 'emulate', type: Boolean },
+		{ name: 'emulate-flash', type: String },
 		{ name: 'model-id', type: Number },
 		{ name: 'device-id', type: Number },
 		{ name: 'all-devices', type: Boolean },
 		{ name: 'debug-monitor', type: Boolean },
+		{ name: 'monitor', type: Boolean },
+		{ name: 'record', type: String },
+		{ name: 'replay', type: String },
 		{ name: 'name', defaultOption: true },
 	];
 	let argv = process.argv;
@@ -102,6 +91,18 @@ async function main()
 						name: '--midi-out',
 						summary: 'Index of MIDI device to sent commands to, from `midi list`',
 					},
+					{
+						name: '--midi-device',
+						summary: 'Raw MIDI device file to use instead of --midi-in/out, e.g. /dev/snd/midiC1D0',
+					},
+					{
+						name: '--emulate',
+						summary: 'Talk to a simulated DEQ2496 instead of a real device',
+					},
+					{
+						name: '--emulate-flash',
+						summary: 'File holding the simulated device\'s flash, loaded at start and saved at exit',
+					},
 					{
 						name: '--model-id',
 						summary: 'Optional model number to direct commands to',
@@ -118,6 +119,18 @@ async function main()
 						name: '--debug-monitor',
 						summary: 'Wait at exit, monitoring for any further messages (set DEBUG env var to "*")',
 					},
+					{
+						name: '--monitor',
+						summary: 'Decode and print every MIDI message sent and received',
+					},
+					{
+						name: '--record',
+						summary: 'Save every MIDI message sent and received to this log file',
+					},
+					{
+						name: '--replay',
+						summary: 'Instead of a device, answer with the replies in a log file from --record',
+					},
 				],
 			});
 
@@ -201,33 +214,52 @@ async function main()
 	}
 
 	let cleanup = () => {};
+	let saveLog = () => {};
 
-	function createInstance()
+	function openInstance()
 	{
-		const midiOutput = new midi.Output();
-		const outStream = midi.createWriteStream(midiOutput);
-		const outPort = cmd['midi-out'] || findDefaultPort(midiOutput);
-		if (outPort === null) {
-			console.error('No output MIDI ports detected!');
-			process.exit(2);
+		let midiTransport;
+		let saveState = () => {};
+		if (cmd['emulate']) {
+			const flashFilename = cmd['emulate-flash'];
+			let flash;
+			if (flashFilename && fs.existsSync(flashFilename)) {
+				flash = fs.readFileSync(flashFilename);
+			}
+			const emu = Behringer.emulator.DEQ2496.createLoopback({ flash: flash });
+			midiTransport = emu.transport;
+			if (flashFilename) {
+				saveState = () => fs.writeFileSync(flashFilename, emu.emulator.flash);
+			}
+		} else if (cmd['replay']) {
+			let log;
+			try {
+				log = Behringer.transport.Recorder.parseLog(
+					fs.readFileSync(cmd['replay'], 'utf8')
+				);
+			} catch (e) {
+				throw new OperationsError(`Unable to read --replay log: ${e.message}`);
+			}
+			midiTransport = new Behringer.transport.Replay(log);
+		} else if (cmd['midi-device']) {
+			midiTransport = new Behringer.transport.RawDevice(cmd['midi-device']);
+		} else {
+			midiTransport = new Behringer.transport.NodeMidi({
+				inPort: cmd['midi-in'],
+				outPort: cmd['midi-out'],
+				// Keep listening at exit so further messages can be monitored.
+				keepInputOpen: cmd['debug-monitor'],
+			});
 		}
-		midiOutput.openPort(outPort);
-
-		const midiInput = new midi.Input();
-		const inPort = cmd['midi-in'] || findDefaultPort(midiInput);
-		if (inPort === null) {
-			console.error('No input MIDI ports detected!');
-			process.exit(2);
+		let recorder;
+		if (cmd['monitor'] || cmd['record']) {
+			recorder = new Behringer.transport.Recorder(midiTransport,
+				cmd['monitor'] && createMonitor({ all: true }), !!cmd['record']);
+			midiTransport = recorder;
 		}
-		midiInput.openPort(inPort);
+		midiTransport.open();
 
-		// Get sysex, ignore timing + active sense
-		midiInput.ignoreTypes(false, true, true);
-
-		debug(`Using MIDI ports: in=${inPort} out=${outPort}`);
-
-		const b = new Behringer(outStream);
-		midiInput.on('message', (deltaTime, message) => b.onMessage(message));
+		const b = new Behringer(midiTransport);
 
 		let deviceId = null;
 		if (cmd['device-id'] === undefined) {
@@ -243,36 +275,59 @@ async function main()
 		// Close the ports when we're done or the app will never exit as it's
 		// waiting to receive more MIDI messages.
 		cleanup = () => {
-			midiOutput.closePort();
-			if (!cmd['debug-monitor']) {
-				midiInput.closePort();
-			}
+			b.close();
+			saveState();
+			saveLog();
 		};
+		if (cmd['record']) {
+			saveLog = () => fs.writeFileSync(cmd['record'],
+				Behringer.transport.Recorder.formatLog(recorder.log));
+		}
 		return b;
 	}
 
+	// Commands only connect to the device the first time they need it, as
+	// some of them work offline.  Every call returns the same instance.
+	let instance;
+	function createInstance()
+	{
+		if (!instance) {
+			try {
+				instance = openInstance();
+			} catch (e) {
+				throw new OperationsError(`Unable to set up MIDI connection: ${e.message}`);
+			}
+		}
+		return instance;
+	}
+
+	let exitCode = 0;
 	try {
 		await commands[cmd.name].exec(createInstance, cmd._unknown || []);
 	} catch (e) {
+		exitCode = 2;
 		if (e instanceof OperationsError) {
 			console.error(chalk.redBright(cmd.name + ':'), e.message);
-			process.exit(2);
-		}
-		switch (e.name) {
-			case 'UNKNOWN_OPTION':
-			case 'UNKNOWN_VALUE':
-			case 'ALREADY_SET':
-				console.error(chalk.redBright(cmd.name + ':'), e.message);
-				process.exit(2);
-				break;
-			default:
-				if (debug.enabled) throw e;
-				console.error(chalk.redBright('Unhandled error:'), e.message);
-				process.exit(2);
-				break;
+		} else {
+			switch (e.name) {
+				case 'UNKNOWN_OPTION':
+				case 'UNKNOWN_VALUE':
+				case 'ALREADY_SET':
+					console.error(chalk.redBright(cmd.name + ':'), e.message);
+					break;
+				default:
+					if (debug.enabled) throw e;
+					console.error(chalk.redBright('Unhandled error:'), e.message);
+					break;
+			}
 		}
+	} finally {
+		// Close the ports and keep the log and emulator flash even when the
+		// command failed, as that's usually when they're needed.  This does
+		// nothing if openInstance() was never called.
+		cleanup();
 	}
-	cleanup();
+	if (exitCode) process.exit(exitCode);
 }
 
 module.exports = main;
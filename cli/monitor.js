@@ -0,0 +1,54 @@
+const chalk = require('chalk');
+
+const Behringer = require('../index.js');
+const { OperationsError } = require('./error.js');
+const output = require('./output.js');
+
+// Convert command names or numbers into command numbers.
+function parseCommands(list) {
+	return list.map(c => {
+		if (Behringer.util.commands[c] !== undefined) return Behringer.util.commands[c];
+		const n = parseInt(c);
+		if (isNaN(n)) {
+			throw new OperationsError(`Unknown command: ${c}`);
+		}
+		return n;
+	});
+}
+
+/**
+ * Create a function that prints each message logged by a Recorder transport.
+ *
+ * `filters` may contain `command` (list of command names or numbers),
+ * `device` (device ID), `direction` ('in' or 'out'), `all` (also show
+ * messages that aren't Behringer SysEx events) and `deviceName` (device model
+ * used to decode commands that differ between models).
+ */
+function createMonitor(filters = {}) {
+	const commands = filters.command && parseCommands(filters.command);
+	if (filters.direction && !['in', 'out'].includes(filters.direction)) {
+		throw new OperationsError('--direction must be "in" or "out".');
+	}
+
+	return entry => {
+		if (filters.direction && (entry.direction !== filters.direction)) return;
+
+		const info = Behringer.sysex.describe(entry.data, entry.direction, {
+			deviceName: filters.deviceName,
+		});
+		if (!info.behringer) {
+			if (!filters.all || commands || (filters.device !== undefined)) return;
+		} else {
+			if (commands && !commands.includes(info.command)) return;
+			if ((filters.device !== undefined) && (info.deviceId !== filters.device)) return;
+		}
+
+		output(
+			output.padLeft((entry.time / 1000).toFixed(3), 9, chalk.blueBright),
+			entry.direction === 'in' ? chalk.greenBright('<-') : chalk.yellowBright('->'),
+			info.behringer ? chalk.whiteBright(info.summary) : info.summary
+		);
+	};
+}
+
+module.exports = createMonitor;
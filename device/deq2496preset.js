@@ -0,0 +1,261 @@
+/**
+ * DEQ2496 preset layout.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * HYPOTHETICAL LAYOUT.  Nothing in this file has been taken from a preset
+ * dumped from a real DEQ2496.  The module IDs, the order of the fields, their
+ * widths and their value types are all guesses, based on the settings the
+ * device's menus offer.  Until this has been checked against captured dumps,
+ * values decoded with it should not be trusted, and presets encoded with it
+ * should not be sent to a real unit.  `hypothetical` is exported so callers
+ * can warn about this.
+ *
+ * The preset content is 7/8 coded (see sevenEightCoder.js).  Once decoded, it
+ * is a sequence of processing modules, one after the other, each holding its
+ * parameters in the order listed here.  Parameters that exist once per audio
+ * channel are stored for the left channel then again for the right.
+ *
+ * Field types, all stored big-endian:
+ *
+ *  - bool: UINT8, 0 for off and 1 for on.
+ *  - enum: UINT8 index into `values`.
+ *  - int8: INT8, multiplied by `scale` to get the value in `units`.
+ *  - uint8: UINT8, multiplied by `scale`.
+ *  - uint16: UINT16, multiplied by `scale`.
+ *
+ * See doc/behringer-deq2496.md for the caveats around this layout.
+ */
+
+// Centre frequency of each graphic EQ band.  The names avoid a decimal point
+// so they can be used in parameter names, with `k` standing in for the point
+// in the kHz bands (e.g. `1k25` is 1.25 kHz).
+const GEQ_BANDS = [
+	'20', '25', '31', '40', '50', '63', '80', '100', '125', '160', '200', '250',
+	'315', '400', '500', '630', '800', '1k', '1k25', '1k6', '2k', '2k5', '3k15',
+	'4k', '5k', '6k3', '8k', '10k', '12k5', '16k', '20k',
+];
+
+const FILTER_TYPES = [
+	'bell', 'lowShelf6', 'lowShelf12', 'highShelf6', 'highShelf12', 'lowPass', 'highPass',
+];
+
+const DEQ_TYPES = ['bell', 'lowShelf', 'highShelf'];
+
+// Leaf parameter definitions reused by several modules.
+const gain = (name, min = -15, max = 15) => ({
+	name: name, type: 'int8', scale: 0.5, min: min, max: max, units: 'dB',
+});
+const frequency = { name: 'frequency', type: 'uint16', scale: 1, min: 20, max: 20000, units: 'Hz' };
+const q = { name: 'q', type: 'uint8', scale: 0.1, min: 0.1, max: 10, units: '' };
+const threshold = (min) => ({ name: 'threshold', type: 'int8', scale: 1, min: min, max: 0, units: 'dB' });
+const ratio = (max) => ({ name: 'ratio', type: 'uint8', scale: 0.1, min: 1, max: max, units: ':1' });
+const attack = { name: 'attack', type: 'uint8', scale: 1, min: 1, max: 200, units: 'ms' };
+const release = { name: 'release', type: 'uint16', scale: 1, min: 20, max: 4000, units: 'ms' };
+const enabled = { name: 'enabled', type: 'bool' };
+
+/**
+ * Processing modules, in the order they appear in the preset data.
+ *
+ * `id` is the module number used by the module preset and single value
+ * SysEx commands.  `params` are stored once, `channelParams` once per
+ * channel.  An entry with its own `params` list is a group, which is repeated
+ * `count` times if a count is given.
+ */
+const modules = [
+	{
+		id: 0,
+		name: 'geq',
+		title: 'Graphic EQ',
+		channelParams: [
+			enabled,
+			{ name: 'bands', params: GEQ_BANDS.map(b => gain(b)) },
+		],
+	},
+	{
+		id: 1,
+		name: 'peq',
+		title: 'Parametric EQ',
+		channelParams: [
+			enabled,
+			{
+				name: 'filters',
+				count: 10,
+				params: [
+					enabled,
+					{ name: 'type', type: 'enum', values: FILTER_TYPES },
+					frequency,
+					gain('gain'),
+					q,
+				],
+			},
+		],
+	},
+	{
+		id: 2,
+		name: 'dynamicEq',
+		title: 'Dynamic EQ',
+		channelParams: [
+			enabled,
+			{
+				name: 'bands',
+				count: 3,
+				params: [
+					enabled,
+					{ name: 'type', type: 'enum', values: DEQ_TYPES },
+					frequency,
+					q,
+					gain('gain'),
+					threshold(-60),
+					ratio(10),
+					attack,
+					release,
+				],
+			},
+		],
+	},
+	{
+		id: 3,
+		name: 'dynamics',
+		title: 'Compressor/limiter',
+		channelParams: [
+			{
+				name: 'compressor',
+				params: [
+					enabled,
+					threshold(-60),
+					ratio(20),
+					attack,
+					release,
+					gain('gain', 0, 20),
+				],
+			},
+			{
+				name: 'expander',
+				params: [
+					enabled,
+					threshold(-90),
+					ratio(10),
+				],
+			},
+			{
+				name: 'limiter',
+				params: [
+					enabled,
+					threshold(-30),
+					release,
+				],
+			},
+		],
+	},
+	{
+		id: 4,
+		name: 'delay',
+		title: 'Delay',
+		channelParams: [
+			enabled,
+			{ name: 'time', type: 'uint16', scale: 0.01, min: 0, max: 300, units: 'ms' },
+		],
+	},
+	{
+		id: 5,
+		name: 'io',
+		title: 'Input/output',
+		params: [
+			{ name: 'input', type: 'enum', values: ['analog', 'digital'] },
+			{ name: 'stereoLink', type: 'bool' },
+		],
+		channelParams: [
+			gain('inputGain'),
+			gain('outputGain'),
+			{ name: 'phaseInvert', type: 'bool' },
+		],
+	},
+];
+
+const CHANNELS = ['left', 'right'];
+
+const TYPE_SIZE = {
+	bool: 1,
+	enum: 1,
+	int8: 1,
+	uint8: 1,
+	uint16: 2,
+};
+
+/// Flatten the module definitions into a list of fields with offsets.
+function buildFields()
+{
+	let fields = [];
+	let offset = 0;
+
+	function addParams(module, params, path)
+	{
+		for (const p of params) {
+			if (p.params) {
+				if (p.count) {
+					for (let i = 0; i < p.count; i++) {
+						addParams(module, p.params, [...path, p.name, i]);
+					}
+				} else {
+					addParams(module, p.params, [...path, p.name]);
+				}
+				continue;
+			}
+			fields.push({
+				...p,
+				scale: p.scale || 1,
+				module: module.name,
+				moduleId: module.id,
+				paramId: module.fieldCount++,
+				path: [...path, p.name],
+				name: [...path, p.name].join('.'),
+				offset: offset,
+			});
+			offset += TYPE_SIZE[p.type];
+		}
+	}
+
+	for (const m of modules) {
+		m.offset = offset;
+		m.fieldCount = 0;
+		if (m.params) addParams(m, m.params, [m.name]);
+		if (m.channelParams) {
+			for (const c of CHANNELS) addParams(m, m.channelParams, [m.name, c]);
+		}
+		m.length = offset - m.offset;
+	}
+
+	return {
+		fields: fields,
+		length: offset,
+	};
+}
+
+const layout = buildFields();
+
+module.exports = {
+	GEQ_BANDS: GEQ_BANDS,
+	modules: modules,
+	fields: layout.fields,
+	// Length of the decoded (8-bit) preset data, excluding the title.
+	length: layout.length,
+	titleLength: 16,
+	// True until the layout has been confirmed against real preset dumps.
+	hypothetical: true,
+};
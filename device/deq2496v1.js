@@ -183,23 +183,22 @@ class DEQ2496v1
 		// Add a special image for a full firmware dump
 		info.images.push({
 			offset: 0,
-			capacity: 0x80000,
-			data: util.blocksToImage(blocks, 0, 0x80, true),
+			capacity: this.flashSize,
+			data: util.blocksToImage(blocks, 0, this.flashSize >> 12, true),
 			title: '(raw dump of flash chip content, see docs)',
 		});
 
+		const region = part => this.regions.find(r => r.part === part);
+		const hasBlock = offset => blocks[offset >> 12] !== undefined;
+
 		let appKeyDec;
 
 		// Combine the blocks into images
-		if (blocks[0] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0, 4);
-
-			info.images.push({
-				title: 'Bootloader',
-				data: imgContent,
-				offset: 0,
-				capacity: 0x4000,
-			});
+		const bootRegion = region('bootloader');
+		if (hasBlock(bootRegion.start)) {
+			const image = util.regionImage(blocks, bootRegion);
+			info.images.push(image);
+			const imgContent = image.data;
 
 			function cut(offset, length) {
 				return imgContent.slice(offset, offset + length);
@@ -235,70 +234,26 @@ class DEQ2496v1
 			});
 		}
 
-		if (blocks[2] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 2, 0x5F);
-
-			info.images.push({
+		const appRegion = region('app');
+		if (hasBlock(appRegion.start)) {
+			const image = util.regionImage(blocks, appRegion, {
 				title: 'Application (raw)',
-				data: imgContent,
-				offset: 0x2000,
-				capacity: 0x5F000 - 0x2000,
 			});
+			info.images.push(image);
 
 			// Use the default known one if we can't get it from the bootloader.
 			if (!appKeyDec) appKeyDec = KEY_FW_APP;
 
-			const imgAppDec = xor(appKeyDec, imgContent);
-			info.images.push({
+			info.images.push(Object.assign({}, image, {
 				title: 'Application (decrypted)',
-				data: imgAppDec,
-				offset: 0x2000,
-				capacity: 0x5F000 - 0x2000,
-			});
-		}
-
-		if (blocks[0x5F] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x5F, 0x60);
-
-			info.images.push({
-				title: 'Startup screen',
-				data: imgContent,
-				offset: 0x5F000,
-				capacity: 0x60000 - 0x5F000,
-			});
-		}
-
-		if (blocks[0x60] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x60, 0x68);
-
-			info.images.push({
-				title: 'Presets',
-				data: imgContent,
-				offset: 0x60000,
-				capacity: 0x68000 - 0x60000,
-			});
-		}
-
-		if (blocks[0x68] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x68, 0x6A);
-
-			info.images.push({
-				title: 'Scratch space',
-				data: imgContent,
-				offset: 0x68000,
-				capacity: 0x6A000 - 0x68000,
-			});
+				data: xor(appKeyDec, image.data),
+			}));
 		}
 
-		if (blocks[0x6A] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x6A, 0x80);
-
-			info.images.push({
-				title: 'Hardware data',
-				data: imgContent,
-				offset: 0x6A000,
-				capacity: 0x80000 - 0x6A000,
-			});
+		for (const part of ['startupScreen', 'presets', 'scratch', 'hardwareData']) {
+			if (hasBlock(region(part).start)) {
+				info.images.push(util.regionImage(blocks, region(part)));
+			}
 		}
 
 		return info;
@@ -307,4 +262,20 @@ class DEQ2496v1
 
 DEQ2496v1.modelId = util.models.deq2496;
 
+DEQ2496v1.flashSize = 0x80000;
+
+// Flash layout (byte offsets), which examineFirmware() extracts images from.
+// The official SysEx doc starts the application at 0x2000, but the bootloader
+// image runs to 0x4000 as on the DEQ2496v2, so the two overlap.  Blocks are
+// matched to the first region they fall in, so writes to blocks 0 to 3 are
+// still treated as writes to the protected bootloader.
+DEQ2496v1.regions = [
+	{ start: 0x00000, end: 0x04000, title: 'Bootloader', part: 'bootloader', protected: true },
+	{ start: 0x02000, end: 0x5F000, title: 'Application', part: 'app' },
+	{ start: 0x5F000, end: 0x60000, title: 'Startup screen', part: 'startupScreen' },
+	{ start: 0x60000, end: 0x68000, title: 'Presets', part: 'presets' },
+	{ start: 0x68000, end: 0x6A000, title: 'Scratch space', part: 'scratch' },
+	{ start: 0x6A000, end: 0x80000, title: 'Hardware data', part: 'hardwareData' },
+];
+
 module.exports = DEQ2496v1;
@@ -35,6 +35,63 @@ const KEY_FW_BLOCK = "TZ'04";
 // this key.
 const KEY_FW_APP = "- ORIGINAL BEHRINGER CODE - COPYRIGHT 2004 - BGER/TZ - \u0000";
 
+// Data at known offsets in the bootloader, so a disassembly can show it as
+// data instead of trying to decode it as instructions.
+const BOOTLOADER_STRINGS = [
+	{ offset: 0x2C84, length: 5, title: 'MIDI firmware update encryption key' },
+	{ offset: 0x2C94, length: 25, title: 'Bootloader ID' },
+	{ offset: 0x3002, length: 0x38, title: 'Bootloader encryption key' },
+	{ offset: 0x303A, length: 0x38, title: 'Application encryption key, encrypted with the bootloader key' },
+	{ offset: 0x308A, length: 0x19, title: 'Bootloader LCD banner' },
+];
+
+/// Convert a .png boot logo into the 1bpp bitmap stored in flash.
+/**
+ * @param Buffer binData
+ *   Boot logo, either a 320x80 .png file or already in the flash format.
+ *
+ * @return Buffer in the flash format.  Data that isn't a .png is returned
+ *   unchanged.
+ */
+function convertBootLogo(binData)
+{
+	try {
+		const png = PNG.sync.read(binData);
+		debug('Input is in .png format, converting boot logo');
+		if ((png.width != 320) || (png.height != 80)) {
+			throw new Error('Input .png must be 320x80 pixels');
+		}
+		let outData = Buffer.alloc(png.height * png.width / 8);
+		for (let y = 0; y < png.height; y++) {
+			for (let x = 0; x < png.width; x++) {
+				let idx = (png.width * y + x) << 2;
+				// We're only looking at the red channel but since it's mono it
+				// probably doesn't matter.
+				if (png.data[idx] == 0xFF) {
+					outData[y * 40 + (x / 8) >>> 0] |= 0x80 >> (x % 8);
+				}
+			}
+		}
+		return outData;
+	} catch (e) {
+		debug('Not .png, continuing with original data:', e.message);
+	}
+	return binData;
+}
+
+/// Check whether application data is encrypted with the given key.
+/**
+ * The cleartext application is zero at offsets 0x1C to 0x1F, so once it is
+ * encrypted those bytes match the key (spelling "COPY" with the usual key).
+ */
+function isAppEncrypted(data, key)
+{
+	for (let i = 0x1C; i < 0x20; i++) {
+		if (data[i] !== key[i % key.length]) return false;
+	}
+	return true;
+}
+
 class DEQ2496v2FirmwareDecoder
 {
 	constructor()
@@ -133,34 +190,13 @@ class DEQ2496v2
 		if (address == 0x4000) {
 			binData = xor(KEY_FW_APP, binData);
 		}
-		// XOR encrypt just the application blocks
 		// If flashing boot logo, check for .png
 		if (address == 0x7E000) {
-			try {
-				const png = PNG.sync.read(binData);
-				debug('Input is in .png format, address is boot logo, converting');
-				if ((png.width != 320) || (png.height != 80)) {
-					throw new Error('Input .png must be 320x80 pixels');
-				}
-				let outData = Buffer.alloc(png.height * png.width / 8);
-				for (let y = 0; y < png.height; y++) {
-					for (let x = 0; x < png.width; x++) {
-						let idx = (png.width * y + x) << 2;
-						// We're only looking at the red channel but since it's mono it
-						// probably doesn't matter.
-						if (png.data[idx] == 0xFF) {
-							outData[y * 40 + (x / 8) >>> 0] |= 0x80 >> (x % 8);
-						}
-					}
-				}
-				binData = outData;
-			} catch (e) {
-				debug('Not .png, continuing with original data:', e.message);
-			}
+			binData = convertBootLogo(binData);
 		}
 
 		// Pad the data up to 4 kB with 0xFF bytes (unflashed data)
-		const padding = 4096 - (binData.length % 4096);
+		const padding = (4096 - (binData.length % 4096)) % 4096;
 		const binPad = Buffer.alloc(padding, 0xFF);
 		binData = Buffer.concat([binData, binPad]);
 
@@ -233,6 +269,20 @@ class DEQ2496v2
 		insertMessage(messages[subblockCount]);
 	}
 
+	/// Recover the key used to encrypt the application from the bootloader.
+	/**
+	 * @param Buffer bootloader
+	 *   Bootloader image, from flash address 0.
+	 *
+	 * @return Buffer containing the cleartext key.
+	 */
+	static getAppKey(bootloader)
+	{
+		const bootKey = bootloader.slice(0x3002, 0x3002 + 0x38);
+		const appKeyEnc = bootloader.slice(0x303A, 0x303A + 0x38);
+		return xor(bootKey, appKeyEnc);
+	}
+
 	static examineFirmware(blocks)
 	{
 		let info = {
@@ -244,23 +294,23 @@ class DEQ2496v2
 		// Add a special image for a full firmware dump
 		info.images.push({
 			offset: 0,
-			capacity: 0x80000,
-			data: util.blocksToImage(blocks, 0, 0x80, true),
+			capacity: this.flashSize,
+			data: util.blocksToImage(blocks, 0, this.flashSize >> 12, true),
 			title: '(raw dump of flash chip content, see docs)',
 		});
 
+		const region = part => this.regions.find(r => r.part === part);
+		const hasBlock = offset => blocks[offset >> 12] !== undefined;
+
 		let appKeyDec;
 
 		// Combine the blocks into images
-		if (blocks[0] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0, 4);
-
-			info.images.push({
-				title: 'Bootloader',
-				data: imgContent,
-				offset: 0,
-				capacity: 0x4000,
-			});
+		const bootRegion = region('bootloader');
+		if (hasBlock(bootRegion.start)) {
+			const image = util.regionImage(blocks, bootRegion);
+			image.strings = BOOTLOADER_STRINGS;
+			info.images.push(image);
+			const imgContent = image.data;
 
 			function cut(offset, length) {
 				return imgContent.slice(offset, offset + length);
@@ -268,15 +318,13 @@ class DEQ2496v2
 
 			info.id = cut(0x2C94, 25);
 
-			const bootKey = cut(0x3002, 0x38);
 			info.detail.push({
 				title: 'Bootloader encryption key',
-				value: bootKey.toString('utf8'),
+				value: cut(0x3002, 0x38).toString('utf8'),
 				preserveTrailing: true,
 			});
 
-			const appKeyEnc = cut(0x303A, 0x38);
-			appKeyDec = xor(bootKey, appKeyEnc);
+			appKeyDec = this.getAppKey(imgContent);
 
 			info.detail.push({
 				title: 'Application encryption key',
@@ -296,70 +344,41 @@ class DEQ2496v2
 			});
 		}
 
-		if (blocks[4] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 4, 0x5B);
-
-			info.images.push({
+		const appRegion = region('app');
+		if (hasBlock(appRegion.start)) {
+			const image = util.regionImage(blocks, appRegion, {
+				end: appRegion.usedEnd,
 				title: 'Application (raw)',
-				data: imgContent,
-				offset: 0x4000,
-				capacity: 0x74000 - 0x4000,
 			});
+			info.images.push(image);
 
 			// Use the default known one if we can't get it from the bootloader.
 			if (!appKeyDec) appKeyDec = KEY_FW_APP;
 
-			const imgAppDec = xor(appKeyDec, imgContent);
-			info.images.push({
+			info.images.push(Object.assign({}, image, {
 				title: 'Application (decrypted)',
-				data: imgAppDec,
-				offset: 0x4000,
-				capacity: 0x74000 - 0x4000,
-			});
+				data: xor(appKeyDec, image.data),
+			}));
 		}
 
-		if (blocks[0x5B] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x5B, 0x74);
-
-			info.images.push({
+		if (hasBlock(appRegion.usedEnd)) {
+			info.images.push(util.regionImage(blocks, appRegion, {
+				start: appRegion.usedEnd,
 				title: 'Unused',
-				data: imgContent,
-				offset: 0x5B000,
-				capacity: 0x74000 - 0x5B000,
-			});
-		}
-
-		if (blocks[0x74] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x74, 0x7C);
-
-			info.images.push({
-				title: 'Presets',
-				data: imgContent,
-				offset: 0x74000,
-				capacity: 0x7C000 - 0x74000,
-			});
+			}));
 		}
 
-		if (blocks[0x7C] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x7C, 0x7E);
-
-			info.images.push({
-				title: 'Scratch space',
-				data: imgContent,
-				offset: 0x7C000,
-				capacity: 0x7E000 - 0x7C000,
-			});
+		for (const part of ['presets', 'scratch']) {
+			if (hasBlock(region(part).start)) {
+				info.images.push(util.regionImage(blocks, region(part)));
+			}
 		}
 
-		if (blocks[0x7E] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x7E, 0x80);
-
-			info.images.push({
-				title: 'Boot screen',
-				data: imgContent,
-				offset: 0x7E000,
-				capacity: 0x80000 - 0x7E000,
-			});
+		const logoRegion = region('bootLogo');
+		if (hasBlock(logoRegion.start)) {
+			const image = util.regionImage(blocks, logoRegion);
+			info.images.push(image);
+			const imgContent = image.data;
 
 			let pngBoot = new PNG({
 				width: 320,
@@ -384,14 +403,95 @@ class DEQ2496v2
 			info.images.push({
 				title: 'Boot screen (converted to .png)',
 				data: PNG.sync.write(pngBoot),
-				offset: 0x7E000,
+				offset: logoRegion.start,
 			});
 		}
 
 		return info;
 	}
+
+	/// Convert the parts of a flash image into the data stored in each region.
+	/**
+	 * Used by `firmware.assemble()`.  The application is encrypted with the key
+	 * held in the bootloader, and a .png boot logo is converted to a bitmap.
+	 *
+	 * @param Object parts
+	 *   Content for each region, keyed by the `part` field in `regions`.  The
+	 *   application can be given as `app` (cleartext) or `appEncrypted` (as
+	 *   stored in flash, e.g. the "Application (raw)" image).
+	 *
+	 * @return Object `{parts, warnings}`, where `parts` holds the data to write
+	 *   into each region and `warnings` lists anything that looks wrong but
+	 *   might be intentional.
+	 */
+	static prepareFlashImage(parts)
+	{
+		const app = parts.app, appEncrypted = parts.appEncrypted;
+		let out = Object.assign({}, parts);
+		delete out.app;
+		delete out.appEncrypted;
+		let warnings = [];
+
+		const bootloader = parts.bootloader;
+		if (!bootloader) {
+			throw new Error('A bootloader is required, the device cannot start without one.');
+		}
+		if (bootloader.length < 0x3072) {
+			throw new Error('Bootloader is too short to contain the application key.');
+		}
+		const sig = bootloader.slice(0x2C94, 0x2C94 + 25).toString('utf8');
+		if (sig !== 'DEQ2496V2 BOOTLOADER V2.2') {
+			warnings.push('The bootloader is not a known DEQ2496v2 bootloader.');
+		}
+		const appKey = this.getAppKey(bootloader);
+
+		if (app && appEncrypted) {
+			throw new Error('The application can only be given once, either encrypted or not.');
+		}
+		if (app) {
+			if (isAppEncrypted(app, appKey)) {
+				warnings.push('The application looks like it is already encrypted.');
+			}
+			out.app = xor(appKey, app);
+		} else if (appEncrypted) {
+			if (!isAppEncrypted(appEncrypted, appKey)) {
+				warnings.push('The encrypted application does not appear to use the '
+					+ 'key from the bootloader.');
+			}
+			out.app = Buffer.from(appEncrypted);
+		} else {
+			warnings.push('No application was given, it will have to be flashed over '
+				+ 'MIDI from the bootloader.');
+		}
+
+		if (parts.bootLogo) {
+			out.bootLogo = convertBootLogo(parts.bootLogo);
+		}
+
+		return {
+			parts: out,
+			warnings: warnings,
+		};
+	}
 };
 
 DEQ2496v2.modelId = util.models.deq2496;
 
+// Size of the SST39SF040 flash chip, in bytes.
+DEQ2496v2.flashSize = 0x80000;
+
+// Flash chip layout, with byte offsets.  Writing to a protected region can
+// leave the device unable to boot, even into the bootloader to reflash it.
+// `part` is the name prepareFlashImage() uses for the region's content.  This
+// is also the layout examineFirmware() extracts images from.  The official
+// firmware only uses the application region up to `usedEnd`, so the rest is
+// extracted as a separate "Unused" image.
+DEQ2496v2.regions = [
+	{ start: 0x00000, end: 0x04000, title: 'Bootloader', part: 'bootloader', protected: true },
+	{ start: 0x04000, end: 0x74000, title: 'Application', part: 'app', usedEnd: 0x5B000 },
+	{ start: 0x74000, end: 0x7C000, title: 'Presets', part: 'presets' },
+	{ start: 0x7C000, end: 0x7E000, title: 'Scratch space', part: 'scratch' },
+	{ start: 0x7E000, end: 0x80000, title: 'Boot screen', part: 'bootLogo' },
+];
+
 module.exports = DEQ2496v2;
@@ -136,23 +136,22 @@ class FBQ1000
 		// Add a special image for a full firmware dump
 		info.images.push({
 			offset: 0,
-			capacity: 0x80000,
-			data: util.blocksToImage(blocks, 0, 0x80, true),
+			capacity: this.flashSize,
+			data: util.blocksToImage(blocks, 0, this.flashSize >> 12, true),
 			title: '(raw dump of flash chip content, see docs)',
 		});
 
+		const region = part => this.regions.find(r => r.part === part);
+		const hasBlock = offset => blocks[offset >> 12] !== undefined;
+
 		let appKeyDec;
 
 		// Combine the blocks into images
-		if (blocks[0] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0, 4);
-
-			info.images.push({
-				title: 'Bootloader',
-				data: imgContent,
-				offset: 0,
-				capacity: 0x4000,
-			});
+		const bootRegion = region('bootloader');
+		if (hasBlock(bootRegion.start)) {
+			const image = util.regionImage(blocks, bootRegion);
+			info.images.push(image);
+			const imgContent = image.data;
 
 			function cut(offset, length) {
 				return imgContent.slice(offset, offset + length);
@@ -188,70 +187,41 @@ class FBQ1000
 			});
 		}
 
-		if (blocks[4] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 4, 0x5B);
-
-			info.images.push({
+		const appRegion = region('app');
+		if (hasBlock(appRegion.start)) {
+			const image = util.regionImage(blocks, appRegion, {
+				end: appRegion.usedEnd,
 				title: 'Application (raw)',
-				data: imgContent,
-				offset: 0x4000,
-				capacity: 0x74000 - 0x4000,
 			});
+			info.images.push(image);
 
 			// Use the default known one if we can't get it from the bootloader.
 			if (!appKeyDec) appKeyDec = KEY_FW_APP;
 
-			const imgAppDec = xor(appKeyDec, imgContent);
-			info.images.push({
+			info.images.push(Object.assign({}, image, {
 				title: 'Application (decrypted)',
-				data: imgAppDec,
-				offset: 0x4000,
-				capacity: 0x74000 - 0x4000,
-			});
+				data: xor(appKeyDec, image.data),
+			}));
 		}
 
-		if (blocks[0x5B] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x5B, 0x74);
-
-			info.images.push({
+		if (hasBlock(appRegion.usedEnd)) {
+			info.images.push(util.regionImage(blocks, appRegion, {
+				start: appRegion.usedEnd,
 				title: 'Unused',
-				data: imgContent,
-				offset: 0x5B000,
-				capacity: 0x74000 - 0x5B000,
-			});
-		}
-
-		if (blocks[0x74] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x74, 0x7C);
-
-			info.images.push({
-				title: 'Presets',
-				data: imgContent,
-				offset: 0x74000,
-				capacity: 0x7C000 - 0x74000,
-			});
+			}));
 		}
 
-		if (blocks[0x7C] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x7C, 0x7E);
-
-			info.images.push({
-				title: 'Scratch space',
-				data: imgContent,
-				offset: 0x7C000,
-				capacity: 0x7E000 - 0x7C000,
-			});
+		for (const part of ['presets', 'scratch']) {
+			if (hasBlock(region(part).start)) {
+				info.images.push(util.regionImage(blocks, region(part)));
+			}
 		}
 
-		if (blocks[0x7E] !== undefined) {
-			const imgContent = util.blocksToImage(blocks, 0x7E, 0x80);
-
-			info.images.push({
-				title: 'Boot screen',
-				data: imgContent,
-				offset: 0x7E000,
-				capacity: 0x80000 - 0x7E000,
-			});
+		const logoRegion = region('bootLogo');
+		if (hasBlock(logoRegion.start)) {
+			const image = util.regionImage(blocks, logoRegion);
+			info.images.push(image);
+			const imgContent = image.data;
 
 			let pngBoot = new PNG({
 				width: 320,
@@ -276,7 +246,7 @@ class FBQ1000
 			info.images.push({
 				title: 'Boot screen (converted to .png)',
 				data: PNG.sync.write(pngBoot),
-				offset: 0x7E000,
+				offset: logoRegion.start,
 			});
 		}
 
@@ -286,4 +256,17 @@ class FBQ1000
 
 FBQ1000.modelId = util.models.fbq1000;
 
+FBQ1000.flashSize = 0x80000;
+
+// Flash layout (byte offsets), which examineFirmware() extracts images from.
+// Nobody has checked this against a real FBQ1000, it is just the DEQ2496v2
+// layout, so every region is marked as unverified.
+FBQ1000.regions = [
+	{ start: 0x00000, end: 0x04000, title: 'Bootloader', part: 'bootloader', protected: true, unverified: true },
+	{ start: 0x04000, end: 0x74000, title: 'Application', part: 'app', usedEnd: 0x5B000, unverified: true },
+	{ start: 0x74000, end: 0x7C000, title: 'Presets', part: 'presets', unverified: true },
+	{ start: 0x7C000, end: 0x7E000, title: 'Scratch space', part: 'scratch', unverified: true },
+	{ start: 0x7E000, end: 0x80000, title: 'Boot screen', part: 'bootLogo', unverified: true },
+];
+
 module.exports = FBQ1000;
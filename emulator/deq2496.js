@@ -0,0 +1,494 @@
+/**
+ * Simulated DEQ2496, for testing without hardware.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('behringerctl:emulator:deq2496');
+
+const checksumTZ = require('../algo/checksumTZ.js');
+const device = require('../device/index.js');
+const Loopback = require('../transport/loopback.js');
+const BehringerPreset = require('../preset.js');
+const BehringerScreenshot = require('../screenshot.js');
+const util = require('../util.js');
+
+const DEVICE_ID_ANY = 0x7F;
+
+// Size of the SST39SF040 flash chip.
+const FLASH_SIZE = 0x80000;
+
+// Where the presets live in flash, see doc/behringer-deq2496.md.
+const FLASH_PRESETS = 0x74000;
+
+// Number of preset slots the unit has.
+const PRESET_COUNT = 65;
+
+// Space used by each preset in the flash preset region.  How the real
+// firmware arranges presets in flash is not known, so the emulator uses its
+// own layout: a UINT16BE content length (0xFFFF if the slot is empty), the
+// 7-bit preset content, then the 16 byte title padded with 0x00.
+const PRESET_SLOT_SIZE = 0x1F8;
+const PRESET_TITLE_LENGTH = 16;
+
+// The firmware only returns this many characters of a preset title.
+const PRESET_TITLE_READ_LENGTH = 10;
+
+// Screen size, in bytes of seven pixels each.
+const SCREEN_WIDTH_BYTES = 46;
+const SCREEN_HEIGHT = 80;
+
+// The unit follows the data in every reply with seven more bytes, which
+// Behringer.onMessage() drops.  What they mean is not known, so zeros are
+// sent.
+const REPLY_TRAILER = [0, 0, 0, 0, 0, 0, 0];
+
+/**
+ * Emulation of a DEQ2496v2 running firmware 2.5, answering the SysEx commands
+ * sent by the `Behringer` class.
+ *
+ * The known firmware bugs are reproduced: preset titles are truncated to 10
+ * characters when read, screenshots are 7 bytes short, and there is no reply
+ * when reading an empty preset.
+ */
+class DEQ2496Emulator
+{
+	/**
+	 * @param Transport transport
+	 *   Device end of the connection, usually one half of a loopback pair.
+	 *
+	 * @param Object options
+	 *   `deviceId`: Initial device ID (MIDI channel - 1), defaults to 0.
+	 *   `flash`: Buffer of up to 512 kB to use as the initial flash content.
+	 *     Unset bytes are 0xFF, as for an erased chip.
+	 *   `bootloader`: If true, identify as the bootloader instead of the
+	 *     application.
+	 */
+	constructor(transport, options = {})
+	{
+		this.transport = transport;
+		this.deviceId = (options.deviceId === undefined) ? 0 : options.deviceId;
+		this.modelId = util.models.deq2496;
+		this.modelName = options.bootloader ? 'DEQ2496V2 BOOTLOAD' : 'DEQ2496';
+
+		this.flash = Buffer.alloc(FLASH_SIZE, 0xFF);
+		if (options.flash) options.flash.copy(this.flash, 0, 0, FLASH_SIZE);
+
+		// LCD content, one array of 0/1 pixels per row.
+		this.screen = [];
+		for (let y = 0; y < SCREEN_HEIGHT; y++) {
+			this.screen.push(new Array(SCREEN_WIDTH_BYTES * 7).fill(0));
+		}
+
+		// Current settings, as 8-bit preset data.
+		const layout = BehringerPreset.getLayout(this.modelId);
+		this.current = new Array(layout.length).fill(0);
+		for (const field of layout.fields) {
+			BehringerPreset.writeField(this.current, field, BehringerPreset.defaultValue(field));
+		}
+
+		// NRPN selected by controller messages, and its pending data MSB.
+		this.nrpn = null;
+		this.nrpnData = 0;
+
+		// Last message written to block 0xFF00.
+		this.lcdMessage = null;
+
+		this.fwDecoder = device.DEQ2496v2.getFirmwareDecoder();
+		this.pendingSubblocks = {};
+
+		this.transport.onMessage(message => this.onMessage(message));
+	}
+
+	/// Handle a message sent to the device.
+	onMessage(message)
+	{
+		if ((message[0] & 0xF0) === 0xB0) {
+			if ((message[0] & 0x0F) === this.deviceId) {
+				this.controlChange(message[1], message[2]);
+			}
+			return;
+		}
+		if (message[0] !== 0xF0) return;
+		if ((message[1] !== 0x00) || (message[2] !== 0x20) || (message[3] !== 0x32)) return;
+
+		const deviceId = message[4];
+		const modelId = message[5];
+		if ((deviceId !== DEVICE_ID_ANY) && (deviceId !== this.deviceId)) return;
+		if ((modelId !== util.models.ANY) && (modelId !== this.modelId)) return;
+
+		const command = message[6];
+		let data = message.slice(7);
+		if (data[data.length - 1] === 0xF7) data = data.slice(0, -1);
+
+		debug(`Received ${util.getCommandName(command)}`);
+
+		switch (command) {
+			case util.commands.identify:
+				this.reply(util.commands.identifyResponse, Buffer.from(this.modelName, 'ascii'));
+				break;
+			case util.commands.readSinglePreset:
+				this.readSinglePreset(data[0]);
+				break;
+			case util.commands.writeSinglePreset:
+				this.writeSinglePreset(data[0], data.slice(1));
+				break;
+			case util.commands.readModulePreset:
+				this.readModulePreset(data[0], data[1]);
+				break;
+			case util.commands.writeModulePresets:
+				this.writeModulePreset(data[0], data[1], data.slice(2));
+				break;
+			case util.commands.writeSingleValue:
+				this.writeSingleValue(
+					data[0],
+					(data[1] << 7) | data[2],
+					(data[3] << 14) | (data[4] << 7) | data[5]
+				);
+				break;
+			case util.commands.getScreenshot:
+				this.getScreenshot();
+				break;
+			case util.commands.setMIDIChannel:
+				this.setMIDIChannel(data[0]);
+				break;
+			case util.commands.writeFlash:
+				this.writeFlash(data);
+				break;
+			default:
+				debug(`Unsupported command ${util.getCommandName(command)}, ignoring`);
+				break;
+		}
+	}
+
+	/// Send a reply from the device.
+	reply(command, data)
+	{
+		this.transport.send([
+			0xF0,
+			0x00, 0x20, 0x32,
+			this.deviceId,
+			this.modelId,
+			command,
+			...data,
+			...REPLY_TRAILER,
+			0xF7,
+		]);
+	}
+
+	/// Get a preset as stored in flash.
+	/**
+	 * @return Object `{content: Buffer, title: String}` or null if the slot is
+	 *   empty.
+	 */
+	getPreset(index)
+	{
+		if ((index < 0) || (index >= PRESET_COUNT)) return null;
+
+		const offset = FLASH_PRESETS + index * PRESET_SLOT_SIZE;
+		const length = this.flash.readUInt16BE(offset);
+		if (length === 0xFFFF) return null;
+
+		const content = this.flash.slice(offset + 2, offset + 2 + length);
+		let title = this.flash.slice(
+			offset + 2 + length,
+			offset + 2 + length + PRESET_TITLE_LENGTH
+		);
+		const end = title.indexOf(0);
+		if (end >= 0) title = title.slice(0, end);
+
+		return {
+			content: Buffer.from(content),
+			title: title.toString('ascii'),
+		};
+	}
+
+	/// Store a preset in flash.
+	/**
+	 * @param Number index
+	 *   Preset slot, 0 to 64.
+	 *
+	 * @param Array content
+	 *   Raw 7-bit preset content, without the length field or title.  Pass
+	 *   null to erase the slot.
+	 *
+	 * @param String title
+	 *   Preset title, truncated to 16 characters.
+	 */
+	setPreset(index, content, title)
+	{
+		if ((index < 0) || (index >= PRESET_COUNT)) {
+			throw new Error(`Preset index ${index} out of range`);
+		}
+
+		let slot = Buffer.alloc(PRESET_SLOT_SIZE, 0xFF);
+		if (content) {
+			if (content.length + 2 + PRESET_TITLE_LENGTH > PRESET_SLOT_SIZE) {
+				throw new Error(`Preset content too large (${content.length} bytes)`);
+			}
+			slot.writeUInt16BE(content.length, 0);
+			Buffer.from(content).copy(slot, 2);
+			let binTitle = Buffer.alloc(PRESET_TITLE_LENGTH, 0x00);
+			binTitle.write((title || '').slice(0, PRESET_TITLE_LENGTH), 'ascii');
+			binTitle.copy(slot, 2 + content.length);
+		}
+		slot.copy(this.flash, FLASH_PRESETS + index * PRESET_SLOT_SIZE);
+	}
+
+	readSinglePreset(index)
+	{
+		const preset = this.getPreset(index);
+		if (!preset) {
+			// The real device doesn't reply at all for empty presets.
+			debug(`Preset ${index} is empty, not replying`);
+			return;
+		}
+
+		const length = preset.content.length;
+		this.reply(util.commands.writeSinglePreset, [
+			index,
+			(length >> 7) & 0x7F,
+			length & 0x7F,
+			...preset.content,
+			// Firmware bug: titles are cut short when read back.
+			...Buffer.from(preset.title.slice(0, PRESET_TITLE_READ_LENGTH), 'ascii'),
+		]);
+	}
+
+	writeSinglePreset(index, presetRaw)
+	{
+		const length = (presetRaw[0] << 7) | presetRaw[1];
+		const content = presetRaw.slice(2, 2 + length);
+		const title = Buffer.from(presetRaw.slice(2 + length)).toString('ascii');
+		debug(`Writing preset ${index}: "${title}"`);
+		this.setPreset(index, content, title);
+	}
+
+	/// Get a preset in the same form as `Behringer.readPreset().presetRaw`.
+	getPresetRaw(index)
+	{
+		const preset = this.getPreset(index);
+		if (!preset) return null;
+		const length = preset.content.length;
+		return [
+			(length >> 7) & 0x7F,
+			length & 0x7F,
+			...preset.content,
+			...Buffer.from(preset.title, 'ascii'),
+		];
+	}
+
+	readModulePreset(index, moduleId)
+	{
+		const presetRaw = this.getPresetRaw(index);
+		if (!presetRaw) {
+			debug(`Preset ${index} is empty, not replying`);
+			return;
+		}
+		let moduleRaw;
+		try {
+			moduleRaw = BehringerPreset.extractModule(presetRaw, moduleId);
+		} catch (e) {
+			debug(`Unable to read module ${moduleId} from preset ${index}: ${e.message}`);
+			return;
+		}
+		this.reply(util.commands.writeModulePresets, [
+			index,
+			moduleId,
+			...moduleRaw,
+		]);
+	}
+
+	writeModulePreset(index, moduleId, moduleRaw)
+	{
+		// Writing a module into an empty slot fills the rest with defaults.
+		const presetRaw = this.getPresetRaw(index) || BehringerPreset.encode({});
+		let updated;
+		try {
+			updated = BehringerPreset.replaceModule(presetRaw, moduleRaw, moduleId);
+		} catch (e) {
+			debug(`Unable to write module ${moduleId} to preset ${index}: ${e.message}`);
+			return;
+		}
+		debug(`Writing module ${moduleId} of preset ${index}`);
+		this.writeSinglePreset(index, updated);
+	}
+
+	/// Get the current value of a parameter, see `Behringer.setParameter()`.
+	getParameter(name)
+	{
+		return BehringerPreset.readField(this.current, BehringerPreset.getField(name, this.modelId));
+	}
+
+	writeSingleValue(moduleId, paramId, raw)
+	{
+		const field = BehringerPreset.getLayout(this.modelId).fields.find(
+			f => (f.moduleId === moduleId) && (f.paramId === paramId)
+		);
+		if (!field) {
+			debug(`Unknown parameter ${paramId} in module ${moduleId}, ignoring`);
+			return;
+		}
+		if (field.type === 'uint16') {
+			this.current[field.offset] = (raw >> 8) & 0xFF;
+			this.current[field.offset + 1] = raw & 0xFF;
+		} else {
+			this.current[field.offset] = raw & 0xFF;
+		}
+		debug(`Set ${field.name} to ${BehringerPreset.readField(this.current, field)}`);
+	}
+
+	/// Handle a MIDI controller change on the device's channel.
+	controlChange(controller, value)
+	{
+		switch (controller) {
+			case 99: // NRPN MSB
+				this.nrpn = (value << 7) | ((this.nrpn || 0) & 0x7F);
+				return;
+			case 98: // NRPN LSB
+				this.nrpn = ((this.nrpn || 0) & ~0x7F) | value;
+				return;
+			case 6: // data entry MSB
+				this.nrpnData = value << 7;
+				break;
+			case 38: // data entry LSB
+				this.nrpnData = (this.nrpnData & ~0x7F) | value;
+				break;
+			default:
+				debug(`Unsupported controller ${controller}, ignoring`);
+				return;
+		}
+		if (this.nrpn === null) return;
+
+		let field;
+		try {
+			field = BehringerPreset.getFieldByNRPN(this.nrpn, this.modelId);
+		} catch (e) {
+			debug(e.message);
+			return;
+		}
+		const newValue = BehringerPreset.decodeNRPNValue(field, this.nrpnData);
+		this.writeSingleValue(field.moduleId, field.paramId,
+			BehringerPreset.encodeValue(field, newValue));
+	}
+
+	/// Draw text on the LCD in the unit's font.
+	/**
+	 * @param Number x
+	 *   Left edge of the first character, in pixels.
+	 *
+	 * @param Number y
+	 *   Top edge of the text, in pixels.
+	 *
+	 * @param String text
+	 *   Text to draw.
+	 *
+	 * @param boolean inverted
+	 *   If true, draw unlit text on a lit background as for highlighted items.
+	 */
+	drawText(x, y, text, inverted = false)
+	{
+		BehringerScreenshot.drawText(this.screen, x, y, text, {
+			inverted: inverted,
+			on: 1,
+		});
+	}
+
+	getScreenshot()
+	{
+		let data = [];
+		for (const row of this.screen) {
+			for (let x = 0; x < row.length; x += 7) {
+				let d = 0;
+				for (let i = 0; i < 7; i++) {
+					d = (d << 1) | (row[x + i] ? 1 : 0);
+				}
+				data.push(d);
+			}
+		}
+		// Firmware bug: the last 7 bytes are never sent.
+		this.reply(util.commands.screenshotResponse, data.slice(0, -7));
+	}
+
+	setMIDIChannel(channel)
+	{
+		// Firmware bug: invalid channels leave the device only responding to
+		// device ID 1.
+		this.deviceId = (channel > 15) ? 1 : channel;
+		debug(`Device ID is now ${this.deviceId}`);
+	}
+
+	writeFlash(data)
+	{
+		const fwBlock = this.fwDecoder.addMIDIWrite({
+			command: util.commands.writeFlash,
+			binData: data,
+		});
+
+		if (fwBlock.message !== undefined) {
+			debug(`LCD message: ${fwBlock.message}`);
+			this.lcdMessage = fwBlock.message;
+			return;
+		}
+
+		if (checksumTZ(fwBlock.binData) !== fwBlock.crc) {
+			debug(`Bad checksum on subblock 0x${fwBlock.blockNumber.toString(16)}, ignoring`);
+			return;
+		}
+
+		// Collect the 256-byte subblocks until the whole 4 kB block is here.
+		const blockNum = fwBlock.blockNumber >> 4;
+		if (blockNum >= (FLASH_SIZE >> 12)) {
+			debug(`Block 0x${blockNum.toString(16)} is beyond the end of flash, ignoring`);
+			return;
+		}
+		let subblocks = this.pendingSubblocks[blockNum];
+		if (!subblocks) subblocks = this.pendingSubblocks[blockNum] = [];
+		subblocks[fwBlock.blockNumber & 0xF] = Buffer.from(fwBlock.binData);
+
+		for (let s = 0; s < 16; s++) {
+			if (!subblocks[s]) return; // not complete yet
+		}
+		delete this.pendingSubblocks[blockNum];
+
+		const blockContent = this.fwDecoder.decodeBlock(blockNum, Buffer.concat(subblocks));
+		blockContent.copy(this.flash, blockNum << 12);
+		debug(`Flashed block 0x${blockNum.toString(16)}`);
+
+		this.reply(util.commands.writeFlashResponse, []);
+	}
+
+	/// Create an emulated device and a transport connected to it.
+	/**
+	 * @param Object options
+	 *   Passed to the constructor.
+	 *
+	 * @return Object `{emulator, transport}` where `transport` can be given to
+	 *   the `Behringer` class.
+	 */
+	static createLoopback(options)
+	{
+		const [host, dev] = Loopback.createPair();
+		return {
+			emulator: new DEQ2496Emulator(dev, options),
+			transport: host,
+		};
+	}
+};
+
+DEQ2496Emulator.PRESET_COUNT = PRESET_COUNT;
+
+module.exports = DEQ2496Emulator;
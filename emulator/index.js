@@ -0,0 +1,3 @@
+module.exports = {
+	DEQ2496: require('./deq2496.js'),
+};
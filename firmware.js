@@ -19,10 +19,54 @@
 
 const debug = require('debug')('behringerctl:firmware');
 
+const blackfinDisasm = require('./algo/blackfinDisasm.js');
+const blackfinLDR = require('./algo/blackfinLDR.js');
 const device = require('./device/index.js');
+const elf = require('./algo/elf.js');
+const intelHex = require('./algo/intelHex.js');
 const midiData = require('./midiData.js');
+const srecord = require('./algo/srecord.js');
 const util = require('./util.js');
 
+/// Blocks of a boot stream that the boot ROM loads into memory.
+/**
+ * @return Array of blocks from blackfinLDR.parse() with the block number
+ *   added as `index`, leaving out IGNORE blocks.
+ */
+function loadedBlocks(data)
+{
+	let ldr;
+	try {
+		ldr = blackfinLDR.parse(data);
+	} catch (e) {
+		throw new Error(`Image is not a Blackfin boot stream (${e.message}), `
+			+ 'a load address is needed.');
+	}
+
+	const blocks = ldr.blocks
+		.map((block, index) => Object.assign({ index: index }, block))
+		.filter(block => !(block.flags & blackfinLDR.flags.IGNORE));
+	if (blocks.length === 0) {
+		throw new Error('Image is not a Blackfin boot stream (no blocks are '
+			+ 'loaded), a load address is needed.');
+	}
+	return blocks;
+}
+
+// Formats that export() can produce, by filename extension.
+const EXPORT_FORMATS = {
+	bin: 'bin',
+	elf: 'elf',
+	hex: 'ihex',
+	ihex: 'ihex',
+	ihx: 'ihex',
+	srec: 'srec',
+	s19: 'srec',
+	s28: 'srec',
+	s37: 'srec',
+	mot: 'srec',
+};
+
 /// Accessed through `index.js` as `Behringer.firmware`
 class BehringerFirmware
 {
@@ -35,12 +79,13 @@ class BehringerFirmware
 	 */
 	static identifyMIDITarget(binMIDI)
 	{
+		binMIDI = midiData.toRawMIDI(binMIDI);
 		if (!midiData.isSysEx(binMIDI)) {
 			throw new Error('Supplied data is not in MIDI format.');
 		}
 
 		// Just get the first event
-		const sysExInfo = midiData.parseSysEx(binMIDI);
+		const sysExInfo = midiData.findFirstSysEx(binMIDI);
 		if (!sysExInfo) {
 			throw new Error('Supplied MIDI data is not in a known Behringer format.');
 		}
@@ -57,17 +102,43 @@ class BehringerFirmware
 		return matchedDevices;
 	}
 
+	/// Work out which single device the SysEx data is targeted at.
+	/**
+	 * @return string Device name, e.g. `FBQ1000`.  An exception is thrown if
+	 *   the data matches more than one model.
+	 */
+	static guessMIDITarget(binMIDI)
+	{
+		const matchedDevices = this.identifyMIDITarget(binMIDI);
+		if (matchedDevices.length === 0) {
+			throw new Error('Unknown device model number in MIDI data.');
+		}
+
+		if (matchedDevices.length > 1) {
+			throw new Error('MIDI device model number matched too many devices!  '
+				+ 'Please specify the device model to use: ['
+				+ matchedDevices.join(', ') + ']'
+			);
+		}
+
+		return matchedDevices[0];
+	}
+
 	/**
 	 * Read a firmware file and return information about it.
 	 *
 	 * @param Buffer dataIn
-	 *   Input data buffer, e.g. returned from fs.readFileSync().
+	 *   Input data buffer, e.g. returned from fs.readFileSync().  This can be
+	 *   a raw binary flash image, raw MIDI SysEx data (*.syx) or a Standard
+	 *   MIDI File (*.mid) containing SysEx events.
 	 *
 	 * @param string device
 	 *   Device type.  Optional if the data is MIDI SysEx as the device can be
 	 *   guessed from the MIDI data.
 	 *
-	 * @return Array containing information about the firmware.
+	 * @return Object containing information about the firmware.  `errors`
+	 *   lists any damaged MIDI data that was skipped, as returned by
+	 *   `midiData.processMIDI()`, and is empty for a raw binary image.
 	 */
 	static decode(dataIn, deviceName = null)
 	{
@@ -83,29 +154,25 @@ class BehringerFirmware
 			}
 		}
 
-		let isSysEx = midiData.isSysEx(dataIn);
-
 		let detail = {};
 
-		let blocks = [];
+		let format = 'Raw MIDI SysEx';
+		if (midiData.isSMF(dataIn)) {
+			const smf = midiData.parseSMF(dataIn);
+			format = `Standard MIDI File (format ${smf.format}, ${smf.trackCount} `
+				+ `track${smf.trackCount === 1 ? '' : 's'})`;
+			dataIn = midiData.toRawMIDI(dataIn);
+		}
+		let isSysEx = midiData.isSysEx(dataIn);
+
+		let blocks = [], errors = [];
 		if (isSysEx) {
 			const binMIDI = dataIn;
-			detail['Format'] = 'Raw MIDI SysEx';
+			detail['Format'] = format;
 
 			// Try to guess the device model from the MIDI data.
 			if (!selectedDevice) {
-				const matchedDevices = this.identifyMIDITarget(binMIDI);
-				if (matchedDevices.length === 0) {
-					throw new Error('Unknown device model number in MIDI data.');
-				}
-
-				if (matchedDevices.length > 1) {
-					throw new Error('MIDI device model number matched too many devices!  '
-						+ 'Please specify the device model to use: ['
-						+ matchedDevices.join(', ') + ']'
-					);
-				}
-				selectedDevice = device[matchedDevices[0]];
+				selectedDevice = device[this.guessMIDITarget(binMIDI)];
 			}
 
 			let lcdMessages = {};
@@ -113,7 +180,7 @@ class BehringerFirmware
 			let dataBlockCount = 0;
 			const fwHandler = selectedDevice.getFirmwareDecoder();
 
-			midiData.processMIDI(binMIDI, event => {
+			errors = midiData.processMIDI(binMIDI, event => {
 				const eventInfo = midiData.parseSysEx(event);
 
 				const fwBlock = fwHandler.addMIDIWrite(eventInfo);
@@ -163,15 +230,214 @@ class BehringerFirmware
 			device: selectedDevice,
 			blocks: blocks,
 			detail: detail,
+			errors: errors,
+		};
+	}
+
+	/// Split MIDI SysEx firmware data up into the 4 kB flash blocks it writes.
+	/**
+	 * @param Buffer binMIDI
+	 *   Raw MIDI SysEx data, e.g. a *.syx file or the `binFirmware` field
+	 *   returned by encode().  A Standard MIDI File (*.mid) is also accepted.
+	 *
+	 * @param string deviceName
+	 *   Device type.  Optional if it can be guessed from the MIDI data.
+	 *
+	 * @return Object, `{device, blocks, trailing, trailingMessages}`.
+	 *   `blocks` is an array in the order the blocks appear in the data, each
+	 *   of the form `{blockNum, subblockCount, events, messages}`, where
+	 *   `events` is every raw SysEx event (including any LCD messages just
+	 *   before the block) to send in order to write that block.  `trailing`
+	 *   holds any events after the last data block, such as a final LCD
+	 *   message, whose text is in `trailingMessages`.
+	 */
+	static getFlashBlocks(binMIDI, deviceName = null)
+	{
+		binMIDI = midiData.toRawMIDI(binMIDI);
+
+		let selectedDevice = null;
+		if (deviceName) {
+			selectedDevice = device[deviceName];
+			if (!selectedDevice) {
+				throw new Error(`Unknown device model: ${deviceName}`);
+			}
+		} else {
+			selectedDevice = device[this.guessMIDITarget(binMIDI)];
+		}
+
+		const fwHandler = selectedDevice.getFirmwareDecoder();
+
+		let blocks = [], blockIndex = {};
+		let pendingEvents = [], pendingMessages = [];
+		midiData.processMIDI(binMIDI, event => {
+			// processMIDI() doesn't include the terminating 0xF7.
+			const rawEvent = Buffer.concat([event, Buffer.from([0xF7])]);
+			const eventInfo = midiData.parseSysEx(event);
+			const fwBlock = eventInfo && fwHandler.addMIDIWrite(eventInfo);
+
+			pendingEvents.push(rawEvent);
+			if (!fwBlock) return; // not a flash write, send it along anyway
+
+			if (fwBlock.message !== undefined) {
+				pendingMessages.push(fwBlock.message);
+				return;
+			}
+
+			const blockNum = fwBlock.blockNumber >> 4;
+			let block = blockIndex[blockNum];
+			if (!block) {
+				block = blockIndex[blockNum] = {
+					blockNum: blockNum,
+					subblockCount: 0,
+					events: [],
+					messages: [],
+				};
+				blocks.push(block);
+			}
+			block.subblockCount++;
+			block.events.push(...pendingEvents);
+			block.messages.push(...pendingMessages);
+			pendingEvents = [];
+			pendingMessages = [];
+		});
+
+		return {
+			device: selectedDevice,
+			blocks: blocks,
+			trailing: pendingEvents,
+			trailingMessages: pendingMessages,
 		};
 	}
 
-	static encode(deviceModel, address, dataIn, messages = {})
+	/// Work out which flash regions a list of 4 kB blocks fall into.
+	/**
+	 * @param Class dev
+	 *   Device class, e.g. `device.DEQ2496v2`, whose `regions` will be used.
+	 *
+	 * @param Array blockNums
+	 *   Flash block numbers (address >> 12).
+	 *
+	 * @return Array of `{blockNum, offset, region, protected, unverified}`, one
+	 *   per block.  `unverified` is true if the region's layout is a guess that
+	 *   has not been checked against a real device.
+	 */
+	static describeBlocks(dev, blockNums)
+	{
+		const regions = dev.regions || [];
+		return blockNums.map(blockNum => {
+			const offset = blockNum << 12;
+			const region = regions.find(r => (offset >= r.start) && (offset < r.end));
+			return {
+				blockNum: blockNum,
+				offset: offset,
+				region: region ? region.title : '(outside flash)',
+				protected: !!(region && region.protected),
+				unverified: !!(region && region.unverified),
+			};
+		});
+	}
+
+	/// Throw an exception if any of the blocks are in a protected region.
+	/**
+	 * @param Array blocks
+	 *   Return value of describeBlocks(), or the `blocks` returned by
+	 *   checkFlashWrite().
+	 */
+	static assertUnprotected(blocks)
+	{
+		const protectedBlocks = blocks.filter(b => b.protected);
+		if (protectedBlocks.length === 0) return;
+
+		// Only name the devices if more than one was checked.
+		const deviceNames = [...new Set(blocks.map(b => b.device))];
+		const regionNames = [...new Set(protectedBlocks.map(b => (
+			(deviceNames.length > 1) ? `${b.device} ${b.region}` : b.region
+		)))];
+		const blockNums = [...new Set(protectedBlocks.map(b => b.blockNum))];
+		throw new Error('Refusing to write to protected flash region ('
+			+ regionNames.join(', ') + '), blocks: '
+			+ blockNums.map(n => '0x' + n.toString(16)).join(', ')
+			+ '.  This could leave the device unable to boot.'
+		);
+	}
+
+	/// List the flash blocks that MIDI SysEx firmware data would write to.
+	/**
+	 * If no device is given and the MIDI model number is shared by several
+	 * devices (e.g. the DEQ2496v1 and v2), the data is checked against each of
+	 * them separately, since their flash layouts differ.
+	 *
+	 * @param Buffer binMIDI
+	 *   Raw MIDI SysEx data, e.g. a *.syx file, or a Standard MIDI File.
+	 *
+	 * @param string deviceName
+	 *   Device type.  Optional if it can be guessed from the MIDI data.
+	 *
+	 * @return Object `{devices, blocks}` where `devices` is the list of device
+	 *   names checked, and `blocks` is the return value of describeBlocks() for
+	 *   each device in turn, with a `device` field added giving the device name.
+	 */
+	static checkFlashWrite(binMIDI, deviceName = null)
+	{
+		const targets = this.identifyMIDITarget(binMIDI);
+		if (deviceName && !targets.includes(deviceName)) {
+			throw new Error(`MIDI data is for ${targets.join(' or ') || 'an unknown model'}, `
+				+ `not ${deviceName}.`);
+		}
+		const deviceNames = deviceName ? [deviceName] : targets;
+		if (deviceNames.length === 0) {
+			throw new Error('Unknown device model number in MIDI data.');
+		}
+
+		let blocks = [];
+		for (const dev of deviceNames) {
+			const plan = this.getFlashBlocks(binMIDI, dev);
+			const devBlocks = this.describeBlocks(plan.device, plan.blocks.map(b => b.blockNum));
+			for (const b of devBlocks) {
+				blocks.push(Object.assign({ device: dev }, b));
+			}
+		}
+
+		return {
+			devices: deviceNames,
+			blocks: blocks,
+		};
+	}
+
+	/// Produce MIDI SysEx data that will write to the device's flash chip.
+	/**
+	 * @param string deviceModel
+	 *   Device type, e.g. `DEQ2496v2`.
+	 *
+	 * @param Number address
+	 *   Flash address to write to.
+	 *
+	 * @param Buffer dataIn
+	 *   Data to write.
+	 *
+	 * @param Object messages
+	 *   Optional LCD messages, as `{subblockIndex: 'text'}`.
+	 *
+	 * @param Object options
+	 *   `allowProtectedWrite`: If true, permit writing to protected regions
+	 *   such as the bootloader.  Otherwise an exception is thrown.
+	 *
+	 * @return Object `{blockCount, messageCount, binFirmware}`.
+	 */
+	static encode(deviceModel, address, dataIn, messages = {}, options = {})
 	{
 		if (!device[deviceModel]) throw new Error('Unsupported device model');
 
 		const dev = device[deviceModel];
 
+		if (!options.allowProtectedWrite) {
+			const firstBlock = address >> 12;
+			const endBlock = (address + Math.max(dataIn.length, 1) + 0xFFF) >> 12;
+			let blockNums = [];
+			for (let i = firstBlock; i < endBlock; i++) blockNums.push(i);
+			this.assertUnprotected(this.describeBlocks(dev, blockNums));
+		}
+
 		let blockCount = 0, messageCount = 0;
 		let midiBlocks = [];
 		dev.encodeFirmware(address, dataIn, messages, (binSysExContent, blockType) => {
@@ -198,6 +464,287 @@ class BehringerFirmware
 			binFirmware: Buffer.concat(midiBlocks),
 		};
 	}
+
+	/// Build a complete flash chip image from its parts.
+	/**
+	 * This produces what would be written to a blank flash chip with an EEPROM
+	 * programmer, e.g. to replace one left unbootable by a bad flash.
+	 *
+	 * @param string deviceModel
+	 *   Device type, e.g. `DEQ2496v2`.
+	 *
+	 * @param Object parts
+	 *   Content of each region, keyed by the region's `part` name.  For the
+	 *   DEQ2496v2 these are `bootloader`, `app` (cleartext, to be encrypted),
+	 *   `presets`, `scratch` and `bootLogo` (bitmap or .png).  An application
+	 *   that is already encrypted, such as the "Application (raw)" image from
+	 *   examineFirmware(), can be given as `appEncrypted` instead of `app`.
+	 *
+	 * @return Object `{data, regions, warnings}`.  `data` is the content of the
+	 *   whole chip, with unused space filled with 0xFF (erased flash).
+	 *   `regions` lists `{title, part, start, end, length}` for each region,
+	 *   where `length` is how much data was put there, and `warnings` lists
+	 *   anything that looks wrong but might be intentional.
+	 */
+	static assemble(deviceModel, parts)
+	{
+		const dev = device[deviceModel];
+		if (!dev) {
+			throw new Error(`Unknown device model: ${deviceModel}`);
+		}
+		if (!dev.prepareFlashImage) {
+			throw new Error(`Assembling flash images is not supported for ${deviceModel}.`);
+		}
+
+		const regions = dev.regions.filter(r => r.part);
+		let prevEnd = 0;
+		for (const r of regions.slice().sort((a, b) => a.start - b.start)) {
+			if ((r.start < prevEnd) || (r.end > dev.flashSize)) {
+				throw new Error(`Flash layout for ${deviceModel} is invalid at region `
+					+ `"${r.title}".`);
+			}
+			prevEnd = r.end;
+		}
+
+		const prepared = dev.prepareFlashImage(parts);
+
+		for (const name of Object.keys(prepared.parts)) {
+			if (!regions.find(r => r.part === name)) {
+				throw new Error(`Unknown part "${name}", expected one of: `
+					+ regions.map(r => r.part).join(', '));
+			}
+		}
+
+		let data = Buffer.alloc(dev.flashSize, 0xFF);
+		let regionInfo = [];
+		for (const r of regions) {
+			const content = prepared.parts[r.part];
+			const capacity = r.end - r.start;
+			if (content && (content.length > capacity)) {
+				throw new Error(`${r.title} is ${content.length} bytes, but the region `
+					+ `at 0x${r.start.toString(16)} only holds ${capacity} bytes.`);
+			}
+			if (content) Buffer.from(content).copy(data, r.start);
+
+			regionInfo.push({
+				title: r.title,
+				part: r.part,
+				start: r.start,
+				end: r.end,
+				length: content ? content.length : 0,
+			});
+		}
+
+		return {
+			data: data,
+			regions: regionInfo,
+			warnings: prepared.warnings,
+		};
+	}
+
+	/// Split a Blackfin boot stream (LDR), such as a bootloader, into blocks.
+	/**
+	 * @param Buffer data
+	 *   Boot stream content, e.g. the "Bootloader" image from examineFirmware().
+	 *
+	 * @return Object `{flashWidth, blocks, trailing}`, see `algo/blackfinLDR.js`.
+	 */
+	static parseLDR(data)
+	{
+		return blackfinLDR.parse(data);
+	}
+
+	/// Build a Blackfin boot stream (LDR) from a list of blocks.
+	/**
+	 * @param Array blocks
+	 *   List of `{address, flags, content}`, as returned by parseLDR(), with
+	 *   `length` instead of `content` for ZEROFILL blocks.
+	 *
+	 * @param Object options
+	 *   `flashWidth`: 8 or 16 to set the flash width in the first block.
+	 *
+	 *   `trailing`: Data to append after the last block, such as the
+	 *   `trailing` value from parseLDR().
+	 *
+	 * @return Buffer containing the boot stream.
+	 */
+	static buildLDR(blocks, options = {})
+	{
+		return Buffer.concat([
+			blackfinLDR.build(blocks, options),
+			Buffer.from(options.trailing || []),
+		]);
+	}
+
+	/// Convert a firmware image into an ELF file for disassemblers.
+	/**
+	 * @param Buffer data
+	 *   Image content.  Unless `loadAddress` is given this must be a Blackfin
+	 *   boot stream (LDR) such as the bootloader, and each block is placed at
+	 *   the address the boot ROM loads it to.  IGNORE blocks are left out as
+	 *   they are never loaded.
+	 *
+	 * @param Object options
+	 *   `loadAddress`: Place the whole image at this address as one segment,
+	 *   for images that aren't boot streams.
+	 *
+	 *   `entry`: Entry point, defaulting to 0xffa08000 where the BF53x boot ROM
+	 *   starts executing.
+	 *
+	 * @return Buffer containing the ELF file.
+	 */
+	static toELF(data, options = {})
+	{
+		const entry = (options.entry === undefined) ? 0xFFA08000 : options.entry;
+
+		if (options.loadAddress !== undefined) {
+			return elf([{
+				name: '.image',
+				address: options.loadAddress,
+				data: data,
+			}], entry);
+		}
+
+		const segments = loadedBlocks(data).map(block => ({
+			name: `.block${block.index}`,
+			address: block.address,
+			data: block.content,
+			size: block.length,
+		}));
+		return elf(segments, entry);
+	}
+
+	/// Disassemble the Blackfin machine code in a firmware image.
+	/**
+	 * @param Buffer data
+	 *   Image content, e.g. `data` from one of the images returned by
+	 *   `examineFirmware()`.  As for toELF(), unless `loadAddress` is given
+	 *   this must be a boot stream, and each block loaded into memory is
+	 *   disassembled at its address.
+	 *
+	 * @param Object options
+	 *   `loadAddress`: Address the image is loaded to, for images that aren't
+	 *   boot streams, such as the decrypted DEQ2496 application.
+	 *
+	 *   `strings`: List of `{offset, length, title}` giving data at known
+	 *   offsets in the image, such as the image's `strings`.  These are shown
+	 *   as data and labelled with the title.
+	 *
+	 * @return Array of `{title, address, lines}`, one for each part of the
+	 *   image.  `lines` is the disassembly, a list of
+	 *   `{address, data, text, comment}`.  Instructions that load the address
+	 *   of a text string are commented with the string.
+	 */
+	static disassemble(data, options = {})
+	{
+		data = Buffer.from(data);
+
+		let parts;
+		if (options.loadAddress !== undefined) {
+			parts = [{
+				title: 'Image',
+				address: options.loadAddress,
+				offset: 0,
+				content: data,
+			}];
+		} else {
+			parts = loadedBlocks(data)
+				.filter(block => block.content.length)
+				.map(block => ({
+					title: `Block ${block.index}`,
+					address: block.address,
+					offset: block.offset,
+					content: block.content,
+				}));
+		}
+
+		// Find text anywhere in the image, as code often refers to strings in
+		// other blocks.
+		let strings = {};
+		for (const part of parts) {
+			const found = blackfinDisasm.findStrings(part.content);
+			for (const offset of Object.keys(found)) {
+				strings[part.address + parseInt(offset)] = found[offset];
+			}
+		}
+
+		return parts.map(part => ({
+			title: part.title,
+			address: part.address,
+			lines: blackfinDisasm.disassemble(part.content, part.address, {
+				known: (options.strings || []).map(s => Object.assign({}, s, {
+					offset: s.offset - part.offset,
+				})),
+				strings: strings,
+			}),
+		}));
+	}
+
+	/// Work out which export() format to use for a filename.
+	/**
+	 * @return String `ihex` for *.hex files, `srec` for *.srec or *.s19 files,
+	 *   `elf` for *.elf files and so on, otherwise `bin`.
+	 */
+	static getExportFormat(filename)
+	{
+		const ext = filename.split('.').pop().toLowerCase();
+		return EXPORT_FORMATS[ext] || 'bin';
+	}
+
+	/// Convert a flash image into a file an EEPROM programmer can load.
+	/**
+	 * @param Buffer data
+	 *   Image content, e.g. `data` from one of the images returned by
+	 *   `examineFirmware()`.
+	 *
+	 * @param Number offset
+	 *   Flash address of the first byte of `data`, e.g. the image's `offset`.
+	 *
+	 * @param Object options
+	 *   `format`: `bin` (the default), `ihex` for Intel HEX, `srec` for
+	 *   Motorola S-records or `elf` for an ELF file (see toELF(), which is
+	 *   passed `loadAddress` and `entry` from these options).
+	 *
+	 *   `baseAddress`: Flash address that corresponds to address 0 in the
+	 *   output.  This defaults to 0 for `ihex` and `srec`, so the records
+	 *   hold the real flash addresses.  For `bin` it defaults to `offset`,
+	 *   producing just the image; a lower value pads the start of the file
+	 *   with 0xFF (erased flash) so the image sits at its place in the chip.
+	 *
+	 * @return Buffer containing the file content.
+	 */
+	static export(data, offset, options = {})
+	{
+		const format = options.format || 'bin';
+		let baseAddress = options.baseAddress;
+		if (baseAddress === undefined) {
+			baseAddress = (format === 'bin') ? offset : 0;
+		}
+		if (baseAddress > offset) {
+			throw new Error(`Base address 0x${baseAddress.toString(16)} is past the `
+				+ `start of the image at 0x${offset.toString(16)}.`);
+		}
+		const address = offset - baseAddress;
+
+		switch (format) {
+			case 'bin':
+				return Buffer.concat([
+					Buffer.alloc(address, 0xFF),
+					Buffer.from(data),
+				]);
+			case 'ihex':
+				return Buffer.from(intelHex(data, address), 'latin1');
+			case 'srec':
+				return Buffer.from(srecord(data, address, 'behringerctl'), 'latin1');
+			case 'elf':
+				return this.toELF(data, {
+					loadAddress: options.loadAddress,
+					entry: options.entry,
+				});
+			default:
+				throw new Error(`Unknown export format: ${format}`);
+		}
+	}
 };
 
 module.exports = BehringerFirmware;
@@ -22,24 +22,68 @@ const g_debug = debug;
 
 const sevenEightCoder = require('./algo/sevenEightCoder.js');
 const checksumTZ = require('./algo/checksumTZ.js');
+const transport = require('./transport/index.js');
 const util = require('./util.js');
 
 const DEVICE_ID_ANY = 0x7F;
+
+// MIDI controller numbers used to set parameters with NRPNs.
+const CC_DATA_ENTRY_MSB = 6;
+const CC_DATA_ENTRY_LSB = 38;
+const CC_NRPN_LSB = 98;
+const CC_NRPN_MSB = 99;
+
 const SYSEX_COMPANY_ID_BEHRINGER = 0x002032;
 
 class Behringer
 {
-	constructor(midiOutputStream)
+	/**
+	 * @param Transport midiTransport
+	 *   Transport to communicate over, see `Behringer.transport`.  For
+	 *   compatibility a plain write stream may be passed instead, in which case
+	 *   incoming messages must be passed to onMessage() by the caller.
+	 */
+	constructor(midiTransport)
 	{
 		// How many milliseconds to wait before giving up on a SysEx that we never
 		// received a response to.
 		this.defaultTimeout = 2000;
 
-		this.midiOut = midiOutputStream;
+		this.transport = null;
 		this.listeners = {};
 		this.nextListenerId = 1;
 		this.modelId = util.models.ANY;
 		this.deviceId = null;
+
+		if (midiTransport) this.setTransport(midiTransport);
+	}
+
+	/// Change the transport used to communicate with devices.
+	/**
+	 * @param Transport midiTransport
+	 *   Transport to use.  Any object with a `write()` function (such as a
+	 *   node-midi write stream) is also accepted.
+	 *
+	 * @return None.
+	 */
+	setTransport(midiTransport)
+	{
+		if (typeof(midiTransport.send) !== 'function') {
+			midiTransport = new transport.Stream(midiTransport);
+		}
+		this.transport = midiTransport;
+		this.lastNRPN = undefined;
+		this.transport.onMessage(message => {
+			// Ignore messages from a transport we're no longer using.
+			if (this.transport !== midiTransport) return;
+			this.onMessage(message);
+		});
+	}
+
+	/// Close the transport, releasing the MIDI ports.
+	close()
+	{
+		if (this.transport) this.transport.close();
 	}
 
 	/// Handle an incoming MIDI message.
@@ -107,7 +151,13 @@ class Behringer
 					});
 				}
 			);
-			this.sendMessage(modelId, deviceId, util.commands.identify, []);
+			try {
+				this.sendMessage(modelId, deviceId, util.commands.identify, []);
+			} catch (e) {
+				// Don't leave the listener behind if the transport refused the message.
+				this.removeListener(listenerId);
+				throw e;
+			}
 
 			const timerHandle = setTimeout(() => {
 				this.removeListener(listenerId);
@@ -131,6 +181,8 @@ class Behringer
 	{
 		debug(`Selected model ${modelId}, device ${deviceId}`);
 		this.modelId = modelId;
+		// A different device won't have the NRPN we last used selected.
+		this.lastNRPN = undefined;
 		if (deviceId === undefined) {
 			this.deviceId = DEVICE_ID_ANY;
 		} else {
@@ -190,13 +242,12 @@ class Behringer
 
 		const length = (response.data[1] << 7) | response.data[2];
 
-debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 		return {
 			modelId: response.modelId,
 			deviceId: response.deviceId,
 			presetIndex: response.data[0],
 			presetLength: length,
-			presetContent: response.data.slice(3, length),
+			presetContent: response.data.slice(3, 3 + length),
 			// Title is whatever is following on from the data
 			title: Buffer.from(response.data.slice(length + 3)).toString('ascii'),
 			// Omit the index but keep the length field
@@ -204,12 +255,15 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 		};
 	}
 
-	/// Read a preset.
+	/// Write a preset.
 	/**
 	 * @pre Device has been chosen by selectDevice().
 	 *
-	 * @param Buffer content
-	 *   Raw data to write.  Must not contain any bytes >= 0x80.
+	 * @param Buffer|Object content
+	 *   Raw data to write, in the same format as the `presetRaw` field
+	 *   returned by readPreset().  Must not contain any bytes >= 0x80.
+	 *   Alternatively an object in the form returned by
+	 *   `Behringer.preset.decode()`, which will be encoded first.
 	 *
 	 * @return None.
 	 */
@@ -217,6 +271,11 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 	{
 		this.sanityCheck();
 
+		if (!Array.isArray(content) && !ArrayBuffer.isView(content)) {
+			const modelId = (this.modelId === util.models.ANY) ? util.models.deq2496 : this.modelId;
+			content = Behringer.preset.encode(content, modelId);
+		}
+
 		const data = [
 			index,
 			...content,
@@ -230,6 +289,200 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 		);
 	}
 
+	/// Read one processing module from a preset.  Experimental.
+	/**
+	 * The module IDs and the reply's format are guesses based on the
+	 * hypothetical preset layout, and have never been tried on a real unit, so
+	 * the data returned may not be what it appears to be.
+	 *
+	 * @pre Device has been chosen by selectDevice().
+	 *
+	 * @param Number index
+	 *   Preset slot to read from.
+	 *
+	 * @param String|Number module
+	 *   Module name (e.g. `geq`) or ID, see `Behringer.preset.getModule()`.
+	 *
+	 * @return Object Module details.  `moduleRaw` can be passed to
+	 *   writeModulePreset().
+	 */
+	async readModulePreset(index, module)
+	{
+		this.sanityCheck();
+
+		const modelId = (this.modelId === util.models.ANY) ? util.models.deq2496 : this.modelId;
+		const m = Behringer.preset.getModule(module, modelId);
+
+		const response = await this.sendMessageAsync(
+			this.modelId,
+			this.deviceId,
+			util.commands.readModulePreset,
+			[index, m.id],
+			util.commands.writeModulePresets,
+		);
+
+		const length = (response.data[2] << 7) | response.data[3];
+		return {
+			modelId: response.modelId,
+			deviceId: response.deviceId,
+			presetIndex: response.data[0],
+			moduleId: response.data[1],
+			moduleName: m.name,
+			moduleLength: length,
+			// Keep the length field, the same as presetRaw in readPreset()
+			moduleRaw: response.data.slice(2, 4 + length),
+		};
+	}
+
+	/// Replace one processing module in a preset, leaving the rest alone.
+	/**
+	 * Experimental.  The message format and module IDs are unconfirmed guesses,
+	 * so on a real unit this could overwrite a different module, or corrupt
+	 * the preset.  Back the preset up first.
+	 *
+	 * @pre Device has been chosen by selectDevice().
+	 *
+	 * @param Number index
+	 *   Preset slot to change.
+	 *
+	 * @param String|Number module
+	 *   Module name (e.g. `geq`) or ID, see `Behringer.preset.getModule()`.
+	 *
+	 * @param Array moduleRaw
+	 *   Module data, as returned in the `moduleRaw` field by
+	 *   readModulePreset(), or by `Behringer.preset.extractModule()`.
+	 *
+	 * @return None.
+	 */
+	async writeModulePreset(index, module, moduleRaw)
+	{
+		this.sanityCheck();
+
+		const modelId = (this.modelId === util.models.ANY) ? util.models.deq2496 : this.modelId;
+		const m = Behringer.preset.getModule(module, modelId);
+
+		this.sendMessage(
+			this.modelId,
+			this.deviceId,
+			util.commands.writeModulePresets,
+			[
+				index,
+				m.id,
+				...moduleRaw,
+			],
+		);
+	}
+
+	/// Change a single parameter on the device.  Experimental.
+	/**
+	 * This changes the current settings, as though the parameter was adjusted
+	 * on the front panel.  No presets are changed.
+	 *
+	 * The `writeSingleValue` payload sent here (module ID, parameter ID, value)
+	 * is a guess, with the IDs taken from the hypothetical preset layout.  A
+	 * real unit may ignore it or change some other setting.
+	 *
+	 * @pre Device has been chosen by selectDevice().
+	 *
+	 * @param String name
+	 *   Parameter name, e.g. `geq.left.bands.1k`.  The full list is in the
+	 *   `fields` array of `Behringer.preset.getLayout()`.
+	 *
+	 * @param Any value
+	 *   New value, e.g. `-3.5` (dB), `true` or `'bell'`.  Numbers are rounded
+	 *   to the nearest step the device can store.
+	 *
+	 * @return None.
+	 *
+	 * @throw Error if the parameter is unknown or the value is out of range.
+	 */
+	async setParameter(name, value)
+	{
+		this.sanityCheck();
+
+		const modelId = (this.modelId === util.models.ANY) ? util.models.deq2496 : this.modelId;
+		const field = Behringer.preset.getField(name, modelId);
+		const raw = Behringer.preset.encodeValue(field, value);
+
+		this.sendMessage(
+			this.modelId,
+			this.deviceId,
+			util.commands.writeSingleValue,
+			[
+				field.moduleId,
+				(field.paramId >> 7) & 0x7F,
+				field.paramId & 0x7F,
+				(raw >> 14) & 0x03,
+				(raw >> 7) & 0x7F,
+				raw & 0x7F,
+			],
+		);
+	}
+
+	/// Send a MIDI controller change on the device's MIDI channel.
+	/**
+	 * @pre Device has been chosen by selectDevice(), with a device ID from 0
+	 *   to 15 as the MIDI channel is one more than the device ID.
+	 *
+	 * @param Number controller
+	 *   Controller number, 0 to 127.
+	 *
+	 * @param Number value
+	 *   Controller value, 0 to 127.
+	 *
+	 * @return None.
+	 */
+	sendControlChange(controller, value)
+	{
+		this.sanityCheck();
+		if (!(this.deviceId >= 0 && this.deviceId <= 15)) {
+			throw new Error('A single device ID from 0 to 15 must be selected to '
+				+ 'send controller messages, as it sets the MIDI channel.');
+		}
+		if (!this.transport) {
+			throw new Error('No MIDI transport has been set.');
+		}
+		g_debug.extend('send')(`CC ${controller} = ${value} on channel ${this.deviceId + 1}`);
+		this.transport.send([0xB0 | this.deviceId, controller & 0x7F, value & 0x7F]);
+	}
+
+	/// Change a single parameter on the device with NRPN controller messages.
+	/**
+	 * This is meant to have the same effect as setParameter(), but uses much
+	 * shorter messages, which suits fast changes such as from a fader.  The NRPN
+	 * is only selected again when a different parameter is set.
+	 *
+	 * Experimental.  The NRPN numbers are built from the module and parameter
+	 * IDs of the hypothetical preset layout, and the DEQ2496 is not known to
+	 * respond to NRPNs at all, so on a real unit the messages may do nothing
+	 * or move an unrelated control.
+	 *
+	 * @pre Device has been chosen by selectDevice(), see sendControlChange().
+	 *
+	 * @param String name
+	 *   Parameter name, e.g. `geq.left.bands.1k`.
+	 *
+	 * @param Any value
+	 *   New value, see setParameter().
+	 *
+	 * @return None.
+	 */
+	async setParameterCC(name, value)
+	{
+		const modelId = (this.modelId === util.models.ANY) ? util.models.deq2496 : this.modelId;
+		const field = Behringer.preset.getField(name, modelId);
+		const nrpn = Behringer.preset.getNRPN(field);
+		const data = Behringer.preset.encodeNRPNValue(field, value);
+
+		if (this.lastNRPN !== nrpn) {
+			this.sendControlChange(CC_NRPN_MSB, nrpn >> 7);
+			this.sendControlChange(CC_NRPN_LSB, nrpn & 0x7F);
+			this.lastNRPN = nrpn;
+		}
+		this.sendControlChange(CC_DATA_ENTRY_MSB, data >> 7);
+		this.sendControlChange(CC_DATA_ENTRY_LSB, data & 0x7F);
+	}
+
 	/// Retrieve a copy of the device's LCD display.
 	/**
 	 * @pre Device has been chosen by selectDevice().
@@ -281,6 +534,21 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 		};
 	}
 
+	/// Retrieve a copy of the device's LCD display as a PNG image.
+	/**
+	 * @pre Device has been chosen by selectDevice().
+	 *
+	 * @param Object options
+	 *   Scale and colours, see `Behringer.screenshot.toPNG()`.
+	 *
+	 * @return Buffer holding the .png file content.
+	 */
+	async getScreenshotPNG(options)
+	{
+		const screenshot = await this.getScreenshot();
+		return Behringer.screenshot.toPNG(screenshot, options);
+	}
+
 	/// Change the MIDI channel the device will listen on.
 	/**
 	 * @pre Device has been chosen by selectDevice().
@@ -363,6 +631,139 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 		return;
 	}
 
+	/// Flash new firmware to the device.
+	/**
+	 * @pre Device has been chosen by selectDevice().
+	 *
+	 * @param Buffer|Object firmware
+	 *   Raw MIDI SysEx data such as the content of a *.syx file, or the object
+	 *   returned by `Behringer.firmware.encode()`.
+	 *
+	 * @param Object options
+	 *   `model`: Device model (e.g. `DEQ2496v2`), only needed if it can't be
+	 *     worked out from the firmware data.
+	 *   `timeout`: Milliseconds to wait for each block to be acknowledged
+	 *     once it has been sent, defaults to `defaultTimeout`.
+	 *   `retries`: Number of times to resend a block that was not
+	 *     acknowledged before giving up, defaults to 3.
+	 *   `delay`: Milliseconds to wait between each SysEx event, defaults to 0.
+	 *   `allowProtectedWrite`: If true, permit writing to protected flash
+	 *     regions such as the bootloader.  Otherwise the promise is rejected
+	 *     before anything is sent.
+	 *   `onProgress`: Optional function called with an object of the form
+	 *     `{index, blockCount, blockNum, attempt, status}` where `status` is
+	 *     one of `sending`, `done` or `retry`.
+	 *
+	 * @return Object `{blockCount}` on success.  The promise is rejected if a
+	 *   block is still not acknowledged after all the retries.
+	 *
+	 * @note The device only acknowledges a 4 kB block once all 16 of its
+	 *   256-byte subblocks have arrived, so a block that is not acknowledged is
+	 *   sent again in full.
+	 */
+	async writeFirmware(firmware, options = {})
+	{
+		this.sanityCheck();
+		const debug = g_debug.extend('writeFirmware');
+
+		const binFirmware = firmware.binFirmware || firmware;
+		const plan = Behringer.firmware.getFlashBlocks(binFirmware, options.model);
+
+		const timeout = options.timeout || this.defaultTimeout;
+		const retries = (options.retries === undefined) ? 3 : options.retries;
+		const delay = options.delay || 0;
+		const onProgress = options.onProgress || (() => {});
+
+		if (!options.allowProtectedWrite) {
+			Behringer.firmware.assertUnprotected(
+				Behringer.firmware.checkFlashWrite(binFirmware, options.model).blocks
+			);
+		}
+
+		for (const block of plan.blocks) {
+			if (block.subblockCount !== 16) {
+				throw new Error(`Block 0x${block.blockNum.toString(16)} is incomplete, `
+					+ `only ${block.subblockCount} of 16 subblocks are present.`);
+			}
+		}
+
+		// beforeLast() is called just before the last event is sent, as the
+		// device can reply to it before the delay after it is over.
+		const sendEvents = async (events, beforeLast = () => {}) => {
+			for (let i = 0; i < events.length; i++) {
+				if (i === events.length - 1) beforeLast();
+				this.transport.send(events[i]);
+				if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+			}
+		};
+
+		// Resolves the current block's wait with true when its ack arrives.  This
+		// is only set once the block's last subblock is being sent, so a late ack
+		// from a block or attempt that already timed out is ignored.
+		let ackWaiter = null;
+		const listenerId = this.addListener(
+			this.modelId,
+			this.deviceId,
+			util.commands.writeFlashResponse,
+			() => {
+				if (!ackWaiter) {
+					debug('Ignoring acknowledgement received while not waiting for one');
+					return;
+				}
+				ackWaiter(true);
+				ackWaiter = null;
+			}
+		);
+
+		try {
+			for (let i = 0; i < plan.blocks.length; i++) {
+				const block = plan.blocks[i];
+				let progress = {
+					index: i,
+					blockCount: plan.blocks.length,
+					blockNum: block.blockNum,
+					attempt: 0,
+				};
+
+				let acked = false;
+				while (!acked) {
+					if (progress.attempt > retries) {
+						throw new Error(`No acknowledgement for block 0x${block.blockNum.toString(16)} `
+							+ `after ${progress.attempt} attempts, aborting.`);
+					}
+					progress.attempt++;
+					onProgress({...progress, status: 'sending'});
+
+					let resolveAck;
+					const ack = new Promise(resolve => resolveAck = resolve);
+					await sendEvents(block.events, () => ackWaiter = resolveAck);
+
+					// Only start timing once the whole block has been sent, so slow
+					// sending with a large delay doesn't count against the timeout.
+					const timerHandle = setTimeout(() => resolveAck(false), timeout);
+					acked = await ack;
+					clearTimeout(timerHandle);
+					ackWaiter = null;
+
+					if (!acked) {
+						debug(`Timed out waiting for block 0x${block.blockNum.toString(16)} to be acknowledged`);
+						onProgress({...progress, status: 'retry'});
+					}
+				}
+				onProgress({...progress, status: 'done'});
+			}
+
+			await sendEvents(plan.trailing);
+
+		} finally {
+			this.removeListener(listenerId);
+		}
+
+		return {
+			blockCount: plan.blocks.length,
+		};
+	}
+
 	/// Add a callback to receive incoming MIDI messages.
 	addListener(modelId, deviceId, command, callback)
 	{
@@ -373,6 +774,7 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 			command: command,
 			callback: callback,
 		};
+		return listenerId;
 	}
 
 	/// Stop a callback from receiving further incoming MIDI messages.
@@ -414,7 +816,10 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 		debug(`${util.getModelName(modelId)}@${deviceId}: ${util.getCommandName(command)}`);
 		debug.extend('trace')(content);
 
-		this.midiOut.write(content);
+		if (!this.transport) {
+			throw new Error('No MIDI transport has been set.');
+		}
+		this.transport.send(content);
 	}
 
 	/// Send a message with exactly one expected response.
@@ -453,7 +858,14 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 				resolve(msg);
 			});
 
-			this.sendMessage(modelId, deviceId, command, data);
+			try {
+				this.sendMessage(modelId, deviceId, command, data);
+			} catch (e) {
+				// Don't leave the timer running if the transport refused the message.
+				clearTimeout(timerHandle);
+				this.removeListener(listenerId);
+				throw e;
+			}
 		});
 	}
 
@@ -482,7 +894,12 @@ debug('TODO: Preset data is cut off (preset title truncated at 10 chars)');
 	}
 };
 
+Behringer.emulator = require('./emulator/index.js');
 Behringer.firmware = require('./firmware.js');
+Behringer.preset = require('./preset.js');
+Behringer.screenshot = require('./screenshot.js');
+Behringer.sysex = require('./sysex.js');
+Behringer.transport = transport;
 Behringer.util = util;
 
 module.exports = Behringer;
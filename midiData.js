@@ -20,50 +20,596 @@
 const debug = require('debug')('behringerctl:midiData');
 const g_debug = debug;
 
+// Number of data bytes following each channel message status byte, by the
+// upper four bits.
+const CHANNEL_DATA_LENGTH = {
+	0x80: 2, // note off
+	0x90: 2, // note on
+	0xA0: 2, // aftertouch
+	0xB0: 2, // control change
+	0xC0: 1, // program change
+	0xD0: 1, // channel pressure
+	0xE0: 2, // pitch bend
+};
+
+// Number of data bytes following each system common status byte.  0xF4 and
+// 0xF5 are undefined and have no data.
+const SYSTEM_DATA_LENGTH = {
+	0xF1: 1, // MTC quarter frame
+	0xF2: 2, // song position
+	0xF3: 1, // song select
+	0xF4: 0,
+	0xF5: 0,
+	0xF6: 0, // tune request
+};
+
+// Standard MIDI Files written by createSMF() use 1000 ticks per quarter note
+// at 1,000,000 us per quarter note, so each tick is one millisecond.
+const SMF_DIVISION = 1000;
+const SMF_TEMPO = 1000000;
+
+// Default tempo of a Standard MIDI File with no tempo event, 120 BPM.
+const SMF_DEFAULT_TEMPO = 500000;
+
+function hex(v, width = 2)
+{
+	return '0x' + v.toString(16).padStart(width, '0');
+}
+
+/**
+ * Split a raw MIDI byte stream into individual messages.
+ *
+ * Bytes can be passed in over any number of calls to `write()`, so this works
+ * both for whole files and for data arriving from a device in pieces.
+ *
+ * Each message is passed to `fnEvent` as an object:
+ *
+ *  - `type`: `sysex`, `channel`, `system` (system common) or `realtime`.
+ *  - `offset`: Position of the message's first byte in the stream.
+ *  - `data`: Array of the message bytes, including the status byte even when
+ *    it was omitted due to running status, so the message can be sent as-is.
+ *    SysEx events include the leading 0xF0 and trailing 0xF7.  Realtime bytes
+ *    interleaved within another message are not included, and are reported
+ *    as their own messages instead.
+ *  - `runningStatus`: true if the status byte was omitted in the stream.
+ *
+ * Problems such as a SysEx event cut short by another status byte are passed
+ * to `fnError` as an `Error` with an extra `offset` field.  The incomplete
+ * message is dropped and parsing continues with the next byte.
+ */
+class MIDIStreamParser
+{
+	/**
+	 * @param Function fnEvent
+	 *   Called with each complete message.
+	 *
+	 * @param Function fnError
+	 *   Optional, called with each problem found.  If omitted, problems are
+	 *   only logged through `debug`.
+	 */
+	constructor(fnEvent, fnError)
+	{
+		this.fnEvent = fnEvent;
+		this.fnError = fnError || (e => debug(e.message));
+		this.offset = 0;
+		this.runningStatus = null;
+		this.pending = null;
+	}
+
+	/// Parse more bytes from the stream.
+	write(bytes)
+	{
+		for (const b of bytes) {
+			this.processByte(b);
+			this.offset++;
+		}
+	}
+
+	/// Signal the end of the stream, reporting any incomplete message.
+	end()
+	{
+		if (this.pending) {
+			this.error(this.pending.offset, `${this.describePending()} at `
+				+ `${hex(this.pending.offset)} is truncated by the end of the data`);
+			this.pending = null;
+		}
+	}
+
+	processByte(b)
+	{
+		const offset = this.offset;
+
+		if (b >= 0xF8) {
+			// Realtime messages can appear anywhere, even within other messages,
+			// and don't affect them.
+			this.fnEvent({
+				type: 'realtime',
+				offset: offset,
+				data: [b],
+				runningStatus: false,
+			});
+			return;
+		}
+
+		if (b === 0xF7) {
+			if (this.pending && (this.pending.type === 'sysex')) {
+				this.pending.data.push(b);
+				this.emit();
+			} else {
+				this.interrupt(b);
+				this.error(offset, `SysEx end byte 0xf7 at ${hex(offset)} without a SysEx start`);
+			}
+			return;
+		}
+
+		if (b & 0x80) {
+			this.interrupt(b);
+
+			if (b === 0xF0) {
+				this.runningStatus = null;
+				this.pending = {
+					type: 'sysex',
+					offset: offset,
+					data: [b],
+					runningStatus: false,
+				};
+				return;
+			}
+
+			let type, length;
+			if (b < 0xF0) {
+				type = 'channel';
+				length = CHANNEL_DATA_LENGTH[b & 0xF0];
+				this.runningStatus = b;
+			} else {
+				type = 'system';
+				length = SYSTEM_DATA_LENGTH[b];
+				this.runningStatus = null;
+			}
+			this.pending = {
+				type: type,
+				offset: offset,
+				data: [b],
+				runningStatus: false,
+				length: length,
+			};
+			if (length === 0) this.emit();
+			return;
+		}
+
+		// Data byte.
+		if (!this.pending) {
+			if (this.runningStatus === null) {
+				this.error(offset, `Data byte ${hex(b)} at ${hex(offset)} without a `
+					+ 'preceding status byte');
+				return;
+			}
+			this.pending = {
+				type: 'channel',
+				offset: offset,
+				data: [this.runningStatus],
+				runningStatus: true,
+				length: CHANNEL_DATA_LENGTH[this.runningStatus & 0xF0],
+			};
+		}
+		this.pending.data.push(b);
+		if (
+			(this.pending.type !== 'sysex')
+			&& (this.pending.data.length > this.pending.length)
+		) {
+			this.emit();
+		}
+	}
+
+	/// Report an incomplete message that has been cut short by a status byte.
+	interrupt(status)
+	{
+		if (!this.pending) return;
+		this.error(this.pending.offset, `${this.describePending()} at `
+			+ `${hex(this.pending.offset)} is interrupted by status byte `
+			+ `${hex(status)} at ${hex(this.offset)}`);
+		this.pending = null;
+	}
+
+	describePending()
+	{
+		if (this.pending.type === 'sysex') return 'SysEx event';
+		return `MIDI message ${hex(this.pending.data[0])}`;
+	}
+
+	emit()
+	{
+		const event = this.pending;
+		this.pending = null;
+		delete event.length;
+		this.fnEvent(event);
+	}
+
+	error(offset, message)
+	{
+		let e = new Error(message);
+		e.offset = offset;
+		this.fnError(e);
+	}
+};
+
 class MIDIData
 {
+	/// Split raw MIDI data into individual messages.
+	/**
+	 * @param Array binMIDI
+	 *   Raw MIDI data, e.g. the content of a *.syx file.
+	 *
+	 * @param Object options
+	 *   `strict`: true to throw an exception on the first problem found,
+	 *   instead of skipping the bad data and listing it in `errors`.
+	 *
+	 * @return Object `{events, errors}`.  `events` is an array of every
+	 *   message found, as described in `MIDIStreamParser`, and `errors` an
+	 *   array of `Error` objects, each with an `offset` field.
+	 *
+	 * @throw Error if `strict` is set and the data is malformed.
+	 */
+	static parseMIDI(binMIDI, options = {})
+	{
+		let events = [], errors = [];
+		const parser = new MIDIStreamParser(
+			event => events.push(event),
+			e => {
+				if (options.strict) throw e;
+				debug(e.message);
+				errors.push(e);
+			}
+		);
+		parser.write(binMIDI);
+		parser.end();
+		return {
+			events: events,
+			errors: errors,
+		};
+	}
+
 	/// Is the supplied data in MIDI SysEx format?
+	/**
+	 * A damaged or truncated event doesn't stop the data counting as SysEx, so
+	 * processMIDI() can still report it.  To avoid mistaking a binary file for
+	 * MIDI just because it happens to contain a few 0xF0..0xF7 runs, the data
+	 * must start with a status byte and at least half of it must be SysEx.
+	 *
+	 * @return true if the data is a MIDI stream holding SysEx events.  Other
+	 *   messages may appear between the SysEx events.
+	 */
 	static isSysEx(binMIDI)
 	{
-		let isSysEx = false;
-		if ((binMIDI[0] === 0xF0) && (binMIDI[binMIDI.length - 1] == 0xF7)) {
-			isSysEx = true;
-			for (const b of binMIDI) {
-				if ((b & 0x80) && (b < 0xF0)) {
-					isSysEx = false;
-					break;
-				}
-			}
+		if (!(binMIDI.length && (binMIDI[0] & 0x80))) return false;
+
+		const { events } = MIDIData.parseMIDI(binMIDI);
+		let sysExLength = 0;
+		for (const e of events) {
+			if (e.type === 'sysex') sysExLength += e.data.length;
 		}
-		return isSysEx;
+		return (sysExLength > 0) && (sysExLength * 2 >= binMIDI.length);
 	}
 
 	/// Parse raw MIDI data and dig out SysEx events.
+	/**
+	 * @param Array binMIDI
+	 *   Raw MIDI data, e.g. the content of a *.syx file.
+	 *
+	 * @param Function fnCallback
+	 *   Called with each complete SysEx event as a Buffer (without the trailing
+	 *   0xF7) and the offset of its leading 0xF0 in `binMIDI`.  Other messages
+	 *   and malformed data are skipped.
+	 *
+	 * @return Array of `Error` objects for the malformed data that was skipped,
+	 *   each with an `offset` field, as for parseMIDI().
+	 */
 	static processMIDI(binMIDI, fnCallback)
 	{
+		const { events, errors } = MIDIData.parseMIDI(binMIDI);
+		for (const event of events) {
+			if (event.type !== 'sysex') continue;
+			fnCallback(Buffer.from(event.data.slice(0, -1)), event.offset);
+		}
+		return errors;
+	}
+
+	/// Get the first Behringer SysEx event in some raw MIDI data.
+	/**
+	 * @return Object as returned by parseSysEx(), or undefined if there are no
+	 *   Behringer SysEx events.
+	 */
+	static findFirstSysEx(binMIDI)
+	{
+		let info;
+		MIDIData.processMIDI(binMIDI, event => {
+			if (!info) info = MIDIData.parseSysEx(event);
+		});
+		return info;
+	}
+
+	/// Is the supplied data a Standard MIDI File (*.mid)?
+	static isSMF(data)
+	{
+		return (data.length >= 14)
+			&& (Buffer.from(data.slice(0, 4)).toString('latin1') === 'MThd');
+	}
+
+	/// Read every event out of a Standard MIDI File.
+	/**
+	 * @param Buffer data
+	 *   Content of a format 0 or format 1 *.mid file.
+	 *
+	 * @return Object `{format, trackCount, division, events}`.  `events` holds
+	 *   the MIDI messages from every track merged into time order, each of the
+	 *   form `{time, tick, track, data}`, where `time` is in milliseconds from
+	 *   the start of the file and `data` the raw MIDI message as it would be
+	 *   sent over a cable.  Divided SysEx events (those continued with 0xF7
+	 *   escapes) are joined back together.  Meta events such as tempo changes
+	 *   are used for timing but not returned.
+	 *
+	 * @throw Error if the data is not a valid Standard MIDI File.
+	 */
+	static parseSMF(data)
+	{
+		data = Buffer.from(data);
+
 		let pos = 0;
-		while (pos < binMIDI.length) {
-			switch (binMIDI[pos]) {
-				case 0xF0: // sysex
-					let end = pos + 1;
-					while (end < binMIDI.length) {
-						if (binMIDI[end] & 0x80) break;
-						end++;
-					}
-					if (binMIDI[end] === 0xF7) {
-						const event = binMIDI.slice(pos, end);
-						end++;
-						fnCallback(event);
-					} else {
-						debug(`Unexpected end to SysEx 0x${binMIDI[end].toString(16)}`);
+		function readChunk() {
+			if (pos + 8 > data.length) {
+				throw new Error(`MIDI file chunk at ${hex(pos)} is truncated`);
+			}
+			const chunk = {
+				offset: pos,
+				type: data.slice(pos, pos + 4).toString('latin1'),
+				data: data.slice(pos + 8, pos + 8 + data.readUInt32BE(pos + 4)),
+			};
+			pos += 8 + data.readUInt32BE(pos + 4);
+			if (pos > data.length) {
+				throw new Error(`MIDI file chunk "${chunk.type}" at ${hex(chunk.offset)} `
+					+ 'is truncated');
+			}
+			return chunk;
+		}
+
+		const header = readChunk();
+		if ((header.type !== 'MThd') || (header.data.length < 6)) {
+			throw new Error('Not a Standard MIDI File');
+		}
+		const format = header.data.readUInt16BE(0);
+		const trackCount = header.data.readUInt16BE(2);
+		const division = header.data.readUInt16BE(4);
+		if (format > 1) {
+			throw new Error(`MIDI file format ${format} is not supported, only 0 and 1`);
+		}
+
+		let events = [], tempoChanges = [];
+		let track = 0;
+		while ((track < trackCount) && (pos < data.length)) {
+			const chunk = readChunk();
+			// Skip unknown chunks, as the spec requires.
+			if (chunk.type !== 'MTrk') continue;
+			MIDIData.parseSMFTrack(chunk, track, events, tempoChanges);
+			track++;
+		}
+		if (track < trackCount) {
+			debug(`MIDI file says it has ${trackCount} tracks but only ${track} were found`);
+		}
+
+		// Merge the tracks, keeping events at the same tick in file order.
+		events.sort((a, b) => (a.tick - b.tick) || (a.order - b.order));
+		tempoChanges.sort((a, b) => (a.tick - b.tick) || (a.order - b.order));
+
+		// Convert ticks into milliseconds.
+		if (division & 0x8000) {
+			// SMPTE timing: frames per second and ticks per frame.
+			const fps = 0x100 - (division >> 8);
+			const ticksPerSecond = fps * (division & 0xFF);
+			for (const e of events) e.time = e.tick * 1000 / ticksPerSecond;
+		} else {
+			let tempo = SMF_DEFAULT_TEMPO, lastTick = 0, lastTime = 0, t = 0;
+			for (const e of events) {
+				while ((t < tempoChanges.length) && (tempoChanges[t].tick <= e.tick)) {
+					lastTime += (tempoChanges[t].tick - lastTick) * tempo / division / 1000;
+					lastTick = tempoChanges[t].tick;
+					tempo = tempoChanges[t].tempo;
+					t++;
+				}
+				e.time = lastTime + (e.tick - lastTick) * tempo / division / 1000;
+			}
+		}
+
+		return {
+			format: format,
+			trackCount: track,
+			division: division,
+			events: events.map(e => ({
+				time: e.time,
+				tick: e.tick,
+				track: e.track,
+				data: e.data,
+			})),
+		};
+	}
+
+	/// Read the events from one MTrk chunk.  Used by parseSMF().
+	static parseSMFTrack(chunk, track, events, tempoChanges)
+	{
+		const data = chunk.data;
+		let pos = 0, tick = 0, runningStatus = null;
+		let pendingSysEx = null;
+
+		function fail(message) {
+			throw new Error(`Track ${track} (chunk at ${hex(chunk.offset)}): ${message} `
+				+ `at offset ${hex(chunk.offset + 8 + pos)}`);
+		}
+		function readByte() {
+			if (pos >= data.length) fail('Unexpected end of track');
+			return data[pos++];
+		}
+		function readVarLen() {
+			let value = 0;
+			for (let i = 0; i < 4; i++) {
+				const b = readByte();
+				value = (value << 7) | (b & 0x7F);
+				if (!(b & 0x80)) return value;
+			}
+			fail('Variable length value too long');
+		}
+		function readBytes(length) {
+			if (pos + length > data.length) fail('Unexpected end of track');
+			const bytes = Array.from(data.slice(pos, pos + length));
+			pos += length;
+			return bytes;
+		}
+		function add(bytes) {
+			events.push({
+				tick: tick,
+				track: track,
+				order: events.length,
+				data: bytes,
+			});
+		}
+
+		while (pos < data.length) {
+			tick += readVarLen();
+
+			let status = data[pos];
+			if (status & 0x80) {
+				pos++;
+			} else if (runningStatus === null) {
+				fail(`Data byte ${hex(status)} without a preceding status byte`);
+			} else {
+				status = runningStatus;
+			}
+
+			if (status === 0xFF) {
+				// Meta event
+				runningStatus = null;
+				const type = readByte();
+				const content = readBytes(readVarLen());
+				if ((type === 0x51) && (content.length === 3)) {
+					tempoChanges.push({
+						tick: tick,
+						order: events.length,
+						tempo: (content[0] << 16) | (content[1] << 8) | content[2],
+					});
+				} else if (type === 0x2F) {
+					break; // end of track
+				}
+
+			} else if (status === 0xF0) {
+				runningStatus = null;
+				const content = readBytes(readVarLen());
+				if (pendingSysEx) {
+					debug(`Track ${track}: divided SysEx event was never finished`);
+				}
+				pendingSysEx = null;
+				if (content[content.length - 1] === 0xF7) {
+					add([0xF0, ...content]);
+				} else {
+					// The rest follows in 0xF7 escape events.
+					pendingSysEx = [0xF0, ...content];
+				}
+
+			} else if (status === 0xF7) {
+				runningStatus = null;
+				const content = readBytes(readVarLen());
+				if (pendingSysEx) {
+					// Continuation of a divided SysEx event.
+					pendingSysEx.push(...content);
+					if (content[content.length - 1] === 0xF7) {
+						add(pendingSysEx);
+						pendingSysEx = null;
 					}
-					pos = end;
-					break;
-				default:
-					debug(`Unexpected MIDI event 0x${binMIDI[pos].toString(16)}`);
-					break;
+				} else if (content.length) {
+					// Escape, sending arbitrary bytes.
+					add(content);
+				}
+
+			} else if (status >= 0xF0) {
+				fail(`System message ${hex(status)} is not allowed in a MIDI file`);
+
+			} else {
+				runningStatus = status;
+				add([status, ...readBytes(CHANNEL_DATA_LENGTH[status & 0xF0])]);
 			}
 		}
+		if (pendingSysEx) {
+			debug(`Track ${track}: divided SysEx event was never finished`);
+		}
+	}
+
+	/// Get raw MIDI data out of a file that may be a Standard MIDI File.
+	/**
+	 * @param Buffer data
+	 *   Content of a *.syx file (returned unchanged) or a *.mid file, whose
+	 *   events are returned as they would be sent over a MIDI cable.
+	 *
+	 * @return Buffer of raw MIDI data.
+	 */
+	static toRawMIDI(data)
+	{
+		if (!MIDIData.isSMF(data)) return data;
+		const smf = MIDIData.parseSMF(data);
+		return Buffer.from([].concat(...smf.events.map(e => e.data)));
+	}
+
+	/// Create a format 0 Standard MIDI File holding the given messages.
+	/**
+	 * @param Array messages
+	 *   Raw MIDI messages to include, e.g. SysEx events from 0xF0 to 0xF7.
+	 *
+	 * @param Object options
+	 *   `delay`: Milliseconds between each message, defaults to 0.
+	 *
+	 * @return Buffer containing the *.mid file.
+	 */
+	static createSMF(messages, options = {})
+	{
+		const delay = Math.round(options.delay || 0);
+
+		function varLen(value) {
+			let bytes = [value & 0x7F];
+			while (value > 0x7F) {
+				value >>= 7;
+				bytes.unshift((value & 0x7F) | 0x80);
+			}
+			return bytes;
+		}
+
+		let track = [
+			// Tempo, so one tick is one millisecond.
+			0x00, 0xFF, 0x51, 0x03,
+			(SMF_TEMPO >> 16) & 0xFF, (SMF_TEMPO >> 8) & 0xFF, SMF_TEMPO & 0xFF,
+		];
+		for (let i = 0; i < messages.length; i++) {
+			const msg = Array.from(messages[i]);
+			track.push(...varLen(i ? delay : 0));
+			if (msg[0] === 0xF0) {
+				track.push(0xF0, ...varLen(msg.length - 1), ...msg.slice(1));
+			} else if (msg[0] >= 0xF0) {
+				// Anything else that can't be stored directly is escaped.
+				track.push(0xF7, ...varLen(msg.length), ...msg);
+			} else {
+				track.push(...msg);
+			}
+		}
+		// End of track
+		track.push(0x00, 0xFF, 0x2F, 0x00);
+
+		let header = Buffer.alloc(14);
+		header.write('MThd', 0, 'latin1');
+		header.writeUInt32BE(6, 4);
+		header.writeUInt16BE(0, 8); // format
+		header.writeUInt16BE(1, 10); // track count
+		header.writeUInt16BE(SMF_DIVISION, 12);
+
+		let trackHeader = Buffer.alloc(8);
+		trackHeader.write('MTrk', 0, 'latin1');
+		trackHeader.writeUInt32BE(track.length, 4);
+
+		return Buffer.concat([header, trackHeader, Buffer.from(track)]);
 	}
 
 	/// Parse a single sysex message and return the header and data chunk.
@@ -83,4 +629,6 @@ class MIDIData
 	}
 };
 
+MIDIData.StreamParser = MIDIStreamParser;
+
 module.exports = MIDIData;
@@ -0,0 +1,763 @@
+/**
+ * Behringer device control library, preset component.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const crypto = require('crypto');
+const debug = require('debug')('behringerctl:preset');
+
+const sevenEightCoder = require('./algo/sevenEightCoder.js');
+const midiData = require('./midiData.js');
+const util = require('./util.js');
+
+// Number of bytes the device sends after the data in every reply, which
+// Behringer.onMessage() also drops.
+const REPLY_TRAILER_LENGTH = 7;
+
+// Identifies a preset bank file, and the version of its structure.
+const BANK_FORMAT = 'behringerctl-preset-bank';
+const BANK_VERSION = 1;
+
+// Preset layouts, by MIDI model number.
+const layouts = {
+	[util.models.deq2496]: require('./device/deq2496preset.js'),
+};
+
+/// Number of decimal places needed to show multiples of `scale`.
+function decimals(scale)
+{
+	return (String(scale).split('.')[1] || '').length;
+}
+
+/// Accessed through `index.js` as `Behringer.preset`
+class BehringerPreset
+{
+	/// Get the preset layout for a device model.
+	/**
+	 * @param Number modelId
+	 *   MIDI model number, e.g. `util.models.deq2496`.
+	 *
+	 * @return Object, see device/deq2496preset.js.
+	 */
+	static getLayout(modelId = util.models.deq2496)
+	{
+		const layout = layouts[modelId];
+		if (!layout) {
+			throw new Error(`Presets are not supported for model ${util.getModelName(modelId)}`);
+		}
+		return layout;
+	}
+
+	/// Split raw preset data into its content and title.
+	/**
+	 * @param Array presetRaw
+	 *   Preset data as returned in the `presetRaw` field by
+	 *   `Behringer.readPreset()`, or saved by `presets export`.  This is the
+	 *   two byte length field, followed by the content, then the title.
+	 *
+	 * @return Object `{content, title}` where `content` is still 7-bit data.
+	 */
+	static splitRaw(presetRaw)
+	{
+		if (presetRaw.length < 2) {
+			throw new Error('Preset data is too short to contain a length field.');
+		}
+		const length = (presetRaw[0] << 7) | presetRaw[1];
+		if (presetRaw.length < 2 + length) {
+			throw new Error(`Preset data is truncated, expected ${length} bytes `
+				+ `of content but only ${presetRaw.length - 2} are present.`);
+		}
+		let title = Buffer.from(presetRaw.slice(2 + length));
+		const end = title.indexOf(0);
+		if (end >= 0) title = title.slice(0, end);
+
+		return {
+			content: Array.from(presetRaw.slice(2, 2 + length)),
+			title: title.toString('ascii'),
+		};
+	}
+
+	/// Read a single field from decoded (8-bit) preset data.
+	static readField(data, field)
+	{
+		let raw;
+		switch (field.type) {
+			case 'bool':
+				return !!data[field.offset];
+			case 'enum':
+				raw = data[field.offset];
+				return (raw < field.values.length) ? field.values[raw] : raw;
+			case 'int8':
+				raw = data[field.offset];
+				if (raw & 0x80) raw -= 0x100;
+				break;
+			case 'uint8':
+				raw = data[field.offset];
+				break;
+			case 'uint16':
+				raw = (data[field.offset] << 8) | data[field.offset + 1];
+				break;
+			default:
+				throw new Error(`Unknown field type: ${field.type}`);
+		}
+		return Number((raw * field.scale).toFixed(decimals(field.scale)));
+	}
+
+	/// Decode a preset into a JavaScript object.
+	/**
+	 * @param Array presetRaw
+	 *   Raw preset data, see splitRaw().
+	 *
+	 * @param Number modelId
+	 *   MIDI model number of the device the preset came from.  Defaults to
+	 *   the DEQ2496.
+	 *
+	 * @return Object, e.g. `{title: 'Example', geq: {left: {enabled: true,
+	 *   bands: {'20': -1.5, ...}}, right: {...}}, peq: {...}, ...}`.  Every
+	 *   parameter is listed in the `fields` array of the layout returned by
+	 *   getLayout(), with its range and units.
+	 */
+	static decode(presetRaw, modelId = util.models.deq2496)
+	{
+		const layout = this.getLayout(modelId);
+		const raw = this.splitRaw(presetRaw);
+
+		// Remove the 7/8 coding, restoring the full 8-bit bytes.
+		const data = sevenEightCoder.decode(raw.content);
+		if (data.length < layout.length) {
+			throw new Error(`Preset data is too short, got ${data.length} bytes `
+				+ `but expected ${layout.length}.`);
+		}
+		if (data.length - layout.length >= 7) {
+			debug(`Ignoring ${data.length - layout.length} extra bytes at end of preset`);
+		}
+
+		let preset = {
+			title: raw.title,
+		};
+		for (const field of layout.fields) {
+			let target = preset;
+			for (let i = 0; i < field.path.length - 1; i++) {
+				const key = field.path[i];
+				if (target[key] === undefined) {
+					// Numeric path elements are array indices.
+					target[key] = (typeof(field.path[i + 1]) === 'number') ? [] : {};
+				}
+				target = target[key];
+			}
+			target[field.path[field.path.length - 1]] = this.readField(data, field);
+		}
+
+		return preset;
+	}
+
+	/// Write a single field into 8-bit preset data.
+	/**
+	 * @throw Error if the value is out of range or the wrong type.
+	 */
+	static writeField(data, field, value)
+	{
+		let raw;
+		switch (field.type) {
+			case 'bool':
+				if ((typeof(value) !== 'boolean') && (value !== 0) && (value !== 1)) {
+					throw new Error(`${field.name} must be true or false, not "${value}".`);
+				}
+				data[field.offset] = value ? 1 : 0;
+				return;
+			case 'enum':
+				raw = (typeof(value) === 'number') ? value : field.values.indexOf(value);
+				if ((raw < 0) || (raw > 0xFF) || !Number.isInteger(raw)) {
+					throw new Error(`${field.name} must be one of: ${field.values.join(', ')}.`);
+				}
+				data[field.offset] = raw;
+				return;
+		}
+
+		if ((typeof(value) !== 'number') || isNaN(value)) {
+			throw new Error(`${field.name} must be a number, not "${value}".`);
+		}
+		if ((value < field.min) || (value > field.max)) {
+			throw new Error(`${field.name} must be between ${field.min} and `
+				+ `${field.max}${field.units ? ' ' + field.units : ''}, not ${value}.`);
+		}
+		// Round to the nearest step the device can store.
+		raw = Math.round(value / field.scale);
+		switch (field.type) {
+			case 'int8':
+			case 'uint8':
+				data[field.offset] = raw & 0xFF;
+				break;
+			case 'uint16':
+				data[field.offset] = (raw >> 8) & 0xFF;
+				data[field.offset + 1] = raw & 0xFF;
+				break;
+			default:
+				throw new Error(`Unknown field type: ${field.type}`);
+		}
+	}
+
+	/// Value used for a parameter missing from an object passed to encode().
+	static defaultValue(field)
+	{
+		switch (field.type) {
+			case 'bool':
+				return false;
+			case 'enum':
+				return field.values[0];
+			default:
+				// Whatever is closest to zero while still being valid.
+				return Math.min(Math.max(0, field.min), field.max);
+		}
+	}
+
+	/// Encode a JavaScript object into raw preset data.
+	/**
+	 * This is the reverse of decode().
+	 *
+	 * @param Object preset
+	 *   Preset in the same form returned by decode().  Any parameters that are
+	 *   missing take the in-range value closest to zero (or off, or the first
+	 *   choice), so a template only needs to list the settings it cares about.
+	 *
+	 * @param Number modelId
+	 *   MIDI model number of the device the preset is for.  Defaults to the
+	 *   DEQ2496.
+	 *
+	 * @return Array of bytes, in the same format as the `presetRaw` field
+	 *   returned by `Behringer.readPreset()`, ready for writePreset().  Every
+	 *   byte is 7-bit clean.
+	 *
+	 * @throw Error if there are unknown parameters, or values out of range.
+	 */
+	static encode(preset, modelId = util.models.deq2496)
+	{
+		const layout = this.getLayout(modelId);
+
+		// Look for typos, which would otherwise silently use the default.
+		const known = new Set(layout.fields.map(f => f.name));
+		let knownGroups = new Set();
+		for (const f of layout.fields) {
+			for (let i = 1; i < f.path.length; i++) {
+				knownGroups.add(f.path.slice(0, i).join('.'));
+			}
+		}
+		function checkKeys(obj, path)
+		{
+			for (const key of Object.keys(obj)) {
+				const name = [...path, key].join('.');
+				if ((typeof(obj[key]) === 'object') && (obj[key] !== null)) {
+					if (!knownGroups.has(name)) {
+						throw new Error(`Unknown preset parameter: ${name}`);
+					}
+					checkKeys(obj[key], [...path, key]);
+				} else if (!known.has(name) && (name !== 'title')) {
+					throw new Error(`Unknown preset parameter: ${name}`);
+				}
+			}
+		}
+		checkKeys(preset, []);
+
+		let data = new Array(layout.length).fill(0);
+		for (const field of layout.fields) {
+			let value = this.getValue(preset, field);
+			if (value === undefined) value = this.defaultValue(field);
+			this.writeField(data, field, value);
+		}
+
+		const title = preset.title || '';
+		if (title.length > layout.titleLength) {
+			throw new Error(`Preset title "${title}" is longer than `
+				+ `${layout.titleLength} characters.`);
+		}
+		const binTitle = Buffer.from(title, 'ascii');
+		if (binTitle.some(c => c & 0x80) || (binTitle.toString('ascii') !== title)) {
+			throw new Error(`Preset title "${title}" must only contain ASCII characters.`);
+		}
+
+		// Add the 7/8 coding, turning the 8-bit data into 7-bit clean.
+		const content = sevenEightCoder.encode(data);
+		if (content.length >= (1 << 14)) {
+			throw new Error('Preset content is too long for the length field.');
+		}
+
+		return [
+			(content.length >> 7) & 0x7F,
+			content.length & 0x7F,
+			...content,
+			...binTitle,
+		];
+	}
+
+	/// List the parameters that differ between two presets.
+	/**
+	 * @param Array|Object presetA
+	 *   Raw preset data (see splitRaw()) or an object returned by decode().
+	 *
+	 * @param Array|Object presetB
+	 *   Preset to compare against, in either form.
+	 *
+	 * @param Number modelId
+	 *   MIDI model number, defaults to the DEQ2496.
+	 *
+	 * @return Array of `{name, field, oldValue, newValue}`, in the order the
+	 *   parameters are stored.  `field` is the entry from the layout's
+	 *   `fields` list, or null for the title.
+	 */
+	static diff(presetA, presetB, modelId = util.models.deq2496)
+	{
+		const layout = this.getLayout(modelId);
+		const toObject = p => (Array.isArray(p) || ArrayBuffer.isView(p)) ? this.decode(p, modelId) : p;
+		const a = toObject(presetA);
+		const b = toObject(presetB);
+
+		let changes = [];
+		if ((a.title || '') !== (b.title || '')) {
+			changes.push({
+				name: 'title',
+				field: null,
+				oldValue: a.title,
+				newValue: b.title,
+			});
+		}
+		for (const field of layout.fields) {
+			const oldValue = this.getValue(a, field);
+			const newValue = this.getValue(b, field);
+			if (oldValue !== newValue) {
+				changes.push({
+					name: field.name,
+					field: field,
+					oldValue: oldValue,
+					newValue: newValue,
+				});
+			}
+		}
+		return changes;
+	}
+
+	/// List the bytes that differ between two lots of raw preset data.
+	/**
+	 * @return Array of `{offset, oldValue, newValue}`.  Where one preset is
+	 *   longer than the other, the missing bytes are `undefined`.
+	 */
+	static diffBytes(rawA, rawB)
+	{
+		let changes = [];
+		const length = Math.max(rawA.length, rawB.length);
+		for (let i = 0; i < length; i++) {
+			if (rawA[i] !== rawB[i]) {
+				changes.push({
+					offset: i,
+					oldValue: rawA[i],
+					newValue: rawB[i],
+				});
+			}
+		}
+		return changes;
+	}
+
+	/// Look up a single parameter by name.
+	/**
+	 * @param String name
+	 *   Parameter name, e.g. `geq.left.bands.1k`.
+	 *
+	 * @param Number modelId
+	 *   MIDI model number.  Defaults to the DEQ2496.
+	 *
+	 * @return Object, one of the `fields` in the layout.
+	 */
+	static getField(name, modelId = util.models.deq2496)
+	{
+		const field = this.getLayout(modelId).fields.find(f => f.name === name);
+		if (!field) {
+			throw new Error(`Unknown parameter: ${name}`);
+		}
+		return field;
+	}
+
+	/// Convert a parameter value into the number the device stores.
+	/**
+	 * @param Object field
+	 *   Parameter, as returned by getField().
+	 *
+	 * @param Any value
+	 *   Value in the same form as decode() uses, e.g. `-3.5` for a gain in dB.
+	 *
+	 * @return Number, 0 to 0xFFFF.  Signed values are two's complement in the
+	 *   size of the field.
+	 *
+	 * @throw Error if the value is out of range or the wrong type.
+	 */
+	static encodeValue(field, value)
+	{
+		let data = [0, 0];
+		const f = { ...field, offset: 0 };
+		this.writeField(data, f, value);
+		return (f.type === 'uint16') ? ((data[0] << 8) | data[1]) : data[0];
+	}
+
+	/// Convert a number from encodeValue() back into a parameter value.
+	static decodeValue(field, raw)
+	{
+		const f = { ...field, offset: 0 };
+		const data = (f.type === 'uint16') ? [(raw >> 8) & 0xFF, raw & 0xFF] : [raw & 0xFF];
+		return this.readField(data, f);
+	}
+
+	/// Convert text, such as from the command line, into a parameter value.
+	/**
+	 * @return Value suitable for encodeValue().  It is not range checked.
+	 */
+	static parseValue(field, text)
+	{
+		switch (field.type) {
+			case 'bool':
+				switch (String(text).toLowerCase()) {
+					case '1': case 'on': case 'true': case 'yes': return true;
+					case '0': case 'off': case 'false': case 'no': return false;
+				}
+				throw new Error(`${field.name} must be on or off, not "${text}".`);
+			case 'enum':
+				if (!field.values.includes(text)) {
+					throw new Error(`${field.name} must be one of: ${field.values.join(', ')}.`);
+				}
+				return text;
+			default:
+				return Number(text);
+		}
+	}
+
+	/// Get the NRPN number used to control a parameter with MIDI CCs.
+	/**
+	 * The most significant 7 bits (CC 99) are the module ID and the least
+	 * significant (CC 98) the parameter ID, the same numbers used by
+	 * `Behringer.setParameter()`.
+	 */
+	static getNRPN(field)
+	{
+		return (field.moduleId << 7) | field.paramId;
+	}
+
+	/// Look up a parameter from its NRPN number.
+	static getFieldByNRPN(nrpn, modelId = util.models.deq2496)
+	{
+		const field = this.getLayout(modelId).fields.find(f => this.getNRPN(f) === nrpn);
+		if (!field) {
+			throw new Error(`Unknown NRPN: ${nrpn}`);
+		}
+		return field;
+	}
+
+	/// Convert a parameter value into a 14-bit NRPN data value.
+	/**
+	 * Numbers are spread over the full 14-bit range, with 0 as the minimum and
+	 * 0x3FFF as the maximum, so a fader sweeps the whole range regardless of
+	 * how fine the steps are.  Enums send the index of the choice, and
+	 * booleans 0 or 0x3FFF.
+	 *
+	 * @throw Error if the value is out of range or the wrong type.
+	 */
+	static encodeNRPNValue(field, value)
+	{
+		// Check the value in the same way as for SysEx.
+		value = this.decodeValue(field, this.encodeValue(field, value));
+		switch (field.type) {
+			case 'bool':
+				return value ? 0x3FFF : 0;
+			case 'enum':
+				return field.values.indexOf(value);
+			default:
+				return Math.round((value - field.min) / (field.max - field.min) * 0x3FFF);
+		}
+	}
+
+	/// Convert a 14-bit NRPN data value back into a parameter value.
+	/**
+	 * @return Value, rounded to the nearest step the device can store.
+	 */
+	static decodeNRPNValue(field, data)
+	{
+		switch (field.type) {
+			case 'bool':
+				return data >= 0x2000;
+			case 'enum':
+				return field.values[Math.min(data, field.values.length - 1)];
+			default: {
+				const value = field.min + (data / 0x3FFF) * (field.max - field.min);
+				return this.decodeValue(field, this.encodeValue(field,
+					Math.round(value / field.scale) * field.scale));
+			}
+		}
+	}
+
+	/// Look up a processing module in a preset layout.
+	/**
+	 * @param String|Number module
+	 *   Module name (e.g. `geq`) or module ID (e.g. 0).
+	 *
+	 * @param Number modelId
+	 *   MIDI model number.  Defaults to the DEQ2496.
+	 *
+	 * @return Object, one of the `modules` in the layout, with its `id`,
+	 *   `name`, and the `offset` and `length` of its 8-bit data.
+	 */
+	static getModule(module, modelId = util.models.deq2496)
+	{
+		const layout = this.getLayout(modelId);
+		const m = layout.modules.find(m => (m.name === module) || (m.id === module));
+		if (!m) {
+			throw new Error(`Unknown preset module "${module}", must be one of: `
+				+ layout.modules.map(m => m.name).join(', ') + '.');
+		}
+		return m;
+	}
+
+	/// Copy one processing module out of a preset.
+	/**
+	 * @param Array presetRaw
+	 *   Raw preset data, see splitRaw().
+	 *
+	 * @param String|Number module
+	 *   Module name or ID, see getModule().
+	 *
+	 * @return Array of bytes, the same as the `moduleRaw` field returned by
+	 *   `Behringer.readModulePreset()`: a two byte length then the module's
+	 *   7/8 coded data.
+	 */
+	static extractModule(presetRaw, module, modelId = util.models.deq2496)
+	{
+		const m = this.getModule(module, modelId);
+		const data = sevenEightCoder.decode(this.splitRaw(presetRaw).content);
+		if (data.length < m.offset + m.length) {
+			throw new Error(`Preset data is too short to contain the ${m.name} module.`);
+		}
+		const content = sevenEightCoder.encode(data.slice(m.offset, m.offset + m.length));
+		return [
+			(content.length >> 7) & 0x7F,
+			content.length & 0x7F,
+			...content,
+		];
+	}
+
+	/// Replace one processing module in a preset.
+	/**
+	 * @param Array presetRaw
+	 *   Raw preset data, see splitRaw().
+	 *
+	 * @param Array moduleRaw
+	 *   Module data as returned by extractModule().
+	 *
+	 * @param String|Number module
+	 *   Module name or ID, see getModule().
+	 *
+	 * @return Array of bytes, the new preset data with the title unchanged.
+	 */
+	static replaceModule(presetRaw, moduleRaw, module, modelId = util.models.deq2496)
+	{
+		const m = this.getModule(module, modelId);
+		const raw = this.splitRaw(presetRaw);
+		let data = sevenEightCoder.decode(raw.content);
+
+		const length = (moduleRaw[0] << 7) | moduleRaw[1];
+		const moduleData = sevenEightCoder.decode(moduleRaw.slice(2, 2 + length));
+		if (moduleData.length < m.length) {
+			throw new Error(`Data for the ${m.name} module is too short, got `
+				+ `${moduleData.length} bytes but expected ${m.length}.`);
+		}
+		for (let i = 0; i < m.length; i++) {
+			data[m.offset + i] = moduleData[i];
+		}
+
+		const content = sevenEightCoder.encode(data);
+		return [
+			(content.length >> 7) & 0x7F,
+			content.length & 0x7F,
+			...content,
+			...Buffer.from(raw.title, 'ascii'),
+		];
+	}
+
+	/// Calculate the checksum stored in a preset bank.
+	/**
+	 * The titles are left out, as the DEQ2496 cuts them short when reading a
+	 * preset, so they may need correcting by hand after an export.  Only the
+	 * data that comes back unchanged after writing the presets and reading
+	 * them out again is covered.
+	 */
+	static bankChecksum(bank)
+	{
+		const hash = crypto.createHash('sha256');
+		hash.update(JSON.stringify([
+			bank.modelId,
+			bank.presets.map(p => [p.index, p.content]),
+		]));
+		return 'sha256:' + hash.digest('hex');
+	}
+
+	/// Combine a set of presets into a single bank object.
+	/**
+	 * @param Array presets
+	 *   Array of `{index, presetRaw}`, as returned by `Behringer.readPreset()`.
+	 *   A `title` of up to 16 characters can also be given, to replace the one
+	 *   in `presetRaw`, which the DEQ2496 cuts short when reading a preset.
+	 *
+	 * @param Object info
+	 *   `modelId` and `modelName` of the device the presets came from, and
+	 *   optionally `firmware` (the version, as the device doesn't report it).
+	 *
+	 * @return Object, ready to save with JSON.stringify().
+	 */
+	static createBank(presets, info)
+	{
+		// Banks can be made for models without a known layout, they just don't
+		// get their titles checked.
+		const layout = layouts[info.modelId];
+		let bank = {
+			format: BANK_FORMAT,
+			version: BANK_VERSION,
+			modelId: info.modelId,
+			modelName: info.modelName,
+			firmware: info.firmware || null,
+			exported: (info.exported || new Date()).toISOString(),
+			presets: presets.map(p => {
+				const raw = this.splitRaw(p.presetRaw);
+				const title = (p.title === undefined) ? raw.title : p.title;
+				if (layout && (title.length > layout.titleLength)) {
+					throw new Error(`Title for preset ${p.index} is longer than `
+						+ `${layout.titleLength} characters.`);
+				}
+				return {
+					index: p.index,
+					title: title,
+					content: Buffer.from(raw.content).toString('hex'),
+				};
+			}),
+		};
+		bank.checksum = this.bankChecksum(bank);
+		return bank;
+	}
+
+	/// Extract the presets from a bank object.
+	/**
+	 * @param Object bank
+	 *   Object produced by createBank(), e.g. loaded with JSON.parse().
+	 *
+	 * @param boolean ignoreChecksum
+	 *   If true, don't throw an exception if the checksum is wrong, such as
+	 *   after the preset content has been edited by hand.  Editing the titles
+	 *   doesn't affect the checksum.
+	 *
+	 * @return Array of `{index, title, presetRaw}` where `presetRaw` can be
+	 *   passed to `Behringer.writePreset()`.
+	 */
+	static readBank(bank, ignoreChecksum = false)
+	{
+		if (!bank || (bank.format !== BANK_FORMAT)) {
+			throw new Error('Not a preset bank file.');
+		}
+		if (bank.version > BANK_VERSION) {
+			throw new Error(`Preset bank is version ${bank.version}, but only `
+				+ `version ${BANK_VERSION} and earlier are supported.`);
+		}
+		if (!ignoreChecksum && (bank.checksum !== this.bankChecksum(bank))) {
+			throw new Error('Preset bank checksum is incorrect, the file has been '
+				+ 'modified or is damaged.');
+		}
+
+		return bank.presets.map(p => {
+			const content = Buffer.from(p.content, 'hex');
+			const title = Buffer.from(p.title || '', 'ascii');
+			return {
+				index: p.index,
+				title: p.title,
+				presetRaw: [
+					(content.length >> 7) & 0x7F,
+					content.length & 0x7F,
+					...content,
+					...title,
+				],
+			};
+		});
+	}
+
+	/// Extract the presets from a SysEx dump.
+	/**
+	 * @param Buffer binMIDI
+	 *   Raw MIDI data (*.syx) or a Standard MIDI File (*.mid) holding
+	 *   `writeSinglePreset` SysEx events, as sent by the device when its
+	 *   presets are dumped, e.g. saved by another editor.  Like every reply
+	 *   from the device, each event ends with seven extra bytes.
+	 *
+	 * @return Object `{presets, errors}`.  `presets` is an array of
+	 *   `{index, modelId, presetRaw}` in the order they appear in the file,
+	 *   where `presetRaw` can be passed to `Behringer.writePreset()`.  Other
+	 *   events are ignored.  `errors` lists any damaged MIDI data that was
+	 *   skipped, as returned by `midiData.processMIDI()`.
+	 */
+	static readSysEx(binMIDI)
+	{
+		let presets = [];
+		const errors = midiData.processMIDI(midiData.toRawMIDI(binMIDI), event => {
+			const eventInfo = midiData.parseSysEx(event);
+			if (!eventInfo) return;
+			if (eventInfo.command !== util.commands.writeSinglePreset) return;
+			// Drop the trailer, so the preset is the same as readPreset() returns.
+			const data = eventInfo.binData.slice(0, -REPLY_TRAILER_LENGTH);
+			if (data.length < 3) return;
+			presets.push({
+				index: data[0],
+				modelId: eventInfo.modelId,
+				presetRaw: Array.from(data.slice(1)),
+			});
+		});
+		return {
+			presets: presets,
+			errors: errors,
+		};
+	}
+
+	/// Get the value of a field from a decoded preset.
+	/**
+	 * @return The value, or undefined if the preset doesn't have the field.
+	 */
+	static getValue(preset, field)
+	{
+		let target = preset;
+		for (const key of field.path) {
+			if ((target === undefined) || (target === null)) return undefined;
+			target = target[key];
+		}
+		return target;
+	}
+
+	/// Convert a field value into text for display.
+	static formatValue(field, value)
+	{
+		if (value === undefined) return '(unset)';
+		switch (field.type) {
+			case 'bool':
+				return value ? 'on' : 'off';
+			case 'enum':
+				return '' + value;
+			default:
+				return value.toFixed(decimals(field.scale))
+					+ (field.units ? ' ' + field.units : '');
+		}
+	}
+};
+
+module.exports = BehringerPreset;
@@ -0,0 +1,531 @@
+/**
+ * Behringer device control library, screenshot component.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('behringerctl:screenshot');
+const PNG = require('pngjs').PNG;
+const zlib = require('zlib');
+
+const crc32 = require('./algo/crc32.js');
+const lzwGIF = require('./algo/lzwGIF.js');
+const util = require('./util.js');
+
+// LCD fonts, by MIDI model number.
+const fonts = {
+	[util.models.deq2496]: require('./device/deq2496font.js'),
+};
+
+/// Accessed through `index.js` as `Behringer.screenshot`
+class BehringerScreenshot
+{
+	/// Convert a colour into an `[r, g, b]` array.
+	/**
+	 * @param String|Array colour
+	 *   Colour as `#RRGGBB`, `RRGGBB`, `#RGB` or an `[r, g, b]` array with
+	 *   each value from 0 to 255.
+	 *
+	 * @return Array `[r, g, b]`.
+	 */
+	static parseColour(colour)
+	{
+		if (Array.isArray(colour)) {
+			if ((colour.length !== 3) || colour.some(c => !(c >= 0 && c <= 255))) {
+				throw new Error(`Invalid colour: ${colour}`);
+			}
+			return colour;
+		}
+
+		let hex = String(colour).replace(/^#/, '');
+		if (/^[0-9a-f]{3}$/i.test(hex)) {
+			hex = hex.split('').map(c => c + c).join('');
+		}
+		if (!/^[0-9a-f]{6}$/i.test(hex)) {
+			throw new Error(`Invalid colour "${colour}", must be in the form #RRGGBB.`);
+		}
+		return [
+			parseInt(hex.substr(0, 2), 16),
+			parseInt(hex.substr(2, 2), 16),
+			parseInt(hex.substr(4, 2), 16),
+		];
+	}
+
+	/// Enlarge a screenshot into one byte per output pixel.
+	/**
+	 * @return Object `{width, height, indices}` where `indices` is a Buffer
+	 *   holding 1 for each lit pixel and 0 for unlit, one row after another.
+	 */
+	static scalePixels(screenshot, scale = 1)
+	{
+		if (!Number.isInteger(scale) || (scale < 1)) {
+			throw new Error(`Scale must be a whole number of 1 or more, not ${scale}.`);
+		}
+		const width = screenshot.width * scale;
+		const height = screenshot.height * scale;
+		let indices = Buffer.alloc(width * height);
+		for (let y = 0; y < height; y++) {
+			// Missing pixels (such as the end of the last row, which the DEQ2496
+			// doesn't send) are left as off.
+			const row = screenshot.pixels[(y / scale) >>> 0] || [];
+			for (let x = 0; x < width; x++) {
+				if (row[(x / scale) >>> 0]) indices[y * width + x] = 1;
+			}
+		}
+		return {
+			width: width,
+			height: height,
+			indices: indices,
+		};
+	}
+
+	/// Merge repeated frames and work out how long each one is shown.
+	/**
+	 * @param Array frames
+	 *   `[{screenshot, time}, ...]` where `time` is in milliseconds since the
+	 *   recording started.
+	 *
+	 * @param Number endTime
+	 *   Time the recording stopped, which is when the last frame stops being
+	 *   shown.
+	 *
+	 * @return Array `[{screenshot, time, delay}, ...]` where `delay` is how many
+	 *   milliseconds the frame is shown for.
+	 */
+	static timeFrames(frames, endTime)
+	{
+		let out = [];
+		for (const f of frames) {
+			const prev = out[out.length - 1];
+			if (prev && (JSON.stringify(prev.screenshot.pixels) === JSON.stringify(f.screenshot.pixels))) {
+				continue;
+			}
+			out.push({
+				screenshot: f.screenshot,
+				time: f.time,
+			});
+		}
+		for (let i = 0; i < out.length; i++) {
+			const next = (i + 1 < out.length) ? out[i + 1].time : endTime;
+			out[i].delay = Math.max(0, next - out[i].time);
+		}
+		return out;
+	}
+
+	/// Get the `[off, on]` colours from the options passed to toPNG().
+	static getPalette(options = {})
+	{
+		return [
+			this.parseColour(options.off || '#FFFFFF'),
+			this.parseColour(options.on || '#000000'),
+		];
+	}
+
+	/// Convert a screenshot into a PNG image.
+	/**
+	 * @param Object screenshot
+	 *   Screenshot as returned by `Behringer.getScreenshot()`.  Only `width`,
+	 *   `height` and `pixels` are used.  Missing pixels (such as the end of
+	 *   the last row, which the DEQ2496 doesn't send) are drawn as off.
+	 *
+	 * @param Object options
+	 *   `scale`: Integer, each LCD pixel becomes a square this many pixels
+	 *     across.  Defaults to 1.
+	 *   `on`: Colour of lit pixels, see parseColour().  Defaults to black.
+	 *   `off`: Colour of unlit pixels.  Defaults to white.
+	 *
+	 * @return Buffer holding the .png file content.
+	 */
+	static toPNG(screenshot, options = {})
+	{
+		const palette = this.getPalette(options);
+		const image = this.scalePixels(screenshot, options.scale);
+
+		let png = new PNG({
+			width: image.width,
+			height: image.height,
+		});
+		for (let i = 0; i < image.indices.length; i++) {
+			const colour = palette[image.indices[i]];
+			png.data[(i << 2) + 0] = colour[0];
+			png.data[(i << 2) + 1] = colour[1];
+			png.data[(i << 2) + 2] = colour[2];
+			png.data[(i << 2) + 3] = 0xFF;
+		}
+		debug(`Converted ${screenshot.width}x${screenshot.height} screenshot to `
+			+ `${png.width}x${png.height} PNG`);
+
+		// Drop the unused alpha channel to keep the file small.
+		return PNG.sync.write(png, { colorType: 2 });
+	}
+
+	/// Get the glyph atlas for the text on a device's screen.
+	/**
+	 * @param Number modelId
+	 *   MIDI model number.  Defaults to the DEQ2496.
+	 *
+	 * @return Object, see device/deq2496font.js.
+	 */
+	static getFont(modelId = util.models.deq2496)
+	{
+		const font = fonts[modelId];
+		if (!font) {
+			throw new Error(`Text is not supported for model ${util.getModelName(modelId)}`);
+		}
+		return font;
+	}
+
+	/// Draw text into an array of pixel rows.
+	/**
+	 * @param Array pixels
+	 *   Rows of pixels to change, such as the `pixels` from getScreenshot().
+	 *
+	 * @param Number x
+	 *   Left edge of the first character cell.
+	 *
+	 * @param Number y
+	 *   Top edge of the character cells.
+	 *
+	 * @param String text
+	 *   Text to draw.  Characters missing from the font are drawn as spaces.
+	 *
+	 * @param Object options
+	 *   `font`: Glyph atlas, defaults to getFont().
+	 *   `inverted`: If true, draw unlit text on a lit background.
+	 *   `on`: Value for lit pixels, defaults to 255.
+	 *
+	 * @return None.
+	 */
+	static drawText(pixels, x, y, text, options = {})
+	{
+		const font = options.font || this.getFont();
+		const on = (options.on === undefined) ? 255 : options.on;
+		for (let i = 0; i < text.length; i++) {
+			const glyph = font.glyphs[text[i]] || [];
+			for (let gx = 0; gx < font.cellWidth; gx++) {
+				const column = glyph[gx] || 0;
+				for (let gy = 0; gy < font.cellHeight; gy++) {
+					const row = pixels[y + gy];
+					const px = x + i * font.cellWidth + gx;
+					if (!row || (px >= row.length)) continue;
+					const lit = !!((column >> gy) & 1) !== !!options.inverted;
+					row[px] = lit ? on : 0;
+				}
+			}
+		}
+	}
+
+	/// Read the text shown in a screenshot.
+	/**
+	 * The screen is split into character cells, and each cell is matched
+	 * against every glyph in the font, both as normal and inverted (unlit text
+	 * on a lit background, as used to highlight menu items).  Cells holding
+	 * graphics or anything else that doesn't exactly match a glyph are treated
+	 * as unknown.
+	 *
+	 * @param Object screenshot
+	 *   Screenshot as returned by `Behringer.getScreenshot()`.
+	 *
+	 * @param Object options
+	 *   `font`: Glyph atlas, defaults to getFont() for the screenshot's model.
+	 *   `originX`, `originY`: Pixel position of the top-left cell.  By default
+	 *     the grid position that recognises the most characters is used.
+	 *   `unknown`: Character used in `lines` for cells that don't match a
+	 *     glyph.  Defaults to U+2591 (light shade).
+	 *
+	 * @return Object `{originX, originY, lines, items}`.  `lines` is an array
+	 *   of strings, one per row of cells.  `items` lists each run of recognised
+	 *   characters as `{row, column, x, y, text, inverted}`, where `row` and
+	 *   `column` are in cells and `x` and `y` in pixels, with leading and
+	 *   trailing spaces removed.
+	 */
+	static extractText(screenshot, options = {})
+	{
+		const font = options.font || this.getFont(screenshot.modelId);
+		const unknown = (options.unknown === undefined) ? '\u2591' : options.unknown;
+
+		// Look up glyphs by the bitmap of the whole cell.
+		let glyphMap = new Map();
+		const mask = (1 << font.cellHeight) - 1;
+		for (const [c, glyph] of Object.entries(font.glyphs)) {
+			let normal = [], inverted = [];
+			for (let gx = 0; gx < font.cellWidth; gx++) {
+				const column = (glyph[gx] || 0) & mask;
+				normal.push(column);
+				inverted.push(column ^ mask);
+			}
+			if (!glyphMap.has(normal.join())) glyphMap.set(normal.join(), { c, inverted: false });
+			if (!glyphMap.has(inverted.join())) glyphMap.set(inverted.join(), { c, inverted: true });
+		}
+
+		function readCells(originX, originY)
+		{
+			let rows = [];
+			for (let y = originY; y + font.cellHeight <= screenshot.height; y += font.cellHeight) {
+				let cells = [];
+				for (let x = originX; x + font.cellWidth <= screenshot.width; x += font.cellWidth) {
+					let key = [];
+					for (let gx = 0; gx < font.cellWidth; gx++) {
+						let column = 0;
+						for (let gy = 0; gy < font.cellHeight; gy++) {
+							const row = screenshot.pixels[y + gy] || [];
+							if (row[x + gx]) column |= 1 << gy;
+						}
+						key.push(column);
+					}
+					cells.push(glyphMap.get(key.join()) || null);
+				}
+				rows.push(cells);
+			}
+			return rows;
+		}
+
+		let originX = options.originX, originY = options.originY;
+		let cells;
+		if ((originX === undefined) || (originY === undefined)) {
+			// Try every grid position, and keep the one that finds the most text.
+			const fixedX = originX, fixedY = originY;
+			let best = -1;
+			for (let oy = 0; oy < font.cellHeight; oy++) {
+				if ((fixedY !== undefined) && (oy !== fixedY)) continue;
+				for (let ox = 0; ox < font.cellWidth; ox++) {
+					if ((fixedX !== undefined) && (ox !== fixedX)) continue;
+					const attempt = readCells(ox, oy);
+					let score = 0;
+					for (const row of attempt) {
+						for (const cell of row) {
+							// Blank areas match spaces at any position, so don't count them.
+							if (cell && (cell.c !== ' ')) score++;
+						}
+					}
+					if (score > best) {
+						best = score;
+						cells = attempt;
+						originX = ox;
+						originY = oy;
+					}
+				}
+			}
+			debug(`Text grid starts at ${originX},${originY} with ${best} characters`);
+		} else {
+			cells = readCells(originX, originY);
+		}
+
+		let lines = [], items = [];
+		cells.forEach((row, r) => {
+			lines.push(row.map(cell => (cell ? cell.c : unknown)).join(''));
+
+			let run = null;
+			const endRun = () => {
+				if (!run) return;
+				const trimmed = run.text.replace(/^ +/, '');
+				const skip = run.text.length - trimmed.length;
+				const text = trimmed.replace(/ +$/, '');
+				if (text.length) {
+					const column = run.column + skip;
+					items.push({
+						row: r,
+						column: column,
+						x: originX + column * font.cellWidth,
+						y: originY + r * font.cellHeight,
+						text: text,
+						inverted: run.inverted,
+					});
+				}
+				run = null;
+			};
+			row.forEach((cell, col) => {
+				if (!cell || (run && (run.inverted !== cell.inverted))) endRun();
+				if (!cell) return;
+				if (!run) run = { column: col, text: '', inverted: cell.inverted };
+				run.text += cell.c;
+			});
+			endRun();
+		});
+
+		return {
+			originX: originX,
+			originY: originY,
+			lines: lines,
+			items: items,
+		};
+	}
+
+	/// Convert a series of screenshots into an animated GIF.
+	/**
+	 * @param Array frames
+	 *   `[{screenshot, delay}, ...]` as returned by timeFrames(), with the
+	 *   `delay` in milliseconds.
+	 *
+	 * @param Object options
+	 *   Scale and colours, see toPNG().
+	 *
+	 * @return Buffer holding the .gif file content.
+	 */
+	static toGIF(frames, options = {})
+	{
+		if (!frames.length) throw new Error('No frames to save.');
+		const palette = this.getPalette(options);
+
+		let images = frames.map(f => this.scalePixels(f.screenshot, options.scale));
+		const width = images[0].width;
+		const height = images[0].height;
+
+		let out = [
+			...Buffer.from('GIF89a', 'ascii'),
+			width & 0xFF, width >> 8,
+			height & 0xFF, height >> 8,
+			0x80, // global colour table of two entries
+			0, // background colour
+			0, // pixel aspect ratio
+			...palette[0],
+			...palette[1],
+			// Loop forever
+			0x21, 0xFF, 0x0B,
+			...Buffer.from('NETSCAPE2.0', 'ascii'),
+			0x03, 0x01, 0x00, 0x00,
+			0x00,
+		];
+
+		// GIF delays are in 1/100 sec, so round the time each frame starts at
+		// rather than each delay, to stop rounding errors adding up.
+		let time = 0;
+		for (let i = 0; i < frames.length; i++) {
+			const delay = Math.min(0xFFFF,
+				Math.round((time + frames[i].delay) / 10) - Math.round(time / 10));
+			time += frames[i].delay;
+
+			out.push(
+				// Graphic control extension
+				0x21, 0xF9, 0x04,
+				0x00,
+				delay & 0xFF, delay >> 8,
+				0x00,
+				0x00,
+				// Image descriptor
+				0x2C,
+				0, 0, 0, 0,
+				width & 0xFF, width >> 8,
+				height & 0xFF, height >> 8,
+				0x00,
+			);
+
+			const minCodeSize = 2;
+			const data = lzwGIF(minCodeSize, images[i].indices);
+			out.push(minCodeSize);
+			for (let j = 0; j < data.length; j += 255) {
+				const len = Math.min(255, data.length - j);
+				out.push(len);
+				for (let k = 0; k < len; k++) out.push(data[j + k]);
+			}
+			out.push(0x00);
+		}
+		out.push(0x3B);
+
+		return Buffer.from(out);
+	}
+
+	/// Convert a series of screenshots into an animated PNG (APNG).
+	/**
+	 * Unlike GIF, APNG can store the frame timing to the millisecond.
+	 *
+	 * @param Array frames
+	 *   `[{screenshot, delay}, ...]` as returned by timeFrames(), with the
+	 *   `delay` in milliseconds.
+	 *
+	 * @param Object options
+	 *   Scale and colours, see toPNG().
+	 *
+	 * @return Buffer holding the .png file content.
+	 */
+	static toAPNG(frames, options = {})
+	{
+		if (!frames.length) throw new Error('No frames to save.');
+		const palette = this.getPalette(options);
+
+		function chunk(type, data)
+		{
+			let header = Buffer.alloc(8);
+			header.writeUInt32BE(data.length, 0);
+			header.write(type, 4, 'ascii');
+			let crc = Buffer.alloc(4);
+			crc.writeUInt32BE(crc32(Buffer.concat([header.slice(4), data])), 0);
+			return Buffer.concat([header, data, crc]);
+		}
+
+		let images = frames.map(f => this.scalePixels(f.screenshot, options.scale));
+		const width = images[0].width;
+		const height = images[0].height;
+
+		let ihdr = Buffer.alloc(13);
+		ihdr.writeUInt32BE(width, 0);
+		ihdr.writeUInt32BE(height, 4);
+		ihdr[8] = 8; // bit depth
+		ihdr[9] = 3; // palette
+		let actl = Buffer.alloc(8);
+		actl.writeUInt32BE(frames.length, 0);
+		actl.writeUInt32BE(0, 4); // loop forever
+
+		let out = [
+			Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+			chunk('IHDR', ihdr),
+			chunk('acTL', actl),
+			chunk('PLTE', Buffer.from([...palette[0], ...palette[1]])),
+		];
+
+		let sequence = 0;
+		for (let i = 0; i < frames.length; i++) {
+			// Delays over 65.535 seconds are stored in 1/100 sec instead.
+			let delayNum = frames[i].delay, delayDen = 1000;
+			if (delayNum > 0xFFFF) {
+				delayNum = Math.min(0xFFFF, Math.round(delayNum / 10));
+				delayDen = 100;
+			}
+			let fctl = Buffer.alloc(26);
+			fctl.writeUInt32BE(sequence++, 0);
+			fctl.writeUInt32BE(width, 4);
+			fctl.writeUInt32BE(height, 8);
+			fctl.writeUInt32BE(0, 12); // x
+			fctl.writeUInt32BE(0, 16); // y
+			fctl.writeUInt16BE(delayNum, 20);
+			fctl.writeUInt16BE(delayDen, 22);
+			fctl[24] = 0; // dispose: none
+			fctl[25] = 0; // blend: replace
+			out.push(chunk('fcTL', fctl));
+
+			// Each row starts with filter type 0 (none).
+			let raw = Buffer.alloc((width + 1) * height);
+			for (let y = 0; y < height; y++) {
+				images[i].indices.copy(raw, y * (width + 1) + 1, y * width, (y + 1) * width);
+			}
+			const data = zlib.deflateSync(raw);
+
+			if (i === 0) {
+				// The first frame is also the image shown by normal PNG viewers.
+				out.push(chunk('IDAT', data));
+			} else {
+				let seq = Buffer.alloc(4);
+				seq.writeUInt32BE(sequence++, 0);
+				out.push(chunk('fdAT', Buffer.concat([seq, data])));
+			}
+		}
+		out.push(chunk('IEND', Buffer.alloc(0)));
+
+		return Buffer.concat(out);
+	}
+};
+
+module.exports = BehringerScreenshot;
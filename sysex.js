@@ -0,0 +1,318 @@
+/**
+ * Behringer device control library, SysEx decoding component.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('behringerctl:sysex');
+
+const checksumTZ = require('./algo/checksumTZ.js');
+const device = require('./device/index.js');
+const BehringerPreset = require('./preset.js');
+const util = require('./util.js');
+
+const SYSEX_COMPANY_ID_BEHRINGER = 0x002032;
+
+// Number of unknown bytes the devices add to the end of every reply.
+const REPLY_TRAILER_LENGTH = 7;
+
+// Payload fields that are easier to read in hex.
+const HEX_FIELDS = ['subblock', 'block', 'address', 'checksum'];
+
+// Names of MIDI channel messages, by the upper four bits of the status byte.
+const CHANNEL_MESSAGES = {
+	0x80: 'Note off',
+	0x90: 'Note on',
+	0xA0: 'Aftertouch',
+	0xB0: 'CC',
+	0xC0: 'Program change',
+	0xD0: 'Channel pressure',
+	0xE0: 'Pitch bend',
+};
+
+/// Accessed through `index.js` as `Behringer.sysex`
+class BehringerSysEx
+{
+	/// Work out what a MIDI message is, for display to the user.
+	/**
+	 * @param Array message
+	 *   Raw MIDI message.  SysEx events should include the leading 0xF0 and
+	 *   may include the trailing 0xF7.
+	 *
+	 * @param String direction
+	 *   `out` for messages sent to a device, or `in` for replies from a
+	 *   device, which carry extra bytes at the end that are not part of the
+	 *   data.
+	 *
+	 * @param Object options
+	 *   `deviceName`: Device model, e.g. `DEQ2496v2`, for decoding commands
+	 *   that differ between models sharing a MIDI model number.
+	 *
+	 * @return Object, with at least `summary` (a one line description) and
+	 *   `behringer` (true if it is a Behringer SysEx event).  Behringer events
+	 *   also have `deviceId`, `modelId`, `modelName`, `command`, `commandName`,
+	 *   `data` (the payload) and `details`, an object holding the decoded
+	 *   payload for known commands.
+	 */
+	static describe(message, direction = 'out', options = {})
+	{
+		const status = message[0];
+		if (status !== 0xF0) {
+			return {
+				behringer: false,
+				summary: this.describeOther(message),
+			};
+		}
+
+		const companyId = (message[1] << 16) | (message[2] << 8) | message[3];
+		if ((companyId !== SYSEX_COMPANY_ID_BEHRINGER) || (message.length < 7)) {
+			return {
+				behringer: false,
+				companyId: companyId,
+				summary: `SysEx for company 0x${companyId.toString(16).padStart(6, '0')}, `
+					+ `${message.length} bytes`,
+			};
+		}
+
+		let end = message.length;
+		if (message[end - 1] === 0xF7) end--;
+		if (direction === 'in') end = Math.max(7, end - REPLY_TRAILER_LENGTH);
+
+		let info = {
+			behringer: true,
+			companyId: companyId,
+			deviceId: message[4],
+			modelId: message[5],
+			modelName: util.getModelName(message[5]),
+			command: message[6],
+			commandName: util.getCommandName(message[6]),
+			data: Array.from(message.slice(7, end)),
+		};
+
+		try {
+			info.details = this.decodePayload(info.modelId, info.command, info.data,
+				options.deviceName);
+		} catch (e) {
+			debug(`Unable to decode ${info.commandName}: ${e.message}`);
+			info.details = { error: e.message };
+		}
+
+		const details = this.formatDetails(info.details);
+		info.summary = `${info.modelName}@${info.deviceId} ${info.commandName} `
+			+ `[${info.data.length} bytes]` + (details ? ' ' + details : '');
+
+		return info;
+	}
+
+	/// Convert the `details` returned by describe() into `key=value` text.
+	static formatDetails(details)
+	{
+		return Object.keys(details).map(k => {
+			const v = details[k];
+			if (HEX_FIELDS.includes(k)) return `${k}=0x${v.toString(16)}`;
+			return `${k}=${JSON.stringify(v)}`;
+		}).join(' ');
+	}
+
+	/// Describe a message that isn't a Behringer SysEx event.
+	static describeOther(message)
+	{
+		const status = message[0];
+		if (status >= 0xF8) {
+			return `Realtime 0x${status.toString(16)}`;
+		}
+		if ((status & 0x80) && (status < 0xF0)) {
+			const type = CHANNEL_MESSAGES[status & 0xF0];
+			const channel = (status & 0x0F) + 1;
+			return `${type} on channel ${channel}: `
+				+ Array.from(message.slice(1)).join(', ');
+		}
+		return `MIDI message 0x${Buffer.from(message).toString('hex')}`;
+	}
+
+	/// Decode the payload of a known command.
+	/**
+	 * @return Object with the decoded fields, empty if there are none or the
+	 *   command is unknown.
+	 *
+	 * @throw Error if the payload is malformed.
+	 */
+	static decodePayload(modelId, command, data, deviceName)
+	{
+		// Messages sent to any model are decoded as if they were for the default
+		// one, currently the only model with a known preset layout.
+		const layoutModelId = (modelId === util.models.ANY) ? undefined : modelId;
+
+		switch (command) {
+			case util.commands.identifyResponse:
+				return {
+					modelName: Buffer.from(data).toString('ascii'),
+				};
+
+			case util.commands.readSinglePreset:
+				return {
+					index: data[0],
+				};
+
+			case util.commands.writeSinglePreset: {
+				const raw = BehringerPreset.splitRaw(data.slice(1));
+				return {
+					index: data[0],
+					length: raw.content.length,
+					title: raw.title,
+				};
+			}
+
+			case util.commands.readModulePreset:
+				return {
+					index: data[0],
+					module: this.getModuleName(layoutModelId, data[1]),
+				};
+
+			case util.commands.writeModulePresets:
+				return {
+					index: data[0],
+					module: this.getModuleName(layoutModelId, data[1]),
+					length: (data[2] << 7) | data[3],
+				};
+
+			case util.commands.writeSingleValue: {
+				const moduleId = data[0];
+				const paramId = (data[1] << 7) | data[2];
+				const raw = (data[3] << 14) | (data[4] << 7) | data[5];
+				let details = {
+					module: this.getModuleName(layoutModelId, moduleId),
+					paramId: paramId,
+					raw: raw,
+				};
+				try {
+					const field = BehringerPreset.getLayout(layoutModelId).fields.find(
+						f => (f.moduleId === moduleId) && (f.paramId === paramId)
+					);
+					if (field) {
+						details.param = field.name;
+						details.value = BehringerPreset.decodeValue(field, raw);
+					}
+				} catch (e) {
+					// No layout for this model
+				}
+				return details;
+			}
+
+			case util.commands.setMIDIChannel:
+				return {
+					channel: data[0] + 1,
+				};
+
+			case util.commands.writeFlash:
+				return this.decodeFlashWrite(modelId, data, deviceName);
+
+			case util.commands.screenshotResponse:
+				return {
+					pixels: data.length * 7,
+				};
+
+			default:
+				return {};
+		}
+	}
+
+	/// Get the name of a preset module, or its number if it's unknown.
+	static getModuleName(modelId, moduleId)
+	{
+		try {
+			return BehringerPreset.getModule(moduleId, modelId).name;
+		} catch (e) {
+			return moduleId;
+		}
+	}
+
+	/// Decode a `writeFlash(0x34)` payload.
+	/**
+	 * @param Number modelId
+	 *   MIDI model number the message was sent to.
+	 *
+	 * @param Array data
+	 *   Message payload.
+	 *
+	 * @param String deviceName
+	 *   Optional device model, e.g. `DEQ2496v2`.  If omitted, every model using
+	 *   `modelId` (or every model at all, for `ANY`) is tried.
+	 *
+	 * @return Object `{message}` for LCD messages, otherwise `{subblock,
+	 *   block, address, checksum, checksumValid}`.  `block` is the 4 kB flash
+	 *   block and `address` the flash offset the data is written to.  If the
+	 *   candidate models decode the data differently (such as LCD messages,
+	 *   which the DEQ2496v1 and v2 encrypt with different keys), the result is
+	 *   `{byModel: {DEQ2496v1: {...}, DEQ2496v2: {...}}}` instead.
+	 */
+	static decodeFlashWrite(modelId, data, deviceName)
+	{
+		let candidates;
+		if (deviceName) {
+			if (!device[deviceName]) {
+				throw new Error(`Unknown device model: ${deviceName}`);
+			}
+			candidates = [deviceName];
+		} else {
+			candidates = Object.keys(device).filter(d => (
+				(modelId === util.models.ANY) || (device[d].modelId === modelId)
+			));
+		}
+		if (!candidates.length) {
+			throw new Error(`Flash writes are not supported for model ${util.getModelName(modelId)}`);
+		}
+
+		let results = {};
+		let lastError;
+		for (const name of candidates) {
+			let fwBlock;
+			try {
+				fwBlock = device[name].getFirmwareDecoder().addMIDIWrite({
+					command: util.commands.writeFlash,
+					binData: data,
+				});
+			} catch (e) {
+				lastError = e;
+				continue;
+			}
+			if (fwBlock.message !== undefined) {
+				results[name] = {
+					message: fwBlock.message,
+				};
+			} else {
+				results[name] = {
+					subblock: fwBlock.blockNumber,
+					block: fwBlock.blockNumber >> 4,
+					address: fwBlock.blockNumber << 8,
+					checksum: fwBlock.crc,
+					checksumValid: checksumTZ(fwBlock.binData) === fwBlock.crc,
+				};
+			}
+		}
+
+		const decoded = Object.values(results);
+		if (!decoded.length) throw lastError;
+		if (decoded.every(r => JSON.stringify(r) === JSON.stringify(decoded[0]))) {
+			return decoded[0];
+		}
+		return {
+			byModel: results,
+		};
+	}
+};
+
+module.exports = BehringerSysEx;
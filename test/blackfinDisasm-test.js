@@ -0,0 +1,91 @@
+const assert = require('assert');
+
+const blackfinDisasm = require('../algo/blackfinDisasm.js');
+
+/// Convert a list of 16-bit instruction words into bytes.
+function words(list)
+{
+	let data = Buffer.alloc(list.length * 2);
+	list.forEach((w, i) => data.writeUInt16LE(w, i * 2));
+	return data;
+}
+
+describe('Blackfin disassembler', () => {
+
+	function decode(list, pc = 0xFFA08000) {
+		return blackfinDisasm.decode(words(list), 0, pc);
+	}
+
+	it('must decode 16-bit instructions', () => {
+		assert.equal(decode([0x0000]).text, 'NOP;');
+		assert.equal(decode([0x0010]).text, 'RTS;');
+		assert.equal(decode([0x0167]).text, '[--SP] = RETS;');
+		assert.equal(decode([0x05EC]).text, '[--SP] = (R7:5, P5:4);');
+		assert.equal(decode([0x6008]).text, 'R0 = 0x1 (X);');
+		assert.equal(decode([0x5081]).text, 'R2 = R1 + R0;');
+		assert.equal(decode([0xA088]).text, 'R0 = [P1 + 0x8];');
+		assert.equal(decode([0xB9F0]).text, 'R0 = [FP - 0x4];');
+		assert.equal(decode([0x0C42]).text, 'CC = P2 == 0x0;');
+		assert.equal(decode([0x1BFE]).text, 'IF CC JUMP 0xffa07ffc;');
+		assert.equal(decode([0x2FFE]).length, 2);
+	});
+
+	it('must decode 32-bit instructions', () => {
+		assert.equal(decode([0xE800, 0x0003]).text, 'LINK 0xc;');
+		assert.equal(decode([0xE148, 0xFFA0]).text, 'P0.H = 0xffa0;');
+		assert.equal(decode([0xE3FF, 0xFFFE]).text, 'CALL 0xffa07ffc;');
+		assert.equal(decode([0xE080, 0x1002], 0x1000).text, 'LSETUP (0x1000, 0x1004) LC0;');
+		assert.equal(decode([0xC404, 0x0011]).text, 'R0 = R2 + R1 (NS);');
+		assert.equal(decode([0xC682, 0x01F8]).text, 'R0 = R0 >>> 0x1;');
+		assert.equal(decode([0xE800, 0x0003]).length, 4);
+	});
+
+	it('must decode parallel instructions', () => {
+		const insn = decode([0xC803, 0x1800, 0x9110, 0x0000]);
+		assert.equal(insn.text, 'MNOP || R0 = [P2] || NOP;');
+		assert.equal(insn.length, 8);
+	});
+
+	it('must show unknown and illegal instructions as data', () => {
+		const illegal = decode([0x0006]);
+		assert.equal(illegal.known, false);
+		assert.equal(illegal.length, 2);
+
+		const truncated = decode([0xE800]);
+		assert.equal(truncated.known, false);
+		assert.equal(truncated.text, '.word 0xe800');
+	});
+
+	it('must show known data and annotate string addresses', () => {
+		let data = Buffer.concat([
+			words([
+				0xE108, 0x000C, // P0.L = 0xc
+				0xE148, 0x0040, // P0.H = 0x40
+				0x0010, // RTS
+				0x0000, // NOP
+			]),
+			Buffer.from('hello\u0000'),
+		]);
+		const lines = blackfinDisasm.disassemble(data, 0x400000, {
+			known: [{ offset: 0x0C, length: 5, title: 'Greeting' }],
+			strings: { 0x40000C: 'hello' },
+		});
+
+		assert.equal(lines.length, 6);
+		assert.equal(lines[0].comment, undefined);
+		assert.equal(lines[1].text, 'P0.H = 0x40;');
+		assert.equal(lines[1].comment, '"hello"');
+		assert.equal(lines[4].address, 0x40000C);
+		assert.equal(lines[4].text, '.ascii "hello"');
+		assert.equal(lines[4].comment, 'Greeting');
+
+		// Instructions are 16-bit aligned, so the odd byte left over is data.
+		assert.equal(lines[5].text, '.byte 0x0');
+	});
+
+	it('must find text strings', () => {
+		const strings = blackfinDisasm.findStrings(Buffer.from('\u0001\u0002hello\u0000ab\u0000world!\u0000'));
+		assert.deepEqual(strings, { 2: 'hello', 11: 'world!' });
+	});
+
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+
+const blackfinLDR = require('../algo/blackfinLDR.js');
+
+describe('Blackfin boot streams', () => {
+
+	const stream = Buffer.from([
+		// IGNORE block holding the flash width
+		0x00, 0x00, 0x80, 0xFF, 0x04, 0x00, 0x00, 0x00, 0x10, 0x00,
+		0x01, 0x02, 0x03, 0x04,
+		// ZEROFILL block, with no data
+		0x10, 0xAB, 0x40, 0x00, 0x7C, 0x67, 0x00, 0x00, 0x01, 0x00,
+		// FINAL block, PFLAG=3
+		0x00, 0x80, 0xA0, 0xFF, 0x02, 0x00, 0x00, 0x00, 0x60, 0x80,
+		0xAA, 0x55,
+		// Unused flash after the last block
+		0xFF, 0xFF, 0xFF,
+	]);
+
+	it('must parse each block', () => {
+		const ldr = blackfinLDR.parse(stream);
+		assert.equal(ldr.flashWidth, 8);
+		assert.equal(ldr.blocks.length, 3);
+
+		assert.equal(ldr.blocks[0].address, 0xFF800000);
+		assert.deepEqual(ldr.blocks[0].flagText, ['IGNORE']);
+		assert.deepEqual(ldr.blocks[0].content, Buffer.from([0x01, 0x02, 0x03, 0x04]));
+
+		assert.equal(ldr.blocks[1].address, 0x0040AB10);
+		assert.equal(ldr.blocks[1].length, 26492);
+		assert.equal(ldr.blocks[1].content.length, 0);
+
+		assert.deepEqual(ldr.blocks[2].flagText, ['PFLAG=3', 'FINAL']);
+		assert.equal(ldr.blocks[2].offset, 34);
+		assert.deepEqual(ldr.trailing, Buffer.from([0xFF, 0xFF, 0xFF]));
+	});
+
+	it('must rebuild the same bytes', () => {
+		const ldr = blackfinLDR.parse(stream);
+		const rebuilt = Buffer.concat([blackfinLDR.build(ldr.blocks), ldr.trailing]);
+		assert.deepEqual(rebuilt, stream);
+	});
+
+	it('must build blocks from flag names', () => {
+		const data = blackfinLDR.build([
+			{ address: 0xFF800000, flags: 'IGNORE', content: [0, 0, 0, 0] },
+			{ address: 0xFFA08000, flags: ['INIT', 'FINAL'], content: [0x01] },
+		], { flashWidth: 16 });
+
+		const ldr = blackfinLDR.parse(data);
+		assert.equal(ldr.flashWidth, 16);
+		assert.equal(ldr.blocks[0].address, 0xFF800060);
+		assert.equal(ldr.blocks[1].flags, 0x8008);
+		assert.equal(ldr.trailing.length, 0);
+
+		assert.throws(() => blackfinLDR.parseFlags('INIT BOGUS'), /BOGUS/);
+	});
+
+	it('must reject truncated blocks', () => {
+		assert.throws(
+			() => blackfinLDR.parse(stream.slice(0, 12)),
+			/block 0 is truncated/
+		);
+	});
+
+});
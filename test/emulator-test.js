@@ -0,0 +1,83 @@
+const assert = require('assert');
+
+const Behringer = require('../index.js');
+const midiData = require('../midiData.js');
+
+function createDevice(options)
+{
+	const emu = Behringer.emulator.DEQ2496.createLoopback(options);
+	const b = new Behringer(emu.transport);
+	b.selectDevice(Behringer.util.models.deq2496, 0);
+	b.defaultTimeout = 100;
+	return { b: b, emulator: emu.emulator };
+}
+
+describe('DEQ2496 emulator', () => {
+
+	it('must identify itself', async () => {
+		const { b } = createDevice();
+		const identity = await b.identify();
+		assert.equal(identity.modelName, 'DEQ2496');
+	});
+
+	it('must be found by find()', async () => {
+		const { b } = createDevice();
+		const devices = await b.find(50);
+		assert.deepEqual(devices, [
+			{ modelId: 0x12, deviceId: 0, modelName: 'DEQ2496' },
+		]);
+	});
+
+	it('must not reply for an empty preset', async () => {
+		const { b } = createDevice();
+		await assert.rejects(b.readPreset(3), /Timed out/);
+	});
+
+	it('must truncate preset titles to 10 characters when read', async () => {
+		const { b } = createDevice();
+		const content = [0x01, 0x02, 0x03, 0x04];
+		await b.writePreset(5, [0x00, content.length, ...content, ...Buffer.from('ABCDEFGHIJKLMNOP')]);
+
+		const preset = await b.readPreset(5);
+		assert.equal(preset.presetIndex, 5);
+		assert.equal(preset.presetLength, 4);
+		assert.equal(preset.title, 'ABCDEFGHIJ');
+	});
+
+	it('must return a screenshot 7 bytes short', async () => {
+		const { b, emulator } = createDevice();
+		emulator.screen[0][0] = 1;
+		const ss = await b.getScreenshot();
+		assert.equal(ss.raw.length, 46 * 80 - 7);
+		assert.equal(ss.pixels[0][0], 255);
+		assert.equal(ss.pixels[0][1], 0);
+		assert.equal(ss.pixels[79].length, 46 * 7 - 49);
+	});
+
+	it('must change device ID with setMIDIChannel', async () => {
+		const { b } = createDevice();
+		b.setMIDIChannel(3);
+		b.selectDevice(Behringer.util.models.deq2496, 3);
+		const identity = await b.identify();
+		assert.equal(identity.deviceId, 3);
+	});
+
+	it('must write flash blocks and acknowledge each one', async () => {
+		const { b, emulator } = createDevice();
+		const image = Buffer.alloc(0x2000, 0x55);
+		const fw = Behringer.firmware.encode('DEQ2496v2', 0x7E000, image, { 0: 'HELLO' });
+
+		let acks = 0;
+		b.addListener(0x12, 0, Behringer.util.commands.writeFlashResponse, () => acks++);
+
+		midiData.processMIDI(fw.binFirmware, event => {
+			b.transport.send([...event, 0xF7]);
+		});
+		await new Promise(resolve => setTimeout(resolve, 50));
+
+		assert.equal(acks, 2);
+		assert.equal(emulator.lcdMessage, 'HELLO');
+		assert.ok(emulator.flash.slice(0x7E000, 0x80000).equals(image));
+	});
+
+});
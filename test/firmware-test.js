@@ -1,6 +1,7 @@
 const assert = require('assert');
 
 const Behringer = require('../index.js');
+const midiData = require('../midiData.js');
 
 describe('encoding firmware', () => {
 
@@ -44,3 +45,236 @@ describe('encoding firmware 2', () => {
 	});
 
 });
+
+describe('decoding firmware', () => {
+
+	it('must still decode SysEx data with a damaged event', () => {
+		const fw = Behringer.firmware.encode('DEQ2496v2', 0x73000, Buffer.alloc(0x2000, 0x55));
+		// Cut the second event short by dropping everything after its header.
+		const events = [];
+		midiData.processMIDI(fw.binFirmware, (event, offset) => events.push(offset));
+		const damaged = Buffer.concat([
+			fw.binFirmware.slice(0, events[1] + 8),
+			fw.binFirmware.slice(events[2]),
+		]);
+
+		const decoded = Behringer.firmware.decode(damaged, 'DEQ2496v2');
+		assert.equal(decoded.detail['Format'], 'Raw MIDI SysEx');
+		assert.equal(decoded.errors.length, 1);
+		assert.equal(decoded.errors[0].offset, events[1]);
+	});
+
+});
+
+describe('exporting flash images', () => {
+
+	it('must write Intel HEX records', () => {
+		const hex = Behringer.firmware.export(Buffer.from('address gap'), 0x10, {
+			format: 'ihex',
+		}).toString();
+		assert.equal(hex, ':0B0010006164647265737320676170A7\r\n:00000001FF\r\n');
+	});
+
+	it('must not let Intel HEX records cross 64 kB boundaries', () => {
+		const hex = Behringer.firmware.export(Buffer.alloc(8, 0x11), 0x7FFFC, {
+			format: 'ihex',
+		}).toString().split('\r\n');
+		assert.deepEqual(hex, [
+			':020000040007F3',
+			':04FFFC0011111111BD',
+			':020000040008F2',
+			':0400000011111111B8',
+			':00000001FF',
+			'',
+		]);
+	});
+
+	it('must write S-records', () => {
+		const data = Buffer.from([0x0A, 0x0A, 0x0D, ...new Array(13).fill(0)]);
+		const srec = Behringer.firmware.export(data, 0x7AF0, {
+			format: 'srec',
+		}).toString().split('\r\n');
+		assert.equal(srec[1], 'S1137AF00A0A0D0000000000000000000000000061');
+		assert.equal(srec[2], 'S5030001FB');
+		assert.equal(srec[3], 'S9030000FC');
+
+		// Use 24-bit addresses when they're needed.
+		const srec2 = Behringer.firmware.export([0x01], 0x7E000, {
+			format: 'srec',
+		}).toString().split('\r\n');
+		assert.equal(srec2[1], 'S20507E0000112');
+		assert.equal(srec2[3], 'S804000000FB');
+	});
+
+	it('must pad raw images to the base address', () => {
+		const data = [0x01, 0x02];
+		assert.deepEqual(Behringer.firmware.export(data, 0x1000), Buffer.from(data));
+
+		const padded = Behringer.firmware.export(data, 0x1000, { baseAddress: 0xFFE });
+		assert.deepEqual(padded, Buffer.from([0xFF, 0xFF, 0x01, 0x02]));
+
+		assert.throws(
+			() => Behringer.firmware.export(data, 0x1000, { baseAddress: 0x1001 }),
+			/past the start of the image/
+		);
+	});
+
+	it('must place each boot block at its address in an ELF file', () => {
+		const ldr = Behringer.firmware.buildLDR([
+			{ address: 0xFF800000, flags: 'IGNORE', content: [0, 0, 0, 0] },
+			{ address: 0xFFA08000, flags: '', content: [0x01, 0x02] },
+			{ address: 0x0040AB10, flags: 'ZEROFILL FINAL', length: 0x100 },
+		]);
+		const out = Behringer.firmware.export(ldr, 0, { format: 'elf' });
+
+		assert.equal(out.slice(0, 4).toString('latin1'), '\u007FELF');
+		assert.equal(out.readUInt16LE(18), 106); // EM_BLACKFIN
+		assert.equal(out.readUInt32LE(24), 0xFFA08000); // entry point
+		assert.equal(out.readUInt16LE(44), 2); // IGNORE block left out
+
+		// Program headers follow the ELF header.
+		const ph1 = 52, ph2 = 52 + 32;
+		assert.equal(out.readUInt32LE(ph1 + 8), 0xFFA08000);
+		assert.deepEqual(out.slice(out.readUInt32LE(ph1 + 4)).slice(0, 2), Buffer.from([0x01, 0x02]));
+		assert.equal(out.readUInt32LE(ph2 + 8), 0x0040AB10);
+		assert.equal(out.readUInt32LE(ph2 + 16), 0); // no data in the file
+		assert.equal(out.readUInt32LE(ph2 + 20), 0x100); // but zeroes in memory
+	});
+
+	it('must need a load address for images that are not boot streams', () => {
+		const data = Buffer.alloc(16, 0x55);
+		assert.throws(
+			() => Behringer.firmware.toELF(data),
+			/load address is needed/
+		);
+
+		const out = Behringer.firmware.toELF(data, { loadAddress: 0x1000 });
+		assert.equal(out.readUInt16LE(44), 1);
+		assert.equal(out.readUInt32LE(52 + 8), 0x1000);
+		assert.equal(out.readUInt32LE(52 + 16), 16);
+	});
+
+	it('must disassemble each boot block at its address', () => {
+		const ldr = Behringer.firmware.buildLDR([
+			{ address: 0xFF800000, flags: 'IGNORE', content: [0, 0, 0, 0] },
+			{ address: 0xFFA08000, flags: '', content: [0x10, 0x00, 0x41, 0x42] },
+			{ address: 0x0040AB10, flags: 'ZEROFILL FINAL', length: 0x100 },
+		]);
+		const parts = Behringer.firmware.disassemble(ldr, {
+			strings: [{ offset: 26, length: 2, title: 'Letters' }],
+		});
+
+		assert.equal(parts.length, 1); // nothing to decode in the other blocks
+		assert.equal(parts[0].address, 0xFFA08000);
+		assert.equal(parts[0].lines[0].text, 'RTS;');
+		assert.equal(parts[0].lines[1].text, '.ascii "AB"');
+		assert.equal(parts[0].lines[1].comment, 'Letters');
+
+		assert.throws(
+			() => Behringer.firmware.disassemble(Buffer.alloc(16, 0x55)),
+			/load address is needed/
+		);
+		const flat = Behringer.firmware.disassemble([0x10, 0x00], { loadAddress: 0x1000 });
+		assert.equal(flat[0].lines[0].address, 0x1000);
+	});
+
+	it('must choose the format from the filename', () => {
+		assert.equal(Behringer.firmware.getExportFormat('boot.HEX'), 'ihex');
+		assert.equal(Behringer.firmware.getExportFormat('boot.elf'), 'elf');
+		assert.equal(Behringer.firmware.getExportFormat('boot.s19'), 'srec');
+		assert.equal(Behringer.firmware.getExportFormat('boot.png'), 'bin');
+	});
+
+});
+
+describe('assembling flash images', () => {
+
+	const appKey = Buffer.from('- ORIGINAL BEHRINGER CODE - COPYRIGHT 2004 - BGER/TZ - \u0000');
+
+	/// Create a bootloader holding the application key.
+	function createBootloader()
+	{
+		let boot = Buffer.alloc(0x4000, 0x11);
+		boot.write('DEQ2496V2 BOOTLOADER V2.2', 0x2C94);
+		for (let i = 0; i < 0x38; i++) {
+			const bootKey = (i * 7 + 3) & 0xFF;
+			boot[0x3002 + i] = bootKey;
+			boot[0x303A + i] = bootKey ^ appKey[i];
+		}
+		return boot;
+	}
+
+	const app = Buffer.alloc(0x1000, 0);
+	app.write('Application', 0x100);
+
+	it('must place and encrypt each part', () => {
+		const boot = createBootloader();
+		const image = Behringer.firmware.assemble('DEQ2496v2', {
+			bootloader: boot,
+			app: app,
+			scratch: Buffer.from([0x12, 0x34]),
+		});
+		assert.equal(image.data.length, 0x80000);
+		assert.deepEqual(image.warnings, []);
+		assert.deepEqual(image.data.slice(0, 0x4000), boot);
+		assert.equal(image.data[0x7C001], 0x34);
+		assert.equal(image.data[0x7C002], 0xFF);
+		assert.equal(image.data[0x74000], 0xFF);
+
+		// Decrypting it again must give back the original application.
+		const fw = Behringer.firmware.decode(image.data, 'DEQ2496v2');
+		const info = fw.device.examineFirmware(fw.blocks);
+		const dec = info.images.find(i => i.title === 'Application (decrypted)');
+		assert.deepEqual(dec.data, app);
+
+		const presets = image.regions.find(r => r.part === 'presets');
+		assert.equal(presets.start, 0x74000);
+		assert.equal(presets.length, 0);
+	});
+
+	it('must accept an already encrypted application', () => {
+		const boot = createBootloader();
+		const image = Behringer.firmware.assemble('DEQ2496v2', {
+			bootloader: boot,
+			app: app,
+		});
+		const appEncrypted = image.data.slice(0x4000, 0x5000);
+		assert.equal(appEncrypted.slice(0x1C, 0x20).toString(), 'COPY');
+
+		const image2 = Behringer.firmware.assemble('DEQ2496v2', {
+			bootloader: boot,
+			appEncrypted: appEncrypted,
+		});
+		assert.deepEqual(image2.data, image.data);
+
+		// Encrypting it a second time is probably a mistake.
+		const image3 = Behringer.firmware.assemble('DEQ2496v2', {
+			bootloader: boot,
+			app: appEncrypted,
+		});
+		assert.equal(image3.warnings.length, 1);
+	});
+
+	it('must reject parts that do not fit', () => {
+		const boot = createBootloader();
+		assert.throws(
+			() => Behringer.firmware.assemble('DEQ2496v2', {
+				bootloader: boot,
+				presets: Buffer.alloc(0x8001),
+			}),
+			/Presets is 32769 bytes/
+		);
+		assert.throws(
+			() => Behringer.firmware.assemble('DEQ2496v2', {
+				bootloader: boot,
+				extra: Buffer.alloc(1),
+			}),
+			/Unknown part "extra"/
+		);
+		assert.throws(
+			() => Behringer.firmware.assemble('DEQ2496v2', { app: app }),
+			/bootloader is required/
+		);
+	});
+
+});
@@ -0,0 +1,196 @@
+const assert = require('assert');
+
+const midiData = require('../midiData.js');
+
+describe('reading raw MIDI data', () => {
+
+	it('must report the offset of each SysEx event', () => {
+		let events = [];
+		midiData.processMIDI([
+			0xF0, 0x01, 0x02, 0xF7,
+			0xF0, 0x03, 0xF7,
+		], (event, offset) => events.push({ event: [...event], offset }));
+
+		assert.deepEqual(events, [
+			{ event: [0xF0, 0x01, 0x02], offset: 0 },
+			{ event: [0xF0, 0x03], offset: 4 },
+		]);
+	});
+
+	it('must skip bytes outside SysEx events', () => {
+		let offsets = [];
+		midiData.processMIDI([
+			0x90, 0x40, 0x7F,
+			0xF0, 0x01, 0xF7,
+		], (event, offset) => offsets.push(offset));
+
+		assert.deepEqual(offsets, [3]);
+	});
+
+});
+
+describe('parsing MIDI streams', () => {
+
+	it('must keep SysEx events interrupted by realtime bytes', () => {
+		const { events, errors } = midiData.parseMIDI([
+			0xF0, 0x01, 0xF8, 0x02, 0xFE, 0xF7,
+		]);
+		assert.deepEqual(errors, []);
+		assert.deepEqual(events.map(e => [e.type, e.offset, e.data]), [
+			['realtime', 2, [0xF8]],
+			['realtime', 4, [0xFE]],
+			['sysex', 0, [0xF0, 0x01, 0x02, 0xF7]],
+		]);
+	});
+
+	it('must expand running status', () => {
+		const { events } = midiData.parseMIDI([
+			0x90, 0x40, 0x7F, 0x41, 0x7F,
+			0xC2, 0x05, 0x06,
+		]);
+		assert.deepEqual(events.map(e => [e.offset, e.data, e.runningStatus]), [
+			[0, [0x90, 0x40, 0x7F], false],
+			[3, [0x90, 0x41, 0x7F], true],
+			[5, [0xC2, 0x05], false],
+			[7, [0xC2, 0x06], true],
+		]);
+	});
+
+	it('must cancel running status after SysEx and system messages', () => {
+		const { events, errors } = midiData.parseMIDI([
+			0xB0, 0x07, 0x64,
+			0xF0, 0x01, 0xF7,
+			0x07, 0x64,
+		]);
+		assert.equal(events.length, 2);
+		assert.equal(errors.length, 2);
+		assert.equal(errors[0].offset, 6);
+		assert.ok(/without a preceding status byte/.test(errors[0].message));
+	});
+
+	it('must report truncated events with their offsets', () => {
+		const { events, errors } = midiData.parseMIDI([
+			0xF0, 0x01, 0x02,
+			0x90, 0x40,
+			0xF0, 0x03, 0xF7,
+			0xF0, 0x04,
+		]);
+		assert.deepEqual(events.map(e => e.offset), [5]);
+		assert.deepEqual(errors.map(e => e.offset), [0, 3, 8]);
+		assert.equal(errors[0].message,
+			'SysEx event at 0x00 is interrupted by status byte 0x90 at 0x03');
+		assert.equal(errors[2].message,
+			'SysEx event at 0x08 is truncated by the end of the data');
+	});
+
+	it('must throw in strict mode', () => {
+		assert.throws(
+			() => midiData.parseMIDI([0xF0, 0x01, 0xF7, 0xF7], { strict: true }),
+			/SysEx end byte 0xf7 at 0x03 without a SysEx start/
+		);
+	});
+
+	it('must accept data arriving in pieces', () => {
+		let events = [];
+		const parser = new midiData.StreamParser(e => events.push(e));
+		parser.write([0xF0, 0x01]);
+		parser.write([0x02, 0xF7, 0xB0]);
+		parser.write([0x63, 0x01]);
+		assert.deepEqual(events.map(e => [e.offset, e.data]), [
+			[0, [0xF0, 0x01, 0x02, 0xF7]],
+			[4, [0xB0, 0x63, 0x01]],
+		]);
+	});
+
+	it('must recognise SysEx files with other messages in between', () => {
+		assert.ok(midiData.isSysEx([0xC0, 0x01, 0x02, 0xF0, 0x01, 0xF7]));
+		assert.ok(!midiData.isSysEx([0x90, 0x40, 0x7F]));
+		assert.ok(!midiData.isSysEx([0x01, 0xF0, 0x01, 0xF7]));
+	});
+
+});
+
+describe('Standard MIDI Files', () => {
+
+	function chunk(type, data)
+	{
+		let header = Buffer.alloc(8);
+		header.write(type, 0, 'latin1');
+		header.writeUInt32BE(data.length, 4);
+		return Buffer.concat([header, Buffer.from(data)]);
+	}
+
+	function smf(format, division, tracks)
+	{
+		return Buffer.concat([
+			chunk('MThd', [0, format, 0, tracks.length, division >> 8, division & 0xFF]),
+			...tracks.map(t => chunk('MTrk', t)),
+		]);
+	}
+
+	it('must write and read back SysEx events', () => {
+		const messages = [
+			[0xF0, 0x01, 0x02, 0xF7],
+			[0xB0, 0x07, 0x64],
+			[0xF0, ...new Array(200).fill(0x55), 0xF7],
+		];
+		const data = midiData.createSMF(messages, { delay: 250 });
+		assert.ok(midiData.isSMF(data));
+
+		const info = midiData.parseSMF(data);
+		assert.equal(info.format, 0);
+		assert.equal(info.trackCount, 1);
+		assert.deepEqual(info.events.map(e => e.data), messages);
+		assert.deepEqual(info.events.map(e => e.time), [0, 250, 500]);
+
+		assert.deepEqual(
+			Array.from(midiData.toRawMIDI(data)),
+			[].concat(...messages)
+		);
+	});
+
+	it('must merge format 1 tracks using the tempo map', () => {
+		const data = smf(1, 96, [
+			[
+				0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20, // 500000 us/quarter
+				0x60, 0xFF, 0x51, 0x03, 0x0F, 0x42, 0x40, // 1000000 us/quarter
+				0x00, 0xFF, 0x2F, 0x00,
+			],
+			[
+				0x30, 0x90, 0x40, 0x7F,
+				0x60, 0x40, 0x00, // running status
+				0x00, 0xF0, 0x02, 0x01, 0x02, // divided SysEx...
+				0x0A, 0xF7, 0x02, 0x03, 0xF7, // ...finished
+				0x00, 0xFF, 0x2F, 0x00,
+			],
+		]);
+		const info = midiData.parseSMF(data);
+		assert.equal(info.format, 1);
+		assert.deepEqual(info.events.map(e => [e.track, e.tick, e.data]), [
+			[1, 48, [0x90, 0x40, 0x7F]],
+			[1, 144, [0x90, 0x40, 0x00]],
+			[1, 154, [0xF0, 0x01, 0x02, 0x03, 0xF7]],
+		]);
+		assert.equal(info.events[0].time, 250);
+		assert.equal(info.events[1].time, 1000);
+		assert.equal(Math.round(info.events[2].time), 1104);
+	});
+
+	it('must leave raw MIDI data alone', () => {
+		const syx = Buffer.from([0xF0, 0x01, 0xF7]);
+		assert.ok(!midiData.isSMF(syx));
+		assert.equal(midiData.toRawMIDI(syx), syx);
+	});
+
+	it('must report damaged files', () => {
+		assert.throws(
+			() => midiData.parseSMF(smf(0, 96, [[0x00, 0x90, 0x40]])),
+			/Track 0 \(chunk at 0x0e\): Unexpected end of track at offset 0x18/
+		);
+		assert.throws(
+			() => midiData.parseSMF(smf(2, 96, [])),
+			/format 2 is not supported/
+		);
+	});
+
+});
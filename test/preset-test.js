@@ -0,0 +1,391 @@
+const assert = require('assert');
+
+const Behringer = require('../index.js');
+const midiData = require('../midiData.js');
+const sevenEightCoder = require('../algo/sevenEightCoder.js');
+
+const layout = Behringer.preset.getLayout();
+
+function field(name)
+{
+	return layout.fields.find(f => f.name === name);
+}
+
+/// Build raw preset data from 8-bit content and a title.
+function makeRaw(data, title)
+{
+	const content = sevenEightCoder.encode(data);
+	return [
+		content.length >> 7,
+		content.length & 0x7F,
+		...content,
+		...Buffer.from(title),
+	];
+}
+
+describe('decoding DEQ2496 presets', () => {
+
+	let data = new Array(layout.length).fill(0);
+	data[field('geq.left.enabled').offset] = 1;
+	data[field('geq.left.bands.1k').offset] = 0xFA; // -6 * 0.5 dB
+	data[field('peq.right.filters.3.type').offset] = 1;
+	data[field('peq.right.filters.3.frequency').offset] = 0x03;
+	data[field('peq.right.filters.3.frequency').offset + 1] = 0xE8;
+	data[field('peq.right.filters.3.q').offset] = 14;
+	data[field('delay.left.time').offset] = 0x27;
+	data[field('delay.left.time').offset + 1] = 0x10;
+	data[field('io.input').offset] = 1;
+
+	const preset = Behringer.preset.decode(makeRaw(data, 'Test preset'));
+
+	it('must decode the title', () => {
+		assert.equal(preset.title, 'Test preset');
+	});
+
+	it('must decode the graphic EQ', () => {
+		assert.equal(preset.geq.left.enabled, true);
+		assert.equal(preset.geq.right.enabled, false);
+		assert.equal(preset.geq.left.bands['1k'], -3);
+		assert.equal(Object.keys(preset.geq.left.bands).length, 31);
+	});
+
+	it('must decode the parametric EQ filters', () => {
+		assert.equal(preset.peq.right.filters.length, 10);
+		assert.deepEqual(preset.peq.right.filters[3], {
+			enabled: false,
+			type: 'lowShelf6',
+			frequency: 1000,
+			gain: 0,
+			q: 1.4,
+		});
+	});
+
+	it('must decode scaled and enumerated values', () => {
+		assert.equal(preset.delay.left.time, 100);
+		assert.equal(preset.io.input, 'digital');
+	});
+
+	it('must reject truncated data', () => {
+		assert.throws(
+			() => Behringer.preset.decode(makeRaw(data.slice(0, 100), 'Short')),
+			/too short/
+		);
+	});
+
+});
+
+describe('encoding DEQ2496 presets', () => {
+
+	it('must round trip through decode()', () => {
+		const source = {
+			title: 'House PA',
+			geq: { left: { enabled: true, bands: { '1k': -3.5, '20k': 15 } } },
+			peq: { right: { filters: [ { enabled: true, type: 'bell', frequency: 250, gain: -6, q: 2.5 } ] } },
+			dynamics: { left: { limiter: { enabled: true, threshold: -3 } } },
+			delay: { right: { enabled: true, time: 12.34 } },
+		};
+		const raw = Behringer.preset.encode(source);
+		const preset = Behringer.preset.decode(raw);
+
+		assert.equal(preset.title, 'House PA');
+		assert.equal(preset.geq.left.bands['1k'], -3.5);
+		assert.equal(preset.geq.left.bands['20k'], 15);
+		assert.equal(preset.geq.right.enabled, false);
+		assert.deepEqual(preset.peq.right.filters[0], source.peq.right.filters[0]);
+		assert.equal(preset.peq.right.filters[1].frequency, 20);
+		assert.equal(preset.dynamics.left.limiter.threshold, -3);
+		assert.equal(preset.delay.right.time, 12.34);
+
+		assert.deepEqual(Behringer.preset.encode(preset), raw);
+	});
+
+	it('must produce 7-bit clean data with a correct length field', () => {
+		const raw = Behringer.preset.encode({ title: 'X', geq: { left: { bands: { '20': -15 } } } });
+		assert.ok(raw.every(b => b < 0x80));
+		const length = (raw[0] << 7) | raw[1];
+		assert.equal(raw.length, 2 + length + 1);
+	});
+
+	it('must reject unknown parameters', () => {
+		assert.throws(
+			() => Behringer.preset.encode({ geq: { left: { bandz: {} } } }),
+			/Unknown preset parameter: geq.left.bandz/
+		);
+	});
+
+	it('must reject values out of range', () => {
+		assert.throws(
+			() => Behringer.preset.encode({ geq: { left: { bands: { '1k': 20 } } } }),
+			/geq.left.bands.1k must be between -15 and 15 dB/
+		);
+	});
+
+	it('must reject long titles', () => {
+		assert.throws(
+			() => Behringer.preset.encode({ title: 'Seventeen chars!!' }),
+			/longer than 16/
+		);
+	});
+
+	it('must be accepted by writePreset()', async () => {
+		const emu = Behringer.emulator.DEQ2496.createLoopback();
+		const b = new Behringer(emu.transport);
+		b.selectDevice(Behringer.util.models.deq2496, 0);
+		await b.writePreset(7, { title: 'From JSON', io: { stereoLink: true } });
+
+		const read = await b.readPreset(7);
+		const preset = Behringer.preset.decode(read.presetRaw);
+		assert.equal(preset.title, 'From JSON');
+		assert.equal(preset.io.stereoLink, true);
+	});
+
+});
+
+describe('comparing presets', () => {
+
+	const a = Behringer.preset.encode({ title: 'A', geq: { left: { bands: { '1k': -3 } } } });
+	const b = Behringer.preset.encode({ title: 'B', geq: { left: { bands: { '1k': -1 } } } });
+
+	it('must list the parameters that changed', () => {
+		const changes = Behringer.preset.diff(a, b);
+		assert.deepEqual(changes.map(c => [c.name, c.oldValue, c.newValue]), [
+			['title', 'A', 'B'],
+			['geq.left.bands.1k', -3, -1],
+		]);
+	});
+
+	it('must accept decoded presets', () => {
+		const changes = Behringer.preset.diff(Behringer.preset.decode(a), b);
+		assert.equal(changes.length, 2);
+		assert.equal(Behringer.preset.diff(a, a).length, 0);
+	});
+
+	it('must list the bytes that changed', () => {
+		const changes = Behringer.preset.diffBytes([1, 2, 3], [1, 5, 3, 4]);
+		assert.deepEqual(changes, [
+			{ offset: 1, oldValue: 2, newValue: 5 },
+			{ offset: 3, oldValue: undefined, newValue: 4 },
+		]);
+	});
+
+});
+
+describe('preset modules', () => {
+
+	const room = Behringer.preset.encode({
+		title: 'Room',
+		geq: { left: { bands: { '100': -2 } } },
+		peq: { left: { enabled: true } },
+	});
+	const live = Behringer.preset.encode({
+		title: 'Live',
+		geq: { left: { bands: { '100': 3 } } },
+	});
+
+	it('must copy a single module between presets', () => {
+		const peq = Behringer.preset.extractModule(room, 'peq');
+		const changes = Behringer.preset.diff(live, Behringer.preset.replaceModule(live, peq, 'peq'));
+		assert.deepEqual(changes.map(c => c.name), ['peq.left.enabled']);
+	});
+
+	it('must reject unknown modules', () => {
+		assert.throws(() => Behringer.preset.getModule('reverb'), /Unknown preset module/);
+		assert.equal(Behringer.preset.getModule(1).name, 'peq');
+	});
+
+	it('must transfer modules to and from a device', async () => {
+		const emu = Behringer.emulator.DEQ2496.createLoopback();
+		const b = new Behringer(emu.transport);
+		b.selectDevice(Behringer.util.models.deq2496, 0);
+		await b.writePreset(4, live);
+
+		await b.writeModulePreset(4, 'geq', Behringer.preset.extractModule(room, 'geq'));
+		const geq = await b.readModulePreset(4, 'geq');
+		assert.equal(geq.moduleId, 0);
+		assert.deepEqual(Array.from(geq.moduleRaw), Behringer.preset.extractModule(room, 'geq'));
+
+		const preset = Behringer.preset.decode((await b.readPreset(4)).presetRaw);
+		assert.equal(preset.title, 'Live');
+		assert.equal(preset.geq.left.bands['100'], -2);
+		assert.equal(preset.peq.left.enabled, false);
+	});
+
+});
+
+describe('preset banks', () => {
+
+	const presets = [
+		{ index: 2, presetRaw: Behringer.preset.encode({ title: 'Two' }) },
+		{ index: 9, presetRaw: Behringer.preset.encode({ title: 'Nine' }), title: 'Full title here!' },
+	];
+	const info = {
+		modelId: Behringer.util.models.deq2496,
+		modelName: 'DEQ2496',
+		exported: new Date(0),
+	};
+
+	it('must round trip presets', () => {
+		const bank = JSON.parse(JSON.stringify(Behringer.preset.createBank(presets, info)));
+		assert.equal(bank.modelId, Behringer.util.models.deq2496);
+		assert.equal(bank.exported, '1970-01-01T00:00:00.000Z');
+
+		const loaded = Behringer.preset.readBank(bank);
+		assert.deepEqual(loaded[0], { index: 2, title: 'Two', presetRaw: presets[0].presetRaw });
+		assert.equal(loaded[1].index, 9);
+		assert.equal(Behringer.preset.decode(loaded[1].presetRaw).title, 'Full title here!');
+	});
+
+	it('must reject a modified bank', () => {
+		let bank = Behringer.preset.createBank(presets, info);
+		bank.presets[0].content = '01' + bank.presets[0].content.slice(2);
+		assert.throws(() => Behringer.preset.readBank(bank), /checksum/);
+		assert.equal(Behringer.preset.readBank(bank, true)[0].index, 2);
+	});
+
+	it('must allow the titles to be corrected by hand', () => {
+		let bank = Behringer.preset.createBank(presets, info);
+		bank.presets[0].title = 'Sixteen chars ok';
+		const loaded = Behringer.preset.readBank(bank);
+		assert.equal(Behringer.preset.decode(loaded[0].presetRaw).title, 'Sixteen chars ok');
+	});
+
+	it('must reject titles longer than the device allows', () => {
+		assert.throws(
+			() => Behringer.preset.createBank([{ index: 0, presetRaw: presets[0].presetRaw, title: 'Seventeen chars!!' }], info),
+			/longer than 16 characters/
+		);
+	});
+
+	it('must reject other files', () => {
+		assert.throws(() => Behringer.preset.readBank({ title: 'A' }), /Not a preset bank/);
+	});
+
+	it('must read presets from SysEx dumps', () => {
+		const raw = Behringer.preset.encode({ title: 'Dumped' });
+		const dump = [
+			[0xF0, 0x00, 0x20, 0x32, 0x00, 0x12, 0x20, 7, ...raw, 0, 0, 0, 0, 0, 0, 0, 0xF7],
+			[0xF0, 0x00, 0x20, 0x32, 0x00, 0x12, 0x01, 0xF7],
+		];
+		const syx = Behringer.preset.readSysEx(Buffer.from([].concat(...dump)));
+		assert.deepEqual(syx.presets, [
+			{ index: 7, modelId: Behringer.util.models.deq2496, presetRaw: raw },
+		]);
+		assert.deepEqual(syx.errors, []);
+
+		const mid = midiData.createSMF(dump, { delay: 500 });
+		assert.deepEqual(Behringer.preset.readSysEx(mid), syx);
+	});
+
+	it('must read the same preset from a SysEx dump as from the device', async () => {
+		const emu = Behringer.emulator.DEQ2496.createLoopback();
+		const recorder = new Behringer.transport.Recorder(emu.transport);
+		const b = new Behringer(recorder);
+		b.selectDevice(Behringer.util.models.deq2496, 0);
+		await b.writePreset(5, Behringer.preset.encode({ title: 'Dumped' }));
+		await new Promise(resolve => setTimeout(resolve, 10));
+		const preset = await b.readPreset(5);
+		b.close();
+
+		// Save the device's reply as a dump, the way another editor would.
+		const reply = recorder.log.filter(e => e.direction === 'in').pop();
+		const syx = Behringer.preset.readSysEx(Buffer.from(reply.data));
+		assert.deepEqual(syx.presets[0].presetRaw, Array.from(preset.presetRaw));
+	});
+
+	it('must report damaged data in SysEx dumps', () => {
+		const raw = Behringer.preset.encode({ title: 'Dumped' });
+		// The first event is cut short by the start of the second one.
+		const syx = Behringer.preset.readSysEx(Buffer.from([
+			0xF0, 0x00, 0x20,
+			0xF0, 0x00, 0x20, 0x32, 0x00, 0x12, 0x20, 4, ...raw, 0, 0, 0, 0, 0, 0, 0, 0xF7,
+		]));
+		assert.equal(syx.presets.length, 1);
+		assert.equal(syx.errors.length, 1);
+		assert.equal(syx.errors[0].offset, 0);
+	});
+
+});
+
+describe('setting parameters', () => {
+
+	it('must convert values to and from raw numbers', () => {
+		const gain = Behringer.preset.getField('geq.left.bands.1k');
+		assert.equal(Behringer.preset.encodeValue(gain, -3), 0xFA);
+		assert.equal(Behringer.preset.decodeValue(gain, 0xFA), -3);
+
+		const time = Behringer.preset.getField('delay.left.time');
+		assert.equal(Behringer.preset.encodeValue(time, 100), 10000);
+		assert.equal(Behringer.preset.decodeValue(time, 10000), 100);
+
+		assert.throws(() => Behringer.preset.encodeValue(time, 301), /between 0 and 300/);
+		assert.throws(() => Behringer.preset.getField('geq.left.bands.1k1'), /Unknown parameter/);
+	});
+
+	it('must parse values given as text', () => {
+		const input = Behringer.preset.getField('io.input');
+		assert.equal(Behringer.preset.parseValue(input, 'digital'), 'digital');
+		assert.throws(() => Behringer.preset.parseValue(input, 'usb'), /analog, digital/);
+		assert.equal(Behringer.preset.parseValue(Behringer.preset.getField('io.stereoLink'), 'on'), true);
+		assert.equal(Behringer.preset.parseValue(Behringer.preset.getField('io.left.outputGain'), '-2.5'), -2.5);
+	});
+
+	it('must change a parameter on the device', async () => {
+		const emu = Behringer.emulator.DEQ2496.createLoopback();
+		const b = new Behringer(emu.transport);
+		b.selectDevice(Behringer.util.models.deq2496, 0);
+
+		await b.setParameter('peq.right.filters.9.frequency', 12000);
+		await b.setParameter('geq.left.bands.1k', -4.5);
+		await new Promise(resolve => setImmediate(resolve));
+
+		assert.equal(emu.emulator.getParameter('peq.right.filters.9.frequency'), 12000);
+		assert.equal(emu.emulator.getParameter('geq.left.bands.1k'), -4.5);
+		assert.equal(emu.emulator.getParameter('geq.right.bands.1k'), 0);
+	});
+
+});
+
+describe('setting parameters with NRPNs', () => {
+
+	it('must spread numbers over the 14-bit range', () => {
+		const gain = Behringer.preset.getField('geq.left.bands.1k');
+		assert.equal(Behringer.preset.encodeNRPNValue(gain, -15), 0);
+		assert.equal(Behringer.preset.encodeNRPNValue(gain, 15), 0x3FFF);
+		assert.equal(Behringer.preset.decodeNRPNValue(gain, 0x2000), 0);
+		assert.equal(Behringer.preset.decodeNRPNValue(gain,
+			Behringer.preset.encodeNRPNValue(gain, -4.5)), -4.5);
+
+		const input = Behringer.preset.getField('io.input');
+		assert.equal(Behringer.preset.encodeNRPNValue(input, 'digital'), 1);
+		assert.equal(Behringer.preset.decodeNRPNValue(input, 1), 'digital');
+	});
+
+	it('must map NRPN numbers to parameters', () => {
+		const field = Behringer.preset.getField('peq.left.filters.2.q');
+		assert.equal(Behringer.preset.getFieldByNRPN(Behringer.preset.getNRPN(field)), field);
+		assert.throws(() => Behringer.preset.getFieldByNRPN(0x3FFF), /Unknown NRPN/);
+	});
+
+	it('must change a parameter on the device', async () => {
+		const emu = Behringer.emulator.DEQ2496.createLoopback({ deviceId: 2 });
+		const recorder = new Behringer.transport.Recorder(emu.transport);
+		const b = new Behringer(recorder);
+		b.selectDevice(Behringer.util.models.deq2496, 2);
+
+		await b.setParameterCC('io.left.outputGain', -6);
+		await b.setParameterCC('io.left.outputGain', -5.5);
+		await new Promise(resolve => setImmediate(resolve));
+
+		assert.equal(emu.emulator.getParameter('io.left.outputGain'), -5.5);
+		// The NRPN is only selected once, and all on MIDI channel 3.
+		assert.equal(recorder.log.length, 6);
+		assert.ok(recorder.log.every(e => e.data[0] === 0xB2));
+	});
+
+	it('must require a single device to pick the MIDI channel', () => {
+		const b = new Behringer(new Behringer.transport.Loopback());
+		b.selectDevice(Behringer.util.models.deq2496);
+		assert.throws(() => b.sendControlChange(7, 100), /MIDI channel/);
+	});
+
+});
@@ -0,0 +1,228 @@
+const assert = require('assert');
+const PNG = require('pngjs').PNG;
+
+const Behringer = require('../index.js');
+
+function createDevice()
+{
+	const emu = Behringer.emulator.DEQ2496.createLoopback();
+	const b = new Behringer(emu.transport);
+	b.selectDevice(Behringer.util.models.deq2496, 0);
+	b.defaultTimeout = 100;
+	return { b: b, emulator: emu.emulator };
+}
+
+/// Get the colour of a pixel in a decoded PNG.
+function pixel(png, x, y)
+{
+	const idx = (png.width * y + x) << 2;
+	return Array.from(png.data.slice(idx, idx + 3));
+}
+
+/// Decode the frames of a GIF written by toGIF().
+function readGIF(gif)
+{
+	assert.equal(gif.slice(0, 6).toString('ascii'), 'GIF89a');
+	const width = gif.readUInt16LE(6);
+	const height = gif.readUInt16LE(8);
+	let frames = [];
+	let delay;
+	let pos = 13 + 2 * 3;
+	while (gif[pos] !== 0x3B) {
+		if (gif[pos] === 0x21) {
+			if (gif[pos + 1] === 0xF9) delay = gif.readUInt16LE(pos + 4);
+			pos += 2;
+			while (gif[pos]) pos += gif[pos] + 1;
+			pos++;
+			continue;
+		}
+		assert.equal(gif[pos], 0x2C);
+		const minCodeSize = gif[pos + 10];
+		pos += 11;
+		let data = [];
+		while (gif[pos]) {
+			data.push(...gif.slice(pos + 1, pos + 1 + gif[pos]));
+			pos += gif[pos] + 1;
+		}
+		pos++;
+
+		// LZW decode
+		const clearCode = 1 << minCodeSize;
+		let codeSize = minCodeSize + 1, table, prev;
+		let out = [];
+		let bitPos = 0;
+		for (;;) {
+			let code = 0;
+			for (let i = 0; i < codeSize; i++) {
+				code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+				bitPos++;
+			}
+			if (code === clearCode) {
+				codeSize = minCodeSize + 1;
+				table = [];
+				for (let i = 0; i < clearCode + 2; i++) table.push([i]);
+				prev = undefined;
+				continue;
+			}
+			if (code === clearCode + 1) break;
+			let entry;
+			if (code < table.length) {
+				entry = table[code];
+				if (prev) table.push([...prev, entry[0]]);
+			} else {
+				entry = [...prev, prev[0]];
+				table.push(entry);
+			}
+			out.push(...entry);
+			prev = entry;
+			if ((table.length === (1 << codeSize)) && (codeSize < 12)) codeSize++;
+		}
+		assert.equal(out.length, width * height);
+		frames.push({ delay: delay, indices: out });
+	}
+	return frames;
+}
+
+describe('screenshot images', () => {
+
+	it('must parse colours', () => {
+		assert.deepEqual(Behringer.screenshot.parseColour('#20A0ff'), [0x20, 0xA0, 0xFF]);
+		assert.deepEqual(Behringer.screenshot.parseColour('f80'), [0xFF, 0x88, 0x00]);
+		assert.deepEqual(Behringer.screenshot.parseColour([1, 2, 3]), [1, 2, 3]);
+		assert.throws(() => Behringer.screenshot.parseColour('red'), /Invalid colour/);
+	});
+
+	it('must scale and colour pixels', () => {
+		const data = Behringer.screenshot.toPNG({
+			width: 2,
+			height: 2,
+			pixels: [[255, 0], [0]],
+		}, { scale: 3, on: '#FF0000', off: '#0000FF' });
+
+		const png = PNG.sync.read(data);
+		assert.equal(png.width, 6);
+		assert.equal(png.height, 6);
+		assert.deepEqual(pixel(png, 2, 2), [0xFF, 0, 0]);
+		assert.deepEqual(pixel(png, 3, 2), [0, 0, 0xFF]);
+		// Missing pixels are drawn as off.
+		assert.deepEqual(pixel(png, 5, 5), [0, 0, 0xFF]);
+	});
+
+	it('must reject invalid scales', () => {
+		const ss = { width: 1, height: 1, pixels: [[0]] };
+		assert.throws(() => Behringer.screenshot.toPNG(ss, { scale: 1.5 }), /whole number/);
+	});
+
+	it('must capture the LCD from a device', async () => {
+		const { b, emulator } = createDevice();
+		emulator.screen[10][20] = 1;
+
+		const png = PNG.sync.read(await b.getScreenshotPNG());
+		assert.equal(png.width, 322);
+		assert.equal(png.height, 80);
+		assert.deepEqual(pixel(png, 20, 10), [0, 0, 0]);
+		assert.deepEqual(pixel(png, 21, 10), [0xFF, 0xFF, 0xFF]);
+	});
+
+});
+
+describe('screenshot animations', () => {
+
+	function screen(lit, height = 80)
+	{
+		let pixels = [];
+		for (let y = 0; y < height; y++) {
+			pixels.push(new Array(322).fill(0).map((p, x) => (lit(x, y) ? 255 : 0)));
+		}
+		return { width: 322, height: height, pixels: pixels };
+	}
+	const blank = screen(() => false, 320);
+	// Enough random pixels that the GIF's LZW table fills up and is reset.
+	let seed = 1;
+	const noise = screen(() => {
+		seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+		return seed & 0x10000;
+	}, 320);
+
+	it('must merge repeated frames', () => {
+		const frames = Behringer.screenshot.timeFrames([
+			{ screenshot: blank, time: 0 },
+			{ screenshot: blank, time: 100 },
+			{ screenshot: noise, time: 250 },
+		], 1000);
+		assert.deepEqual(frames.map(f => [f.time, f.delay]), [[0, 250], [250, 750]]);
+	});
+
+	it('must encode frames as a GIF', () => {
+		const gif = Behringer.screenshot.toGIF([
+			{ screenshot: noise, delay: 125 },
+			{ screenshot: blank, delay: 1000 },
+		]);
+		const frames = readGIF(gif);
+		assert.equal(frames.length, 2);
+		assert.deepEqual(frames[0].indices, Array.from(Behringer.screenshot.scalePixels(noise).indices));
+		assert.ok(frames[1].indices.every(p => p === 0));
+		// Rounded times are 0, 13 then 113 cs.
+		assert.deepEqual(frames.map(f => f.delay), [13, 100]);
+	});
+
+	it('must encode frames as an APNG', () => {
+		const apng = Behringer.screenshot.toAPNG([
+			{ screenshot: noise, delay: 125 },
+			{ screenshot: blank, delay: 1000 },
+		], { scale: 2, on: '#FF0000' });
+
+		// Normal PNG readers see the first frame.
+		const png = PNG.sync.read(apng);
+		assert.equal(png.width, 644);
+		assert.equal(png.height, 640);
+		const image = Behringer.screenshot.scalePixels(noise, 2);
+		const lit = image.indices.indexOf(1);
+		assert.deepEqual(pixel(png, lit % 644, (lit / 644) >>> 0), [0xFF, 0, 0]);
+
+		assert.ok(apng.includes(Buffer.from('acTL')));
+		assert.ok(apng.includes(Buffer.from('fdAT')));
+	});
+
+});
+
+describe('screenshot text', () => {
+
+	it('must read text from the LCD', async () => {
+		const { b, emulator } = createDevice();
+		emulator.drawText(9, 11, 'Preset 12: Room');
+		emulator.drawText(9, 19, ' GEQ ', true);
+		emulator.drawText(45, 19, 'PEQ');
+		// Graphics that aren't text
+		emulator.screen[60][100] = 1;
+
+		const text = Behringer.screenshot.extractText(await b.getScreenshot());
+		assert.equal(text.originX, 3);
+		assert.equal(text.originY, 3);
+		assert.deepEqual(text.items, [
+			{ row: 1, column: 1, x: 9, y: 11, text: 'Preset 12: Room', inverted: false },
+			{ row: 2, column: 2, x: 15, y: 19, text: 'GEQ', inverted: true },
+			{ row: 2, column: 7, x: 45, y: 19, text: 'PEQ', inverted: false },
+		]);
+		assert.equal(text.lines[2].slice(0, 10), '  GEQ  PEQ');
+		assert.equal(text.lines[7][16], '░');
+	});
+
+	it('must use the grid position it is given', () => {
+		let pixels = [];
+		for (let y = 0; y < 16; y++) pixels.push(new Array(24).fill(0));
+		Behringer.screenshot.drawText(pixels, 1, 0, 'ab');
+		const ss = { width: 24, height: 16, pixels: pixels };
+
+		const text = Behringer.screenshot.extractText(ss, { originX: 0, originY: 0, unknown: '?' });
+		assert.equal(text.lines[0], '??  ');
+		assert.equal(Behringer.screenshot.extractText(ss).lines[0], 'ab ');
+	});
+
+	it('must have a distinct glyph for every character', () => {
+		const font = Behringer.screenshot.getFont();
+		const bitmaps = Object.values(font.glyphs).map(g => g.join());
+		assert.equal(new Set(bitmaps).size, bitmaps.length);
+	});
+
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+
+const Behringer = require('../index.js');
+const processMIDI = require('../midiData.js').processMIDI;
+
+function sysex(modelId, command, data)
+{
+	return [0xF0, 0x00, 0x20, 0x32, 0x00, modelId, command, ...data, 0xF7];
+}
+
+/// Get the SysEx events sent when writing a firmware image.
+function flashEvents(modelName, address, data, messages)
+{
+	const fw = Behringer.firmware.encode(modelName, address, data, messages);
+	let events = [];
+	processMIDI(fw.binFirmware, e => events.push([...e]));
+	return events;
+}
+
+describe('describing SysEx messages', () => {
+
+	it('must decode an identify reply', () => {
+		const reply = sysex(0x12, 0x02, [
+			...Buffer.from('DEQ2496'),
+			0, 0, 0, 0, 0, 0, 0, // trailer
+		]);
+		const info = Behringer.sysex.describe(reply, 'in');
+		assert.ok(info.behringer);
+		assert.equal(info.modelName, 'deq2496(18)');
+		assert.equal(info.commandName, 'identifyResponse(2)');
+		assert.equal(info.data.length, 7);
+		assert.equal(info.details.modelName, 'DEQ2496');
+	});
+
+	it('must decode a single value change', () => {
+		const info = Behringer.sysex.describe(sysex(0x12, 0x22, [0, 0, 1, 0, 1, 0x7A]));
+		assert.equal(info.details.module, 'geq');
+		assert.equal(info.details.param, 'geq.left.bands.20');
+		assert.equal(info.details.value, -3);
+	});
+
+	it('must decode flash blocks', () => {
+		const events = flashEvents('DEQ2496v2', 0x10000, Buffer.alloc(0x1000, 1), {});
+		const info = Behringer.sysex.describe(events[0]);
+		assert.equal(info.commandName, 'writeFlash(52)');
+		assert.equal(info.details.block, 0x10);
+		assert.equal(info.details.address, 0x10000);
+		assert.ok(info.details.checksumValid);
+	});
+
+	it('must notice corrupted flash blocks', () => {
+		const events = flashEvents('DEQ2496v2', 0x10000, Buffer.alloc(0x1000, 1), {});
+		events[0][100] ^= 1;
+		const info = Behringer.sysex.describe(events[0]);
+		assert.equal(info.details.checksumValid, false);
+		assert.ok(/^subblock=0x100 block=0x10 address=0x10000 checksum=0x[0-9a-f]+ checksumValid=false$/.test(
+			Behringer.sysex.formatDetails(info.details)
+		));
+	});
+
+	it('must decode LCD messages for the chosen model', () => {
+		const events = flashEvents('DEQ2496v2', 0x10000, Buffer.alloc(0x100, 1), {
+			0: 'Hello',
+		});
+
+		// The models sharing this model ID disagree on the text.
+		const info = Behringer.sysex.describe(events[0]);
+		assert.equal(info.details.byModel.DEQ2496v2.message, 'Hello');
+
+		const infoV2 = Behringer.sysex.describe(events[0], 'out', {
+			deviceName: 'DEQ2496v2',
+		});
+		assert.equal(infoV2.details.message, 'Hello');
+	});
+
+	it('must describe other messages', () => {
+		const cc = Behringer.sysex.describe([0xB1, 99, 3]);
+		assert.equal(cc.behringer, false);
+		assert.equal(cc.summary, 'CC on channel 2: 99, 3');
+
+		const other = Behringer.sysex.describe([0xF0, 0x00, 0x01, 0x02, 0xF7]);
+		assert.equal(other.behringer, false);
+		assert.equal(other.companyId, 0x000102);
+	});
+
+});
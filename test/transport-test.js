@@ -0,0 +1,190 @@
+const assert = require('assert');
+
+const Behringer = require('../index.js');
+
+describe('loopback transport', () => {
+
+	it('must deliver messages to the other end', async () => {
+		const [a, b] = Behringer.transport.Loopback.createPair();
+		const received = new Promise(resolve => b.onMessage(resolve));
+		a.send([0xF0, 0x01, 0xF7]);
+		assert.deepEqual(await received, [0xF0, 0x01, 0xF7]);
+	});
+
+	it('must let the Behringer class talk to a fake device', async () => {
+		const [host, dev] = Behringer.transport.Loopback.createPair();
+		dev.onMessage(msg => {
+			// Reply to identify with identifyResponse.  The device follows the
+			// data with seven bytes that onMessage() discards.
+			if (msg[6] === Behringer.util.commands.identify) {
+				dev.send([
+					0xF0, 0x00, 0x20, 0x32, 0x00, 0x12, 0x02,
+					0x41, 0x42,
+					0, 0, 0, 0, 0, 0, 0,
+					0xF7,
+				]);
+			}
+		});
+
+		const b = new Behringer(host);
+		b.selectDevice(0x12, 0);
+		const identity = await b.identify();
+		assert.equal(identity.modelName, 'AB');
+		assert.equal(identity.deviceId, 0);
+
+		// The listener must be removed once the response has arrived.
+		assert.equal(Object.keys(b.listeners).length, 0);
+	});
+
+});
+
+describe('recorder transport', () => {
+
+	it('must log traffic in both directions', async () => {
+		const [host, dev] = Behringer.transport.Loopback.createPair();
+		dev.onMessage(msg => dev.send([0xF0, 0x7F, 0xF7]));
+
+		const recorder = new Behringer.transport.Recorder(host);
+		const received = new Promise(resolve => recorder.onMessage(resolve));
+		recorder.send([0xF0, 0x01, 0xF7]);
+		await received;
+
+		assert.equal(recorder.log.length, 2);
+		assert.equal(recorder.log[0].direction, 'out');
+		assert.deepEqual(recorder.log[0].data, [0xF0, 0x01, 0xF7]);
+		assert.equal(recorder.log[1].direction, 'in');
+		assert.deepEqual(recorder.log[1].data, [0xF0, 0x7F, 0xF7]);
+	});
+
+	it('must only pass entries on when not keeping a log', () => {
+		const [host] = Behringer.transport.Loopback.createPair();
+		let entries = [];
+		const recorder = new Behringer.transport.Recorder(host, e => entries.push(e), false);
+		recorder.send([0xF0, 0x01, 0xF7]);
+
+		assert.equal(recorder.log.length, 0);
+		assert.equal(entries.length, 1);
+		assert.deepEqual(entries[0].data, [0xF0, 0x01, 0xF7]);
+	});
+
+});
+
+describe('raw device transport', () => {
+
+	it('must reassemble SysEx split across reads', () => {
+		const t = new Behringer.transport.RawDevice('/dev/null');
+		let messages = [];
+		t.onMessage(msg => messages.push(msg));
+		t.processBytes([0xF0, 0x00, 0x20]);
+		t.processBytes([0xF8, 0x32, 0xF7, 0x90, 0x40]);
+		assert.deepEqual(messages, [[0xF0, 0x00, 0x20, 0x32, 0xF7]]);
+	});
+
+	it('must pass on channel messages using running status', () => {
+		const t = new Behringer.transport.RawDevice('/dev/null');
+		let messages = [];
+		t.onMessage(msg => messages.push(msg));
+		t.processBytes([0xB0, 0x63, 0x00, 0x62]);
+		t.processBytes([0x01]);
+		assert.deepEqual(messages, [[0xB0, 0x63, 0x00], [0xB0, 0x62, 0x01]]);
+	});
+
+});
+
+describe('replay transport', () => {
+
+	/// Run a function against the emulator, returning the log of the session.
+	async function record(fn)
+	{
+		const emu = Behringer.emulator.DEQ2496.createLoopback();
+		const recorder = new Behringer.transport.Recorder(emu.transport);
+		const b = new Behringer(recorder);
+		b.selectDevice(Behringer.util.models.deq2496, 0);
+		await fn(b, emu.emulator);
+		return recorder.log;
+	}
+
+	function createReplay(log)
+	{
+		const replay = new Behringer.transport.Replay(log);
+		replay.open();
+		const b = new Behringer(replay);
+		b.selectDevice(Behringer.util.models.deq2496, 0);
+		b.defaultTimeout = 100;
+		return { b, replay };
+	}
+
+	it('must save and load logs as text', () => {
+		const log = [
+			{ direction: 'out', time: 0, data: [0xF0, 0x01, 0xF7] },
+			{ direction: 'in', time: 15, data: [0xF0, 0x7F, 0xF7] },
+		];
+		const text = Behringer.transport.Recorder.formatLog(log);
+		assert.ok(text.includes('15 in f07ff7\n'));
+		assert.deepEqual(Behringer.transport.Recorder.parseLog(text), log);
+
+		assert.throws(
+			() => Behringer.transport.Recorder.parseLog('# Comment\n\n12 sideways f0f7'),
+			/line 3/
+		);
+	});
+
+	it('must replay readPreset()', async () => {
+		const content = [0x01, 0x02, 0x03, 0x04];
+		const presetRaw = [0x00, content.length, ...content, ...Buffer.from('Replayed')];
+		const log = await record(async b => {
+			await b.writePreset(4, presetRaw);
+			await b.readPreset(4);
+		});
+
+		const { b, replay } = createReplay(log);
+		await b.writePreset(4, presetRaw);
+		const preset = await b.readPreset(4);
+		assert.equal(preset.title, 'Replayed');
+		assert.ok(replay.isFinished());
+	});
+
+	it('must replay find()', async () => {
+		const log = Behringer.transport.Recorder.parseLog(
+			'0 out f00020327f7f01f7\n'
+			+ '12 in f00020320012024445513234393600000000000000f7\n'
+			+ '14 in f00020320312024445513234393600000000000000f7\n'
+		);
+		const { b } = createReplay(log);
+		const devices = await b.find(20);
+		assert.deepEqual(devices.map(d => d.deviceId), [0, 3]);
+	});
+
+	it('must replay getScreenshot()', async () => {
+		const log = await record(async (b, emulator) => {
+			emulator.screen[1][2] = 1;
+			await b.getScreenshot();
+		});
+
+		const { b } = createReplay(log);
+		const ss = await b.getScreenshot();
+		assert.equal(ss.pixels[1][2], 255);
+		assert.equal(ss.pixels[0][0], 0);
+	});
+
+	it('must reject messages that differ from the log', async () => {
+		const log = await record(b => b.identify());
+
+		const { b } = createReplay(log);
+		await assert.rejects(b.readPreset(0), /does not match entry 0/);
+		// The request's listener must not be left behind.
+		assert.equal(Object.keys(b.listeners).length, 0);
+
+		await b.identify();
+		await assert.rejects(b.identify(), /no more messages/);
+	});
+
+	it('must not leave find() listening after a mismatch', async () => {
+		const log = await record(b => b.identify());
+
+		const { b } = createReplay(log);
+		await assert.rejects(b.find(20, Behringer.util.models.fbq1000), /does not match entry 0/);
+		assert.equal(Object.keys(b.listeners).length, 0);
+	});
+
+});
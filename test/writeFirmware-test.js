@@ -0,0 +1,222 @@
+const assert = require('assert');
+
+const Behringer = require('../index.js');
+const midiData = require('../midiData.js');
+
+function createDevice(fnFilter)
+{
+	const [host, dev] = Behringer.transport.Loopback.createPair();
+	const emulator = new Behringer.emulator.DEQ2496(dev);
+
+	// Optionally lose some messages on the way to the device.
+	const send = host.send.bind(host);
+	if (fnFilter) host.send = message => fnFilter(message) && send(message);
+
+	const b = new Behringer(host);
+	b.selectDevice(Behringer.util.models.deq2496, 0);
+	return { b: b, emulator: emulator };
+}
+
+describe('flashing firmware', () => {
+
+	const image = Buffer.alloc(0x2000, 0xA5);
+	const fw = Behringer.firmware.encode('DEQ2496v2', 0x7E000, image, { 0: 'START' });
+
+	it('must flash every block', async () => {
+		const { b, emulator } = createDevice();
+		let done = [];
+		const result = await b.writeFirmware(fw, {
+			model: 'DEQ2496v2',
+			onProgress: p => p.status === 'done' && done.push(p.blockNum),
+		});
+		assert.equal(result.blockCount, 2);
+		assert.deepEqual(done, [0x7E, 0x7F]);
+		assert.equal(emulator.lcdMessage, 'START');
+		assert.ok(emulator.flash.slice(0x7E000).equals(image));
+	});
+
+	it('must resend a block that was not acknowledged', async () => {
+		let count = 0;
+		const { b, emulator } = createDevice(message => {
+			// Lose the first data subblock, which follows the LCD message.
+			if (message[6] === 0x34) count++;
+			return count !== 2;
+		});
+		let retries = 0;
+		await b.writeFirmware(fw.binFirmware, {
+			model: 'DEQ2496v2',
+			timeout: 50,
+			onProgress: p => p.status === 'retry' && retries++,
+		});
+		assert.equal(retries, 1);
+		assert.ok(emulator.flash.slice(0x7E000).equals(image));
+	});
+
+	it('must not count the time spent sending against the timeout', async () => {
+		const { b, emulator } = createDevice();
+		let retries = 0;
+		// 16 subblocks at 5 ms each take longer to send than the timeout.
+		await b.writeFirmware(fw, {
+			model: 'DEQ2496v2',
+			delay: 5,
+			timeout: 40,
+			retries: 0,
+			onProgress: p => p.status === 'retry' && retries++,
+		});
+		assert.equal(retries, 0);
+		assert.ok(emulator.flash.slice(0x7E000).equals(image));
+	});
+
+	it('must ignore an acknowledgement for a block that timed out', async () => {
+		// Block 0x7e is sent as the LCD message and 16 subblocks, so lose the
+		// whole of the second attempt.
+		let count = 0;
+		const { b, emulator } = createDevice(message => {
+			if (message[6] === 0x34) count++;
+			return (count < 18) || (count > 34);
+		});
+
+		// Hold back the first ack until after the block has timed out.
+		let acks = 0;
+		const receive = b.transport.receive.bind(b.transport);
+		b.transport.receive = message => {
+			if ((message[6] === Behringer.util.commands.writeFlashResponse) && (acks++ === 0)) {
+				setTimeout(() => receive(message), 60);
+				return;
+			}
+			receive(message);
+		};
+
+		let progress = [];
+		await b.writeFirmware(fw, {
+			model: 'DEQ2496v2',
+			timeout: 30,
+			delay: 5,
+			onProgress: p => progress.push(p.status + ':' + p.blockNum.toString(16)),
+		});
+		// The late ack arrives while the second attempt is being sent, and must
+		// not be taken as that attempt's ack.
+		assert.deepEqual(progress, [
+			'sending:7e', 'retry:7e', 'sending:7e', 'retry:7e', 'sending:7e', 'done:7e',
+			'sending:7f', 'done:7f',
+		]);
+		assert.ok(emulator.flash.slice(0x7E000).equals(image));
+	});
+
+	it('must abort when a block is never acknowledged', async () => {
+		const { b } = createDevice(message => message[6] !== 0x34);
+		await assert.rejects(
+			b.writeFirmware(fw, { model: 'DEQ2496v2', timeout: 20, retries: 1 }),
+			/No acknowledgement for block 0x7e after 2 attempts/
+		);
+		assert.equal(Object.keys(b.listeners).length, 0);
+	});
+
+	it('must refuse to write to the bootloader', async () => {
+		const { b, emulator } = createDevice();
+		const boot = Behringer.firmware.encode('DEQ2496v2', 0x3000, Buffer.alloc(0x1000), {}, {
+			allowProtectedWrite: true,
+		});
+		await assert.rejects(
+			b.writeFirmware(boot, { model: 'DEQ2496v2' }),
+			/protected flash region \(Bootloader\), blocks: 0x3\./
+		);
+		assert.equal(emulator.flash[0x3000], 0xFF);
+	});
+
+});
+
+describe('flash write protection', () => {
+
+	it('must refuse to encode data for the bootloader', () => {
+		assert.throws(
+			() => Behringer.firmware.encode('DEQ2496v2', 0x2000, Buffer.alloc(0x3000)),
+			/blocks: 0x2, 0x3\./
+		);
+	});
+
+	it('must list the blocks written and their regions', () => {
+		const fw = Behringer.firmware.encode('DEQ2496v2', 0x73000, Buffer.alloc(0x2000));
+		const check = Behringer.firmware.checkFlashWrite(fw.binFirmware, 'DEQ2496v2');
+		assert.deepEqual(check.blocks, [
+			{ device: 'DEQ2496v2', blockNum: 0x73, offset: 0x73000, region: 'Application', protected: false, unverified: false },
+			{ device: 'DEQ2496v2', blockNum: 0x74, offset: 0x74000, region: 'Presets', protected: false, unverified: false },
+		]);
+	});
+
+	it('must check against every model sharing the MIDI model number', () => {
+		// Block 0x5F is the startup screen on the v1 but the application on the v2.
+		const fw = Behringer.firmware.encode('DEQ2496v2', 0x5F000, Buffer.alloc(0x1000));
+		const check = Behringer.firmware.checkFlashWrite(fw.binFirmware);
+		assert.deepEqual(check.devices, ['DEQ2496v1', 'DEQ2496v2']);
+		assert.deepEqual(check.blocks.map(b => [b.device, b.region, b.protected]), [
+			['DEQ2496v1', 'Startup screen', false],
+			['DEQ2496v2', 'Application', false],
+		]);
+	});
+
+	it('must protect the bootloader on every model sharing the MIDI model number', () => {
+		const fw = Behringer.firmware.encode('DEQ2496v2', 0x2000, Buffer.alloc(0x2000), {}, {
+			allowProtectedWrite: true,
+		});
+		const check = Behringer.firmware.checkFlashWrite(fw.binFirmware);
+		assert.deepEqual(check.blocks.map(b => [b.device, b.blockNum, b.protected]), [
+			['DEQ2496v1', 2, true],
+			['DEQ2496v1', 3, true],
+			['DEQ2496v2', 2, true],
+			['DEQ2496v2', 3, true],
+		]);
+		assert.throws(
+			() => Behringer.firmware.assertUnprotected(check.blocks),
+			/protected flash region \(DEQ2496v1 Bootloader, DEQ2496v2 Bootloader\), blocks: 0x2, 0x3\./
+		);
+	});
+
+	it('must flag regions whose layout is unverified', () => {
+		// Retarget DEQ2496 flash writes at the FBQ1000, which uses the same coding.
+		const fw = Behringer.firmware.encode('DEQ2496v2', 0x73000, Buffer.alloc(0x1000));
+		const events = midiData.parseMIDI(fw.binFirmware).events.map(e => {
+			const data = Array.from(e.data);
+			data[5] = Behringer.util.models.fbq1000;
+			return data;
+		});
+		const check = Behringer.firmware.checkFlashWrite(Buffer.from([].concat(...events)));
+		assert.deepEqual(check.devices, ['FBQ1000']);
+		assert.equal(check.blocks[0].unverified, true);
+	});
+
+	it('must refuse to check data against a different model', () => {
+		const fw = Behringer.firmware.encode('DEQ2496v2', 0x73000, Buffer.alloc(0x1000));
+		assert.throws(
+			() => Behringer.firmware.checkFlashWrite(fw.binFirmware, 'FBQ1000'),
+			/MIDI data is for DEQ2496v1 or DEQ2496v2, not FBQ1000/
+		);
+	});
+
+});
+
+describe('firmware in Standard MIDI Files', () => {
+
+	const fw = Behringer.firmware.encode('DEQ2496v2', 0x73000, Buffer.alloc(0x1000, 0x55), {
+		0: 'HELLO',
+	});
+	const events = midiData.parseMIDI(fw.binFirmware).events.map(e => e.data);
+	const mid = midiData.createSMF(events, { delay: 100 });
+
+	it('must decode the same blocks as the *.syx file', () => {
+		const fromSyx = Behringer.firmware.decode(fw.binFirmware, 'DEQ2496v2');
+		const fromMid = Behringer.firmware.decode(mid, 'DEQ2496v2');
+		assert.equal(fromMid.detail['Format'], 'Standard MIDI File (format 0, 1 track)');
+		assert.deepEqual(fromMid.detail['LCD Messages'], { 0: 'HELLO' });
+		assert.deepEqual(fromMid.blocks, fromSyx.blocks);
+	});
+
+	it('must check the blocks written', () => {
+		const check = Behringer.firmware.checkFlashWrite(mid);
+		assert.deepEqual(check.blocks.map(b => [b.device, b.blockNum]), [
+			['DEQ2496v1', 0x73],
+			['DEQ2496v2', 0x73],
+		]);
+	});
+
+});
@@ -0,0 +1,9 @@
+module.exports = {
+	Loopback: require('./loopback.js'),
+	NodeMidi: require('./nodeMidi.js'),
+	RawDevice: require('./rawDevice.js'),
+	Recorder: require('./recorder.js'),
+	Replay: require('./replay.js'),
+	Stream: require('./stream.js'),
+	Transport: require('./transport.js'),
+};
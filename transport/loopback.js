@@ -0,0 +1,87 @@
+/**
+ * Behringer device control library, in-process loopback MIDI transport.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('behringerctl:transport:loopback');
+
+const Transport = require('./transport.js');
+
+/**
+ * One end of a virtual MIDI cable.
+ *
+ * Messages sent from one end are received by the other.  Delivery happens on
+ * the next tick so that, like a real device, a response never arrives before
+ * the function that sent the request has returned.
+ *
+ * Use `LoopbackTransport.createPair()` to get two connected ends.
+ */
+class LoopbackTransport extends Transport
+{
+	constructor()
+	{
+		super();
+		this.peer = null;
+		this.isOpen = true;
+	}
+
+	open()
+	{
+		this.isOpen = true;
+	}
+
+	close()
+	{
+		this.isOpen = false;
+	}
+
+	send(message)
+	{
+		if (!this.isOpen) {
+			throw new Error('Cannot send on a closed loopback transport');
+		}
+		if (!this.peer) {
+			debug('No peer connected, message dropped');
+			return;
+		}
+		// Copy the data so the receiver can't modify the sender's buffer.
+		const copy = Array.from(message);
+		const peer = this.peer;
+		setImmediate(() => {
+			if (!peer.isOpen) {
+				debug('Peer is closed, message dropped');
+				return;
+			}
+			peer.receive(copy);
+		});
+	}
+
+	/// Create two loopback transports connected to each other.
+	/**
+	 * @return Array of two transports, `[a, b]`, where anything sent on `a` is
+	 *   received by `b` and vice versa.
+	 */
+	static createPair()
+	{
+		let a = new LoopbackTransport(), b = new LoopbackTransport();
+		a.peer = b;
+		b.peer = a;
+		return [a, b];
+	}
+};
+
+module.exports = LoopbackTransport;
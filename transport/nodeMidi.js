@@ -0,0 +1,159 @@
+/**
+ * Behringer device control library, node-midi (RtMidi) MIDI transport.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('behringerctl:transport:nodeMidi');
+
+const Transport = require('./transport.js');
+
+/**
+ * Transport using the system MIDI ports through the `midi` package.
+ *
+ * The `midi` package is only loaded when the transport is opened, so the rest
+ * of the library can be used on systems where its native module is not
+ * available.
+ */
+class NodeMidiTransport extends Transport
+{
+	/**
+	 * @param Object options
+	 *   `inPort`: Index of the input port, defaults to the first port that
+	 *     isn't a MIDI Through port.
+	 *   `outPort`: Index of the output port, chosen the same way as `inPort`.
+	 *   `keepInputOpen`: If true, close() leaves the input port open so that
+	 *     incoming messages can still be monitored.
+	 */
+	constructor(options = {})
+	{
+		super();
+		this.options = options;
+		this.midiInput = null;
+		this.midiOutput = null;
+	}
+
+	open()
+	{
+		const midi = NodeMidiTransport.loadMidi();
+
+		this.midiOutput = new midi.Output();
+		const outPort = (this.options.outPort === undefined)
+			? NodeMidiTransport.findDefaultPort(this.midiOutput)
+			: this.options.outPort;
+		if (outPort === null) {
+			throw new Error('No output MIDI ports detected!');
+		}
+		NodeMidiTransport.openPort(this.midiOutput, outPort, 'output');
+
+		this.midiInput = new midi.Input();
+		const inPort = (this.options.inPort === undefined)
+			? NodeMidiTransport.findDefaultPort(this.midiInput)
+			: this.options.inPort;
+		if (inPort === null) {
+			this.midiOutput.closePort();
+			throw new Error('No input MIDI ports detected!');
+		}
+		try {
+			NodeMidiTransport.openPort(this.midiInput, inPort, 'input');
+		} catch (e) {
+			this.midiOutput.closePort();
+			throw e;
+		}
+
+		// Get sysex, ignore timing + active sense
+		this.midiInput.ignoreTypes(false, true, true);
+
+		this.midiInput.on('message', (deltaTime, message) => this.receive(message));
+
+		debug(`Using MIDI ports: in=${inPort} out=${outPort}`);
+	}
+
+	close()
+	{
+		// Close the ports when we're done or the app will never exit as it's
+		// waiting to receive more MIDI messages.
+		if (this.midiOutput) {
+			this.midiOutput.closePort();
+			this.midiOutput = null;
+		}
+		if (this.midiInput && !this.options.keepInputOpen) {
+			this.midiInput.closePort();
+			this.midiInput = null;
+		}
+	}
+
+	send(message)
+	{
+		if (!this.midiOutput) {
+			throw new Error('MIDI output port is not open');
+		}
+		this.midiOutput.sendMessage(Array.from(message));
+	}
+
+	/// Load the `midi` package.
+	/**
+	 * @return Object the `midi` module.
+	 */
+	static loadMidi()
+	{
+		try {
+			return require('midi');
+		} catch (e) {
+			throw new Error(`MIDI ports are not available, the \`midi\` package `
+				+ `could not be loaded: ${e.message}`);
+		}
+	}
+
+	/// Open a port on a node-midi Input or Output, with a readable error.
+	static openPort(midiInterface, port, direction)
+	{
+		const portCount = midiInterface.getPortCount();
+		if ((port < 0) || (port >= portCount)) {
+			throw new Error(`No ${direction} MIDI port ${port}, only ${portCount} `
+				+ 'detected (see `midi list`).');
+		}
+		try {
+			midiInterface.openPort(port);
+		} catch (e) {
+			throw new Error(`Unable to open ${direction} MIDI port ${port}: ${e.message}`);
+		}
+	}
+
+	/// Pick a sensible default port from a node-midi Input or Output.
+	/**
+	 * @return Number port index, or null if there are no ports at all.
+	 */
+	static findDefaultPort(midiInterface)
+	{
+		const portCount = midiInterface.getPortCount();
+		for (let i = 0; i < portCount; i++) {
+			const portName = midiInterface.getPortName(i);
+			// Pick first port that doesn't look like a MIDI Through one.
+			if (!portName.includes('hrough')) {
+				return i;
+			}
+		}
+
+		// No through ports, return the first one.
+		if (portCount > 0) return 0;
+
+		// No ports at all!
+		return null;
+	}
+};
+
+module.exports = NodeMidiTransport;
@@ -0,0 +1,90 @@
+/**
+ * Behringer device control library, raw device file MIDI transport.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('behringerctl:transport:rawDevice');
+const fs = require('fs');
+
+const midiData = require('../midiData.js');
+const Transport = require('./transport.js');
+
+/**
+ * Transport reading and writing a raw MIDI byte stream, such as an ALSA
+ * rawmidi device (`/dev/snd/midiC1D0`) or an OSS one (`/dev/midi1`).
+ *
+ * Incoming bytes are reassembled into complete messages, including running
+ * status.  Realtime bytes (0xF8-0xFF) may appear in the middle of a SysEx event
+ * and are skipped, and incomplete messages are dropped.
+ */
+class RawDeviceTransport extends Transport
+{
+	constructor(path)
+	{
+		super();
+		this.path = path;
+		this.fd = null;
+		this.readStream = null;
+		this.parser = new midiData.StreamParser(
+			event => {
+				if (event.type === 'realtime') return;
+				this.receive(event.data);
+			},
+			e => debug(e.message)
+		);
+	}
+
+	open()
+	{
+		this.fd = fs.openSync(this.path, 'r+');
+		this.readStream = fs.createReadStream(null, {
+			fd: this.fd,
+			autoClose: false,
+		});
+		this.readStream.on('data', chunk => this.processBytes(chunk));
+		this.readStream.on('error', e => debug(`Read error: ${e.message}`));
+		debug(`Opened ${this.path}`);
+	}
+
+	close()
+	{
+		if (this.readStream) {
+			this.readStream.destroy();
+			this.readStream = null;
+		}
+		if (this.fd !== null) {
+			fs.closeSync(this.fd);
+			this.fd = null;
+		}
+	}
+
+	send(message)
+	{
+		if (this.fd === null) {
+			throw new Error(`${this.path} is not open`);
+		}
+		fs.writeSync(this.fd, Buffer.from(message));
+	}
+
+	/// Assemble raw incoming bytes into complete messages.
+	processBytes(chunk)
+	{
+		this.parser.write(chunk);
+	}
+};
+
+module.exports = RawDeviceTransport;
@@ -0,0 +1,136 @@
+/**
+ * Behringer device control library, recording MIDI transport.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const Transport = require('./transport.js');
+
+const LOG_HEADER = '# behringerctl MIDI log: <ms since start> <in|out> <hex bytes>';
+
+/**
+ * Transport that passes everything through to another transport, keeping a
+ * copy of all traffic in both directions.
+ *
+ * Each entry in `log` is of the form
+ * `{direction: 'out' or 'in', time: <ms since open()>, data: [bytes]}`.
+ */
+class RecorderTransport extends Transport
+{
+	/**
+	 * @param Transport inner
+	 *   Transport to pass all messages through to.
+	 *
+	 * @param Function fnCallback
+	 *   Optional, called with each log entry as it is recorded.
+	 *
+	 * @param Boolean keepLog
+	 *   Optional, set to false to only pass entries to `fnCallback` without
+	 *   storing them in `log`, when monitoring for long periods.
+	 */
+	constructor(inner, fnCallback, keepLog = true)
+	{
+		super();
+		this.inner = inner;
+		this.fnCallback = fnCallback;
+		this.log = [];
+		this.keepLog = keepLog;
+		this.startTime = Date.now();
+
+		this.inner.onMessage(message => {
+			this.record('in', message);
+			this.receive(message);
+		});
+	}
+
+	open()
+	{
+		this.startTime = Date.now();
+		return this.inner.open();
+	}
+
+	close()
+	{
+		return this.inner.close();
+	}
+
+	send(message)
+	{
+		this.record('out', message);
+		return this.inner.send(message);
+	}
+
+	record(direction, message)
+	{
+		const entry = {
+			direction: direction,
+			time: Date.now() - this.startTime,
+			data: Array.from(message),
+		};
+		if (this.keepLog) this.log.push(entry);
+		if (this.fnCallback) this.fnCallback(entry);
+	}
+
+	/// Convert log entries into text, for saving to a file.
+	/**
+	 * @param Array log
+	 *   Log entries, such as the `log` member.
+	 *
+	 * @return String, one entry per line of the form `<time> <direction>
+	 *   <hex bytes>`, e.g. `15 in f0002032...f7`.
+	 */
+	static formatLog(log)
+	{
+		let lines = [LOG_HEADER];
+		for (const entry of log) {
+			lines.push(`${entry.time} ${entry.direction} `
+				+ Buffer.from(entry.data).toString('hex'));
+		}
+		return lines.join('\n') + '\n';
+	}
+
+	/// Read log entries back from text produced by formatLog().
+	/**
+	 * @param String text
+	 *   Log file content.  Blank lines and lines starting with `#` are ignored.
+	 *
+	 * @return Array of log entries, in the same form as the `log` member.
+	 *
+	 * @throw Error if a line can't be understood.
+	 */
+	static parseLog(text)
+	{
+		let log = [];
+		const lines = text.split(/\r?\n/);
+		for (let i = 0; i < lines.length; i++) {
+			const line = lines[i].trim();
+			if (!line || line[0] === '#') continue;
+
+			const match = line.match(/^(\d+)\s+(in|out)\s+((?:[0-9a-fA-F]{2})+)$/);
+			if (!match) {
+				throw new Error(`Invalid MIDI log entry on line ${i + 1}: ${line}`);
+			}
+			log.push({
+				direction: match[2],
+				time: parseInt(match[1]),
+				data: Array.from(Buffer.from(match[3], 'hex')),
+			});
+		}
+		return log;
+	}
+};
+
+module.exports = RecorderTransport;
@@ -0,0 +1,125 @@
+/**
+ * Behringer device control library, transport replaying a recorded session.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const debug = require('debug')('behringerctl:transport:replay');
+
+const Transport = require('./transport.js');
+
+/**
+ * Transport that plays back a session captured by a Recorder transport.
+ *
+ * Each message sent must match the next outgoing message in the log.  When it
+ * does, the incoming messages that followed it in the log are received, as if
+ * the device had replied again.  Incoming messages at the start of the log,
+ * before anything was sent, are received as soon as the transport is opened.
+ *
+ * Like the loopback transport, replies are delivered on the next tick (or
+ * after their original delay with `realTime`) so they never arrive before the
+ * function that sent the request has returned.
+ */
+class ReplayTransport extends Transport
+{
+	/**
+	 * @param Array log
+	 *   Log entries, from `RecorderTransport.log` or
+	 *   `RecorderTransport.parseLog()`.
+	 *
+	 * @param Object options
+	 *   `realTime`: true to wait as long as the device originally took before
+	 *   each reply is received, instead of passing them on immediately.
+	 */
+	constructor(log, options = {})
+	{
+		super();
+		this.log = log;
+		this.realTime = !!options.realTime;
+		this.pos = 0;
+		this.isOpen = false;
+		this.timers = [];
+	}
+
+	open()
+	{
+		this.isOpen = true;
+		this.replyUntilNextSend(0);
+	}
+
+	close()
+	{
+		this.isOpen = false;
+		for (const t of this.timers) clearTimeout(t);
+		this.timers = [];
+	}
+
+	send(message)
+	{
+		if (!this.isOpen) {
+			throw new Error('Cannot send on a closed replay transport');
+		}
+
+		const sent = Buffer.from(message);
+		const expected = this.log[this.pos];
+		if (!expected) {
+			throw new Error('Replay log has no more messages, but another was sent: '
+				+ sent.toString('hex'));
+		}
+		if (!sent.equals(Buffer.from(expected.data))) {
+			throw new Error(`Message sent does not match entry ${this.pos} in the `
+				+ `replay log.  Expected ${Buffer.from(expected.data).toString('hex')}, `
+				+ `got ${sent.toString('hex')}`);
+		}
+		this.pos++;
+		this.replyUntilNextSend(expected.time);
+	}
+
+	/// Whether every message in the log has been sent or received.
+	isFinished()
+	{
+		return this.pos >= this.log.length;
+	}
+
+	/// Receive every incoming message up until the next outgoing one.
+	/**
+	 * @param Number sendTime
+	 *   Log time of the message just sent, to work out the delay before each
+	 *   reply when `realTime` is set.
+	 */
+	replyUntilNextSend(sendTime)
+	{
+		while ((this.pos < this.log.length) && (this.log[this.pos].direction === 'in')) {
+			const entry = this.log[this.pos];
+			const copy = Array.from(entry.data);
+			const deliver = () => {
+				if (!this.isOpen) {
+					debug('Transport closed, message dropped');
+					return;
+				}
+				this.receive(copy);
+			};
+			if (this.realTime) {
+				this.timers.push(setTimeout(deliver, Math.max(0, entry.time - sendTime)));
+			} else {
+				setImmediate(deliver);
+			}
+			this.pos++;
+		}
+	}
+};
+
+module.exports = ReplayTransport;
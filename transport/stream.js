@@ -0,0 +1,44 @@
+/**
+ * Behringer device control library, write stream MIDI transport.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const Transport = require('./transport.js');
+
+/**
+ * Output-only transport wrapping any object with a `write()` function, such
+ * as the stream returned by node-midi's `createWriteStream()`.
+ *
+ * This is what the `Behringer` class falls back to when it is given a plain
+ * write stream instead of a transport.  Incoming messages must be passed to
+ * `Behringer.onMessage()` by the caller.
+ */
+class StreamTransport extends Transport
+{
+	constructor(stream)
+	{
+		super();
+		this.stream = stream;
+	}
+
+	send(message)
+	{
+		this.stream.write(message);
+	}
+};
+
+module.exports = StreamTransport;
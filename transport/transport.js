@@ -0,0 +1,75 @@
+/**
+ * Behringer device control library, base MIDI transport.
+ *
+ * Copyright (C) 2020 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Common interface shared by every MIDI transport.
+ *
+ * A transport moves raw MIDI messages between the `Behringer` class and a
+ * device.  Implementations must provide `send()`, and call `receive()` with
+ * each complete incoming message.  `open()` and `close()` are optional and do
+ * nothing by default.
+ */
+class Transport
+{
+	constructor()
+	{
+		this.callbacks = [];
+	}
+
+	/// Prepare the transport for use.
+	open()
+	{
+	}
+
+	/// Release any resources held by the transport.
+	close()
+	{
+	}
+
+	/// Transmit a single raw MIDI message.
+	/**
+	 * @param Array message
+	 *   Raw MIDI message as an array of bytes, e.g. a complete SysEx event
+	 *   including the leading 0xF0 and trailing 0xF7.
+	 */
+	send(message)
+	{
+		throw new Error('send() not implemented by this transport');
+	}
+
+	/// Register a function to be called with every incoming MIDI message.
+	/**
+	 * @param Function callback
+	 *   Called with one parameter, the raw MIDI message as an array of bytes.
+	 */
+	onMessage(callback)
+	{
+		this.callbacks.push(callback);
+	}
+
+	/// Pass an incoming message on to everyone registered with onMessage().
+	receive(message)
+	{
+		for (const c of this.callbacks) {
+			c(message);
+		}
+	}
+};
+
+module.exports = Transport;
@@ -94,6 +94,37 @@ class BehringerUtil
 		}
 		return Buffer.concat(imageBlocks);
 	}
+
+	/// Combine the blocks in one of a device's flash regions into an image.
+	/**
+	 * @param Array blocks
+	 *   4 kB flash blocks, as passed to examineFirmware().
+	 *
+	 * @param Object region
+	 *   One of the device's `regions`.
+	 *
+	 * @param Object options
+	 *   `start`: Flash offset to start at, if not the start of the region.
+	 *
+	 *   `end`: Flash offset to stop at, if not the end of the region.
+	 *   `capacity` still runs to the end of the region.
+	 *
+	 *   `title`: Image title, defaulting to the region's title.
+	 *
+	 * @return Object `{title, data, offset, capacity}`, as used for the
+	 *   `images` returned by examineFirmware().
+	 */
+	static regionImage(blocks, region, options = {})
+	{
+		const start = (options.start === undefined) ? region.start : options.start;
+		const end = (options.end === undefined) ? region.end : options.end;
+		return {
+			title: options.title || region.title,
+			data: this.blocksToImage(blocks, start >> 12, end >> 12),
+			offset: start,
+			capacity: region.end - start,
+		};
+	}
 };
 
 BehringerUtil.commands = commands;